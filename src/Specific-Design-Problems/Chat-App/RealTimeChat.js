@@ -1,61 +1,575 @@
-import React, { useEffect, useRef, useState } from "react";
-import { chatChannel } from "./services/channel";
-import { getSharedKey, encryptMessage, decryptMessage } from "./services/encryption";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { chatChannel, CONNECTION_STATE } from "./services/channel";
+import { KeyManager } from "./services/keyExchange";
+import { MESSAGE_STATUS, transition } from "./services/messageStatus";
+import {
+  HybridLogicalClock,
+  ReorderBuffer,
+  SentLog,
+  clockOf,
+  compareHLC,
+  insertByClock,
+} from "./services/ordering";
+import { Outbox } from "./services/outbox";
+import {
+  closeDatabase,
+  countThreadReplies,
+  getMessagesPage,
+  getThreadReplies,
+  getRooms,
+  hasVault,
+  saveMessage,
+  saveRoom,
+  selectDatabase,
+  unlockStorage,
+  updateMessage,
+  updateMessageStatus,
+} from "./services/db";
+import { isUnlocked, lock } from "./services/vault";
+import { FileTransfer } from "./services/fileTransfer";
+import { isCompressibleImage, prepareImage } from "./services/media";
+import {
+  formatLastSeen,
+  PRESENCE_STATUS,
+  PresenceTracker,
+} from "./services/presence";
+import { ReadReceipts } from "./services/readReceipts";
+import { ChatSearch } from "./services/search";
+import {
+  MUTATION,
+  PendingMutations,
+  applyMutation,
+  isMutation,
+  withinDeleteWindow,
+} from "./services/mutations";
+import {
+  DEFAULT_ROOMS,
+  ROOM_KIND,
+  directPeer,
+  directRoom,
+  inboxTopic,
+  isDirectRoom,
+  roomTopic,
+} from "./services/rooms";
+import RoomList from "./components/RoomList";
+import KeyVerification from "./components/KeyVerification";
+import UnlockScreen from "./components/UnlockScreen";
+import Attachment from "./components/Attachment";
+import SeenObserver from "./components/SeenObserver";
+import MessageActions from "./components/MessageActions";
+import Reactions from "./components/Reactions";
+import QuotedMessage, { previewOf } from "./components/QuotedMessage";
+import ThreadPanel from "./components/ThreadPanel";
+import SearchPanel from "./components/SearchPanel";
+import MessageList from "./components/MessageList";
+import AuthProvider, { useAuth } from "./components/AuthProvider";
+import LoginScreen from "./components/LoginScreen";
+import RichText from "./components/RichText";
+import LinkPreview from "./components/LinkPreview";
+import { firstLink, mentionsOf } from "./services/markdown";
+import {
+  notifyMention,
+  requestNotificationPermission,
+} from "./services/notifications";
 import "./RealTimeChat.css";
 
 /*
-  We simulate two users by opening two tabs.
-  Each tab prompts for a userId.
-  In real systems, this would come from authentication (JWT/session).
+  channel → any ChatChannel instance.
+  Defaults to the app-wide singleton, but integration tests
+  (or a demo against the local relay) can inject one built
+  with a different transport:
+
+    <RealTimeChat
+      channel={new ChatChannel({ transport: createTransport("websocket") })}
+    />
+
+  authBackend → where logins go (services/auth.js);
+                defaults to the env-configured one.
+
+  We simulate several users by opening several tabs;
+  each tab signs in on its own (sessionStorage).
+*/
+function RealTimeChat({ channel = chatChannel, authBackend }) {
+  return (
+    <AuthProvider backend={authBackend}>
+      <AuthGate channel={channel} />
+    </AuthProvider>
+  );
+}
+
+/*
+  AuthGate → login screen, or the chat for the signed-in
+  user. Keyed by userId: a different user gets a fresh
+  chat (state, refs, services), never the previous one's.
+*/
+function AuthGate({ channel }) {
+  const { session, notice, login } = useAuth();
+
+  if (!session) return <LoginScreen notice={notice} onLogin={login} />;
+
+  return <Chat key={session.userId} channel={channel} session={session} />;
+}
+
+/*
+  Chat → everything below runs for ONE signed-in user:
+  session → { userId, token, expiresAt }
 */
-const userId = prompt("Enter User ID (user1 or user2)");
+function Chat({ channel, session }) {
+  const { userId } = session;
+  const { logout, onSignOut } = useAuth();
+
+  /*
+    Storage (rooms, history, vault, keys…) is per user:
+    select this user's database before anything below can
+    touch it. Idempotent, so calling it every render is fine.
+  */
+  selectDatabase(userId);
+
+  /*
+    sessionId identifies THIS sign-in's message stream.
+    Sequence numbers restart at 1 on every mount, so
+    receivers track (senderId, sessionId) pairs.
+  */
+  const [sessionId] = useState(() => crypto.randomUUID());
 
-function RealTimeChat() {
   /*
-    messages → stores all chat messages for this session
-    onlineUsers → stores currently online users (Set prevents duplicates)
-    cryptoKey → shared encryption key for E2E encryption
+    messages → stores all chat messages for this session (every room;
+               the view filters by activeRoomId)
+    presence → { peers: { id: { status, lastSeen } }, typing: { roomId: [ids] } }
+               mirrored from PresenceTracker
+    keysReady → identity key pair loaded (E2E can start)
+    keyInfo → fingerprints mirrored from KeyManager (verification UI)
   */
   const [messages, setMessages] = useState([]);
-  const [onlineUsers, setOnlineUsers] = useState(new Set());
-  const [cryptoKey, setCryptoKey] = useState(null);
+  const [presence, setPresence] = useState({ peers: {}, typing: {} });
+  const [keysReady, setKeysReady] = useState(false);
+  const [keyInfo, setKeyInfo] = useState({ fingerprint: null, peers: [] });
+  const [showKeys, setShowKeys] = useState(false);
+
+  /*
+    Encryption at rest (see services/vault.js):
+    unlocked    → storage key is in memory; history can be read
+    vaultExists → null until checked; false → first run
+                  (unlock screen asks to CREATE a passphrase)
+  */
+  const [unlocked, setUnlocked] = useState(isUnlocked);
+  const [vaultExists, setVaultExists] = useState(null);
+
+  /*
+    attachments → fileId → { direction, done, total, url, error }
+    Transfer progress + object URL of the verified Blob.
+  */
+  const [attachments, setAttachments] = useState({});
+
+  /*
+    uploadError → why the last picked file couldn't be sent
+    (too large, unreadable…); shown above the input until
+    dismissed or the next upload starts.
+  */
+  const [uploadError, setUploadError] = useState(null);
+
+  /*
+    connection → { state, retryIn } mirrored from ChatChannel
+    Drives the "you are offline / reconnecting" banner.
+  */
+  const [connection, setConnection] = useState({ state: channel.state });
+
+  /*
+    Conversations:
+    rooms        → sidebar entries (default groups + DMs)
+    activeRoomId → the room being viewed
+    unread       → roomId → count of messages not yet viewed
+    mentioned    → roomId → true while an @mention of us is unseen
+  */
+  const [rooms, setRooms] = useState(DEFAULT_ROOMS);
+  const [activeRoomId, setActiveRoomId] = useState(DEFAULT_ROOMS[0].id);
+  const [unread, setUnread] = useState({});
+  const [mentioned, setMentioned] = useState({});
+
+  /*
+    Channel handlers are attached once, so they read the
+    active room through a ref instead of a stale closure.
+  */
+  const activeRoomRef = useRef(activeRoomId);
+  activeRoomRef.current = activeRoomId;
+
+  // Same for the message list (read receipts scan our own messages)
+  const messagesStateRef = useRef(messages);
+  messagesStateRef.current = messages;
+
+  // And for the helpers they call (new functions every render)
+  const foldMutationRef = useRef(null);
+  const handleMentionRef = useRef(null);
+
+  /*
+    Read state:
+    readUpTo    → roomId → hlc we've read up to
+                  (null until loaded from IndexedDB)
+    pageVisible → Page Visibility API; hidden tab = nothing is "seen"
+    unreadMark  → watermark of the open room when it was opened;
+                  the unread divider stays put while we read
+  */
+  const [readUpTo, setReadUpTo] = useState(null);
+  const [pageVisible, setPageVisible] = useState(
+    () => document.visibilityState === "visible"
+  );
+  const [unreadMark, setUnreadMark] = useState(null);
+
+  // editingId → own message being edited inline
+  const [editingId, setEditingId] = useState(null);
+
+  /*
+    Replies:
+    replyingTo   → message quoted by the next one we send
+    openThreadId → root of the thread shown in the side panel
+    threadCounts → rootId → number of replies (from the
+                   "byThread" index, bumped live)
+  */
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [openThreadId, setOpenThreadId] = useState(null);
+  const [threadCounts, setThreadCounts] = useState({});
+
+  /*
+    Search:
+    showSearch  → search panel open
+    jumpTarget  → message id to scroll to once it's rendered
+    highlightId → message flashed after a jump
+  */
+  const [showSearch, setShowSearch] = useState(false);
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightId, setHighlightId] = useState(null);
+
+  /*
+    History pagination (IndexedDB cursor), per room:
+    historyCursors → roomId → "before" cursor for the next older page
+                     (null once we've reached the beginning,
+                      missing until the room is first hydrated)
+    loadingHistory → guards against firing twice while scrolling
+  */
+  const [historyCursors, setHistoryCursors] = useState({});
+  const [loadingHistory, setLoadingHistory] = useState(false);
 
   /*
-    messagesEndRef → used for auto-scroll to bottom
     initializedRef → ensures channel listeners are attached only once
     (Prevents duplicate event listeners on re-render)
+    messageListRef → virtualized list handle (scrollToKey)
   */
-  const messagesEndRef = useRef(null);
   const initializedRef = useRef(false);
+  const messageListRef = useRef(null);
 
-  /* =========================================================
-     1️⃣ INITIALIZE SHARED ENCRYPTION KEY (E2E Simulation)
-     ========================================================= */
+  /*
+    teardownRef → detaches what the init effect attached.
+    Run on unmount only: a lock re-runs that effect, but
+    must keep receiving (see the effect below it).
+  */
+  const teardownRef = useRef(null);
 
-  useEffect(() => {
-    let mounted = true;
+  /*
+    lockedInboxRef → messages that arrived while locked.
+    They must be decrypted on arrival (ratchet keys are
+    single-use), but can't be written to disk without the
+    storage key. Persisted on unlock.
+  */
+  const lockedInboxRef = useRef([]);
 
-    async function initKey() {
-      /*
-        In real-world E2E:
-        - We would exchange public keys
-        - Derive shared secret via Diffie-Hellman
-        - Rotate session keys periodically
+  /*
+    Ordering state (refs: must survive renders, never render):
+    seqRef   → roomId → last sequence number we sent in that room
+    clockRef → hybrid logical clock for causal order
+    sentLog  → recent outgoing envelopes, replayed on RESEND_REQUEST
+  */
+  const seqRef = useRef({});
+  const clockRef = useRef(null);
+  const sentLogRef = useRef(null);
 
-        Here we simulate shared symmetric key.
-      */
-      const key = await getSharedKey();
+  if (!clockRef.current) {
+    clockRef.current = new HybridLogicalClock(`${userId}:${sessionId}`);
+    sentLogRef.current = new SentLog();
+  }
+
+  /*
+    updateStatus(id, next)
+
+    Every status change goes through the state machine,
+    so late or duplicated ACKs/receipts can't move a
+    message backwards (e.g. read → sent).
+  */
+  const updateStatus = (id, next) => {
+    setMessages((prev) =>
+      prev.map((m) =>
+        m.id === id ? { ...m, status: transition(m.status, next) } : m
+      )
+    );
+
+    // Keep the on-disk copy in step so history shows the same ticks
+    if (isUnlocked()) {
+      updateMessageStatus(id, next).catch((err) =>
+        console.error("Failed to persist status:", err)
+      );
+    }
+  };
+
+  /*
+    pendingMutationsRef → edits / deletes / reactions that
+    arrived before the message they target
+  */
+  const pendingMutationsRef = useRef(null);
+
+  if (!pendingMutationsRef.current) {
+    pendingMutationsRef.current = new PendingMutations();
+  }
+
+  /*
+    searchRef → per-room full-text index over decrypted
+    content (see services/search.js)
+  */
+  const searchRef = useRef(null);
+
+  if (!searchRef.current) {
+    searchRef.current = new ChatSearch();
+  }
+
+  const indexMessage = (message) =>
+    searchRef.current
+      .upsert(message)
+      .catch((err) => console.error("Failed to index message:", err));
+
+  /*
+    foldMutation(mutation)
+
+    Apply an edit / delete / reaction (ours or a peer's)
+    to the target everywhere it lives: state, the locked
+    inbox, and the sealed row on disk. Target not found
+    anywhere yet → park it until the message shows up.
+  */
+  const foldMutation = (mutation) => {
+    const { targetId } = mutation.content;
+    const apply = (m) => (m.id === targetId ? applyMutation(m, mutation) : m);
+
+    const inMemory =
+      messagesStateRef.current.some((m) => m.id === targetId) ||
+      lockedInboxRef.current.some((m) => m.id === targetId);
 
-      if (mounted) setCryptoKey(key);
+    setMessages((prev) => prev.map(apply));
+    lockedInboxRef.current = lockedInboxRef.current.map(apply);
+
+    if (!isUnlocked()) {
+      if (!inMemory) pendingMutationsRef.current.park(mutation);
+      return;
     }
 
-    initKey();
+    updateMessage(targetId, (m) => applyMutation(m, mutation))
+      .then((stored) => {
+        if (stored) indexMessage(stored); // edit → reindex, delete → drop
+        else if (!inMemory) pendingMutationsRef.current.park(mutation);
+      })
+      .catch((err) => console.error("Failed to persist mutation:", err));
+  };
+
+  foldMutationRef.current = foldMutation;
+
+  /*
+    keysRef → ECDH identity + peer public keys + derived
+    per-conversation keys (see services/keyExchange.js)
+  */
+  const keysRef = useRef(null);
+
+  if (!keysRef.current) {
+    keysRef.current = new KeyManager({ userId, sessionId, channel });
+  }
+
+  /*
+    fileTransferRef → chunked, encrypted attachments
+    (see services/fileTransfer.js)
+  */
+  const fileTransferRef = useRef(null);
+
+  if (!fileTransferRef.current) {
+    const patch = (fileId, fields) =>
+      setAttachments((prev) => ({
+        ...prev,
+        [fileId]: { ...prev[fileId], ...fields },
+      }));
+
+    fileTransferRef.current = new FileTransfer({
+      userId,
+      channel,
+      onProgress: ({ fileId, ...progress }) => patch(fileId, progress),
+      onComplete: (fileId, blob) =>
+        patch(fileId, { url: URL.createObjectURL(blob) }),
+      onError: (fileId, err) => patch(fileId, { error: err.message }),
+    });
+  }
+
+  /*
+    presenceRef → lease-based presence + typing indicators
+    (see services/presence.js)
+  */
+  const presenceRef = useRef(null);
+
+  if (!presenceRef.current) {
+    presenceRef.current = new PresenceTracker({
+      userId,
+      channel,
+      onChange: setPresence,
+    });
+  }
+
+  /*
+    readReceiptsRef → batched "read up to" watermarks
+    (see services/readReceipts.js)
+  */
+  const readReceiptsRef = useRef(null);
+
+  if (!readReceiptsRef.current) {
+    readReceiptsRef.current = new ReadReceipts({
+      userId,
+      channel,
+      onChange: setReadUpTo,
+    });
+  }
+
+  /*
+    outboxRef → persistent send queue (IndexedDB).
+    Every outgoing message goes through it, online or not.
+  */
+  const outboxRef = useRef(null);
+
+  if (!outboxRef.current) {
+    /*
+      Queued messages left over from an earlier session
+      (reload, sign-in again) still carry ITS sessionId.
+      Our sending chains restart with every session (see
+      KeyManager.encryptFor), and receivers derive the chain
+      from the envelope's sessionId, so a replay must join
+      THIS session's stream: same id, our sessionId, next seq.
+      Remembered per id, so a retry reuses the same seq.
+    */
+    const restamped = new Map();
+
+    const restamp = (envelope) => {
+      if (envelope.sessionId === sessionId) return envelope;
+
+      if (!restamped.has(envelope.id)) {
+        const stamp = { sessionId };
+
+        if (envelope.seq !== undefined) {
+          seqRef.current[envelope.roomId] =
+            (seqRef.current[envelope.roomId] ?? 0) + 1;
+          stamp.seq = seqRef.current[envelope.roomId];
+        }
+
+        restamped.set(envelope.id, stamp);
+      }
+
+      return { ...envelope, ...restamped.get(envelope.id) };
+    };
+
+    outboxRef.current = new Outbox({
+      /*
+        Encrypt at SEND time, not at enqueue time:
+        a DM typed before the peer's key arrived (or while
+        offline) still goes out once the key is known.
+        Plaintext "content" never leaves this tab.
+
+        File messages: the descriptor (incl. the file key)
+        rides the E2E message, then the encrypted chunks
+        follow. Both must succeed before the next queued
+        message goes out, so order is preserved.
+
+        Mutations go out as their own event type
+        (EDIT_MESSAGE / DELETE_MESSAGE / REACTION), same
+        encryption, no seq (they don't join the reorder
+        stream).
+      */
+      send: async (message) => {
+        const { content, status, ...queued } = message;
+        const envelope = restamp(queued);
+        const text = typeof content === "string" ? content : JSON.stringify(content);
+        const mutation = isMutation(message);
+
+        const wire = {
+          ...envelope,
+          encrypted: await keysRef.current.encryptFor(message.roomId, text),
+        };
+
+        // Resends replay the exact same ciphertext
+        if (!mutation) sentLogRef.current.add(wire);
+
+        await channel.send(mutation ? message.type : "NEW_MESSAGE", wire, {
+          ack: true,
+          topic: roomTopic(message.roomId, userId),
+        });
+
+        if (message.type === "file") {
+          await fileTransferRef.current.sendChunks(content, message.roomId);
+        }
+      },
+      canSend: () =>
+        isUnlocked() &&
+        (channel.state === CONNECTION_STATE.OPEN ||
+          channel.state === CONNECTION_STATE.DEGRADED),
+      onStatus: updateStatus,
+    });
+  }
+
+  /*
+    addRoom(room)
+
+    Adds a conversation to the sidebar (idempotent)
+    and remembers it for the next load.
+  */
+  const addRoom = (room) => {
+    setRooms((prev) =>
+      prev.some((r) => r.id === room.id) ? prev : [...prev, room]
+    );
+    saveRoom(room);
+  };
+
+  /* =========================================================
+     1️⃣ INITIALIZE IDENTITY KEYS (ECDH E2E)
+     ========================================================= */
+
+  useEffect(() => {
+    let mounted = true;
+    const keys = keysRef.current;
+
+    /*
+      Loads (or creates) our ECDH key pair from IndexedDB
+      and starts listening for KEY_ANNOUNCE / KEY_REQUEST.
+      init() is idempotent, so StrictMode's double mount
+      doesn't generate two identities.
+    */
+    keys
+      .init()
+      .then(() => {
+        if (!mounted) return;
+        keys.start();
+        setKeysReady(true);
+      })
+      .catch((err) => console.error("Failed to load identity keys:", err));
+
+    const unsubscribe = keys.onChange((info) => {
+      setKeyInfo(info);
+
+      // A peer's key may have arrived → their parked DMs can go
+      outboxRef.current?.flushLater();
+    });
 
     return () => {
       mounted = false; // Prevent state update on unmounted component
+      unsubscribe();
+      keys.destroy();
     };
   }, []);
 
+  useEffect(() => {
+    const fileTransfer = fileTransferRef.current;
+    fileTransfer.start();
+
+    return () => fileTransfer.destroy();
+  }, []);
+
   /* =========================================================
      2️⃣ INITIALIZE REAL-TIME CHANNEL + LISTENERS
      ========================================================= */
@@ -63,312 +577,1273 @@ function RealTimeChat() {
   useEffect(() => {
     /*
       Do not initialize until:
-      - Encryption key is ready
+      - Identity keys are loaded
+      - Local storage is unlocked (first unlock only; a later
+        lock keeps the connection and buffers in memory)
       - We haven't already initialized listeners
     */
-    if (!cryptoKey || initializedRef.current) return;
+    if (!keysReady || !unlocked || initializedRef.current) return;
 
     initializedRef.current = true;
 
+    /* ===============================
+       🔌 CONNECTION STATE
+       =============================== */
+
     /*
-      chatChannel is our abstraction over BroadcastChannel.
-      In production this would be WebSocket.
+      Every time the transport (re)opens, replay the
+      outbox. (Presence re-announces itself; see
+      PresenceTracker.)
     */
-    chatChannel.init();
+    const unsubscribers = [
+      channel.onStateChange((state, info) => {
+        setConnection({ state, ...info });
+
+        if (state === CONNECTION_STATE.OPEN) {
+          // Replay anything queued while we were offline
+          outboxRef.current.flushLater();
+        }
+      }),
+    ];
 
     /* ===============================
-       🔵 PRESENCE HANDSHAKE LOGIC
+       📨 INCOMING MESSAGE HANDLER
        =============================== */
 
     /*
-      Why handshake?
+      receiveMessage(msg)
 
-      BroadcastChannel does NOT replay events.
-      If a tab opens late, it may miss "USER_ONLINE".
-
-      So:
-      - New tab sends PRESENCE_REQUEST
-      - Existing tabs respond with USER_ONLINE
+      Called by the reorder buffer, already de-duplicated
+      and in per-sender sequence order.
     */
+    const receiveMessage = async (msg) => {
+      /*
+        Merge the sender's clock so anything we send
+        next is ordered after this message.
+      */
+      clockRef.current.receive(msg.hlc);
 
-    chatChannel.on("PRESENCE_REQUEST", () => {
-      chatChannel.send("USER_ONLINE", userId);
-    });
+      /*
+        First DM from someone → it appears in the sidebar.
+      */
+      if (isDirectRoom(msg.roomId)) {
+        addRoom(directRoom(userId, msg.senderId));
+      }
 
-    /*
-      When someone comes online,
-      add them to the Set (avoid duplicates).
-    */
-    chatChannel.on("USER_ONLINE", (id) => {
-      if (id === userId) return; // Ignore self
+      const topic = roomTopic(msg.roomId, userId);
 
-      setOnlineUsers((prev) => {
-        const copy = new Set(prev);
-        copy.add(id);
-        return copy;
-      });
-    });
+      try {
+        /*
+          Decrypt our copy with the next key of the sender's
+          ratchet chain for this room. The relay only ever
+          saw ciphertext.
+        */
+        const { encrypted, ...envelope } = msg;
+        const decrypted = await keysRef.current.decryptFrom(msg);
+
+        // Edits / reactions that overtook this message
+        const newMsg = pendingMutationsRef.current.settle({
+          ...envelope,
+          // File messages carry a JSON descriptor, not text
+          content: msg.type === "file" ? JSON.parse(decrypted) : decrypted,
+        });
+
+        // @mentioned → badge / system notification
+        if (
+          newMsg.type === "text" &&
+          mentionsOf(newMsg.content).includes(userId)
+        ) {
+          handleMentionRef.current(newMsg);
+        }
+
+        /*
+          Locked: keep it in memory only, and don't claim
+          it was read (nobody can see it).
+        */
+        if (!isUnlocked()) {
+          lockedInboxRef.current.push(newMsg);
+          setUnread((prev) => ({
+            ...prev,
+            [msg.roomId]: (prev[msg.roomId] ?? 0) + 1,
+          }));
+          channel.send("DELIVERY_RECEIPT", { id: msg.id }, { topic });
+          return;
+        }
+
+        /*
+          Insert at its causal (HLC) position instead of
+          appending in arrival order.
+        */
+        setMessages((prev) => insertByClock(prev, newMsg));
+
+        // Persist so it's there on the next load (history)
+        saveMessage(newMsg).catch((err) =>
+          console.error("Failed to persist message:", err)
+        );
+        indexMessage(newMsg);
+
+        if (newMsg.threadId) bumpThread(newMsg.threadId);
+
+        /*
+          Not looking at that room → count it as unread.
+        */
+        if (msg.roomId !== activeRoomRef.current) {
+          setUnread((prev) => ({
+            ...prev,
+            [msg.roomId]: (prev[msg.roomId] ?? 0) + 1,
+          }));
+        }
+
+        /*
+          Tell the sender its message reached our client.
+          This drives: sent → delivered
+        */
+        channel.send("DELIVERY_RECEIPT", { id: msg.id }, { topic });
+
+        // READ_RECEIPT only once it's actually on screen (SeenObserver)
+      } catch (err) {
+        console.error("Decryption failed:", err);
+      }
+    };
 
     /*
-      Remove user from presence when offline
+      Reorder buffer:
+      - drops duplicates (retries, resends)
+      - holds early arrivals until the gap fills
+      - asks the sender to resend a missing range
     */
-    chatChannel.on("USER_OFFLINE", (id) => {
-      setOnlineUsers((prev) => {
-        const copy = new Set(prev);
-        copy.delete(id);
-        return copy;
-      });
+    const reorderBuffer = new ReorderBuffer({
+      onDeliver: receiveMessage,
+      onGap: (range) =>
+        channel.send("RESEND_REQUEST", range, {
+          topic: roomTopic(range.roomId, userId),
+          delay: 0,
+        }),
     });
 
-    // Ask others who is online
-    chatChannel.send("PRESENCE_REQUEST");
+    unsubscribers.push(
+      channel.on("NEW_MESSAGE", (msg) => {
+        /*
+          Ignore our own messages.
+          Optimistic UI already added them.
+        */
+        if (msg.senderId === userId) return;
+
+        reorderBuffer.push(msg);
+      })
+    );
 
-    // Announce self online
-    chatChannel.send("USER_ONLINE", userId);
+    /*
+      A peer noticed a hole in OUR stream.
+      Replay what we still have; receivers de-dup by id.
+    */
+    unsubscribers.push(
+      channel.on("RESEND_REQUEST", (range) => {
+        if (range.senderId !== userId || range.sessionId !== sessionId) return;
+
+        sentLogRef.current
+          .range(range.roomId, range.from, range.to)
+          .forEach((envelope) =>
+            channel.send("NEW_MESSAGE", envelope, {
+              topic: roomTopic(envelope.roomId, userId),
+              delay: 0,
+            })
+          );
+      })
+    );
 
     /* ===============================
-       📨 INCOMING MESSAGE HANDLER
+       ✏️ EDIT / DELETE / REACTION
        =============================== */
 
-    chatChannel.on("NEW_MESSAGE", async (msg) => {
-      /*
-        Ignore our own messages.
-        Optimistic UI already added them.
-      */
-      if (msg.senderId === userId) return;
+    /*
+      Decrypted with the sender's ratchet like a message.
+      seenMutations drops duplicates (a retried send whose
+      ACK got lost) before they hit the ratchet, which would
+      reject a reused message key anyway.
+    */
+    const seenMutations = new Set();
 
-      try {
-        /*
-          Decrypt message using shared key.
-          In real E2E systems:
-          - Server never sees plaintext.
-        */
-        const decrypted = await decryptMessage(cryptoKey, msg.encrypted);
+    const receiveMutation = async (wire) => {
+      if (wire.senderId === userId || seenMutations.has(wire.id)) return;
+      seenMutations.add(wire.id);
 
-        const newMsg = {
-          ...msg,
-          content: decrypted,
-          status: "delivered",
-        };
+      clockRef.current.receive(wire.hlc);
 
-        /*
-          Append to local message state
-        */
-        setMessages((prev) => [...prev, newMsg]);
+      try {
+        const { encrypted, ...envelope } = wire;
+        const content = JSON.parse(await keysRef.current.decryptFrom(wire));
 
-        /*
-          Simulate read receipt after small delay
-          (In real apps, read receipt triggers when message becomes visible)
-        */
-        setTimeout(() => {
-          chatChannel.send("READ_RECEIPT", { id: msg.id });
-        }, 500);
+        foldMutationRef.current({ ...envelope, content });
       } catch (err) {
         console.error("Decryption failed:", err);
       }
-    });
+    };
+
+    unsubscribers.push(
+      ...Object.values(MUTATION).map((type) => channel.on(type, receiveMutation))
+    );
 
     /* ===============================
-       ✅ READ RECEIPT HANDLER
+       ✅ DELIVERY / READ RECEIPT HANDLERS
        =============================== */
 
-    chatChannel.on("READ_RECEIPT", ({ id }) => {
+    unsubscribers.push(
+      channel.on("DELIVERY_RECEIPT", ({ id }) => {
+        updateStatus(id, MESSAGE_STATUS.DELIVERED);
+      })
+    );
+
+    /*
+      A reader's watermark moved: every message of ours in
+      that room up to it is read. (Group rooms: read by at
+      least one member.)
+    */
+    unsubscribers.push(
+      channel.on("READ_RECEIPT", ({ roomId, upTo }) => {
+        messagesStateRef.current
+          .filter(
+            (m) =>
+              m.roomId === roomId &&
+              m.senderId === userId &&
+              m.status !== MESSAGE_STATUS.READ &&
+              compareHLC(clockOf(m), upTo) <= 0
+          )
+          .forEach((m) => updateStatus(m.id, MESSAGE_STATUS.READ));
+      })
+    );
+
+    /*
+      Our personal inbox: DMs and receipts for them.
+      (Group room topics are joined by the effect below.)
+    */
+    channel.join(inboxTopic(userId));
+
+    /*
+      The relay refused our token (expired / revoked)
+      → back to the login screen.
+    */
+    unsubscribers.push(
+      channel.on("AUTH_ERROR", () => {
+        logout("Your session is no longer valid. Please sign in again.");
+      })
+    );
+
+    teardownRef.current = () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      reorderBuffer.destroy(); // Pending gap timers
+      initializedRef.current = false;
+    };
+
+    /*
+      channel is our abstraction over the transport
+      (BroadcastChannel, WebSocket or SSE).
+
+      Opened last, so every listener above is attached
+      before the first frame can arrive. The first frame
+      out is the HELLO carrying our signed token.
+    */
+    channel.authenticate(session);
+    channel.init();
+
+    // Attached once (initializedRef); later runs are no-ops
+  }, [keysReady, unlocked, channel, session, userId, sessionId, logout]);
+
+  // Unmount (sign-out, StrictMode's test unmount): detach
+  useEffect(
+    () => () => {
+      teardownRef.current?.();
+      teardownRef.current = null;
+    },
+    []
+  );
+
+  /* =========================================================
+     🟢 PRESENCE (leases, away, typing)
+     ========================================================= */
+
+  /*
+    No beforeunload "I'm offline" any more: it never
+    fires on a crash. Peers expire our lease instead.
+  */
+  useEffect(() => {
+    const tracker = presenceRef.current;
+    tracker.start();
+
+    return () => tracker.stop();
+  }, []);
+
+  /* =========================================================
+     👁️ READ STATE (watermarks, page visibility, divider)
+     ========================================================= */
+
+  useEffect(() => {
+    const receipts = readReceiptsRef.current;
+    receipts.start();
+
+    return () => receipts.stop();
+  }, []);
+
+  useEffect(() => {
+    const handleVisibility = () =>
+      setPageVisible(document.visibilityState === "visible");
+
+    document.addEventListener("visibilitychange", handleVisibility);
+
+    return () =>
+      document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
+
+  /*
+    Snapshot the watermark when a room is opened (and once
+    watermarks have loaded). Reading moves the live watermark,
+    not the divider; it moves on the next visit.
+  */
+  const readLoaded = readUpTo !== null;
+
+  useEffect(() => {
+    if (!readLoaded) return;
+
+    setUnreadMark({
+      roomId: activeRoomId,
+      upTo: readReceiptsRef.current.watermarks.get(activeRoomId) ?? null,
+    });
+  }, [activeRoomId, readLoaded]);
+
+  /* =========================================================
+     🏠 ROOMS: RESTORE, SUBSCRIBE, SWITCH
+     ========================================================= */
+
+  /*
+    Restore DMs / rooms from previous sessions.
+  */
+  useEffect(() => {
+    getRooms()
+      .then((saved) =>
+        setRooms((prev) => [
+          ...prev,
+          ...saved.filter((room) => !prev.some((r) => r.id === room.id)),
+        ])
+      )
+      .catch((err) => console.error("Failed to load rooms:", err));
+  }, []);
+
+  /*
+    Subscribe to every group room in the sidebar, not just
+    the open one: unread counters need their traffic too.
+    join() is idempotent, so re-running is harmless.
+  */
+  useEffect(() => {
+    rooms
+      .filter((room) => room.kind === ROOM_KIND.GROUP)
+      .forEach((room) => channel.join(roomTopic(room.id, userId)));
+  }, [rooms, channel, userId]);
+
+  const selectRoom = (roomId) => {
+    setActiveRoomId(roomId);
+    setOpenThreadId(null);
+    setReplyingTo(null);
+    setUnread((prev) => ({ ...prev, [roomId]: 0 }));
+    setMentioned((prev) => ({ ...prev, [roomId]: false }));
+  };
+
+  /*
+    handleMention(message)
+
+    Someone @mentioned us. Looking at that room right
+    now → the highlighted mention is enough. Otherwise
+    badge the room, and raise a system notification
+    (shows nothing readable while storage is locked).
+  */
+  const handleMention = (message) => {
+    const otherRoom = message.roomId !== activeRoomRef.current;
+    if (!otherRoom && !document.hidden) return;
+
+    if (otherRoom) {
+      setMentioned((prev) => ({ ...prev, [message.roomId]: true }));
+    }
+
+    notifyMention({
+      senderId: message.senderId,
+      roomName: isDirectRoom(message.roomId)
+        ? "a direct message"
+        : `#${message.roomId}`,
+      text: isUnlocked() ? previewOf(message) : null,
+      onClick: () => selectRoom(message.roomId),
+    });
+  };
+
+  handleMentionRef.current = handleMention;
+
+  const startDirect = (peerId) => {
+    if (peerId === userId) return;
+
+    const room = directRoom(userId, peerId);
+    addRoom(room);
+    selectRoom(room.id);
+  };
+
+  /* =========================================================
+     🗃️ OFFLINE OUTBOX LIFECYCLE
+     =========================================================
+
+    Separate effect with a real cleanup (no initializedRef
+    guard), so StrictMode's mount → unmount → mount leaves
+    exactly one "online" listener attached.
+  */
+
+  useEffect(() => {
+    if (!unlocked) return; // the outbox is sealed too
+
+    const outbox = outboxRef.current;
+
+    outbox.start();
+
+    return () => outbox.stop();
+  }, [unlocked]);
+
+  /* =========================================================
+     📜 HISTORY: HYDRATE + LOAD OLDER ON SCROLL-TOP
+     ========================================================= */
+
+  /*
+    loadOlder(roomId, before)
+
+    Fetches one page of a room from IndexedDB and merges it in.
+    insertByClock de-dups, so a message that is both
+    live and on disk never shows up twice.
+
+    Only touches refs / setters → one stable function.
+  */
+  const loadOlder = useCallback(async (roomId, before) => {
+    setLoadingHistory(true);
+
+    try {
+      // MessageList keeps the viewport in place when this prepends
+      const page = await getMessagesPage({ roomId, before, limit: 30 });
+
       /*
-        Update only matching message status
-        This mimics server acknowledgement.
+        Mutations parked while locked (or before this page
+        was loaded) are applied now, and written back.
       */
+      const settled = page.messages.map((m) => {
+        const next = pendingMutationsRef.current.settle(m);
+        if (next !== m) {
+          updateMessage(m.id, () => next).catch((err) =>
+            console.error("Failed to persist mutation:", err)
+          );
+        }
+        return next;
+      });
+
       setMessages((prev) =>
-        prev.map((m) =>
-          m.id === id ? { ...m, status: "read" } : m
-        )
+        settled.reduce((list, m) => insertByClock(list, m), prev)
       );
-    });
+      setHistoryCursors((prev) => ({ ...prev, [roomId]: page.nextCursor }));
 
-    /* ===============================
-       🧹 CLEANUP
-       =============================== */
+      // "N replies" for every message on this page (index counts only)
+      const counts = await Promise.all(settled.map((m) => countThreadReplies(m.id)));
 
-    const handleUnload = () => {
-      chatChannel.send("USER_OFFLINE", userId);
-    };
+      setThreadCounts((prev) => {
+        const next = { ...prev };
+        settled.forEach((m, i) => {
+          if (counts[i] > 0) next[m.id] = counts[i];
+        });
+        return next;
+      });
 
-    window.addEventListener("beforeunload", handleUnload);
+      return page;
+    } catch (err) {
+      console.error("Failed to load history:", err);
+      return null;
+    } finally {
+      setLoadingHistory(false);
+    }
+  }, []);
 
-    return () => {
-      window.removeEventListener("beforeunload", handleUnload);
-    };
-  }, [cryptoKey]);
+  /* =========================================================
+     🔍 SEARCH → JUMP TO HIT
+     ========================================================= */
+
+  /*
+    runSearch(query) → hits in the active room. Changes
+    with the room, so an open panel re-runs its query.
+  */
+  const runSearch = useCallback(
+    (query) => searchRef.current.search(activeRoomId, query),
+    [activeRoomId]
+  );
+
+  /*
+    jumpToHit(hit)
+
+    Thread reply → open its thread. Otherwise page back
+    through history until the hit is loaded (it may be
+    months old), then let the effect below scroll to it.
+  */
+  const jumpToHit = async ({ id, threadId }) => {
+    if (threadId) {
+      openThread({ id: threadId });
+    } else if (!messagesStateRef.current.some((m) => m.id === id)) {
+      let cursor = historyCursors[activeRoomId];
+
+      while (cursor) {
+        const page = await loadOlder(activeRoomId, cursor);
+        if (!page || page.messages.some((m) => m.id === id)) break;
+        cursor = page.nextCursor;
+      }
+    }
+
+    setJumpTarget(id);
+  };
+
+  /*
+    scrollToMessage(id) → false if it isn't rendered anywhere
+    yet. Main list → virtualized scroll; thread panel → DOM.
+  */
+  const scrollToMessage = useCallback((id) => {
+    if (messageListRef.current?.scrollToKey(id)) return true;
+
+    const element = document.getElementById(`msg-${id}`);
+    element?.scrollIntoView({ behavior: "smooth", block: "center" });
+
+    return Boolean(element);
+  }, []);
+
+  /*
+    Waits for the target to be loaded (pages / thread still
+    rendering), scrolls to it, flashes it. Main list rows
+    may not be in the DOM (virtualized) → ask the list.
+    (messages / openThreadId: re-check after each render
+    that could have brought the target in.)
+  */
+  useEffect(() => {
+    if (!jumpTarget) return;
+
+    if (!scrollToMessage(jumpTarget)) return;
+
+    setHighlightId(jumpTarget);
+    setJumpTarget(null);
+  }, [jumpTarget, messages, openThreadId, scrollToMessage]);
+
+  useEffect(() => {
+    if (!highlightId) return;
+
+    const timer = setTimeout(() => setHighlightId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightId]);
+
+  /*
+    Hydrate the latest page the first time a room is opened.
+    Local-first → the chat renders instantly, even offline.
+  */
+  const activeCursor = historyCursors[activeRoomId]; // undefined → never loaded
+
+  useEffect(() => {
+    if (!unlocked || activeCursor !== undefined) return;
+
+    loadOlder(activeRoomId, undefined);
+  }, [activeRoomId, activeCursor, unlocked, loadOlder]);
+
+  const handleReachTop = () => {
+    if (!activeCursor || loadingHistory) return;
+
+    loadOlder(activeRoomId, activeCursor);
+  };
+
+  /*
+    Only the active room is rendered.
+  */
+  // Main list: thread replies only show in the thread panel
+  const visibleMessages = messages.filter(
+    (m) => m.roomId === activeRoomId && !m.threadId
+  );
 
   /* =========================================================
-     3️⃣ AUTO SCROLL TO BOTTOM ON NEW MESSAGE
+     🔒 LOCK / UNLOCK (encryption at rest)
      ========================================================= */
 
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+    hasVault()
+      .then(setVaultExists)
+      .catch((err) => console.error("Failed to read vault:", err));
+  }, []);
+
+  /*
+    handleUnlock(passphrase)
+
+    Derives the storage key (throws on a wrong passphrase),
+    writes whatever arrived while locked, then lets the
+    hydrate effect read history.
+  */
+  const handleUnlock = async (passphrase) => {
+    await unlockStorage(passphrase);
+
+    const buffered = lockedInboxRef.current;
+    lockedInboxRef.current = [];
+    await Promise.all(buffered.map(saveMessage));
+    buffered.forEach(indexMessage);
+
+    setVaultExists(true);
+    setUnlocked(true);
+  };
+
+  /*
+    handleLock()
+
+    Drop the key AND the plaintext we're holding in state.
+    Rooms are re-hydrated from disk after the next unlock.
+  */
+  const handleLock = () => {
+    lock();
+    setUnlocked(false);
+    setMessages([]);
+    setHistoryCursors({});
+    setThreadCounts({});
+    setOpenThreadId(null);
+    setReplyingTo(null);
+
+    // Decrypted attachments are plaintext too
+    Object.values(attachments).forEach(({ url }) => url && URL.revokeObjectURL(url));
+    setAttachments({});
+    fileTransferRef.current.reset();
+
+    // The search index is plaintext too
+    searchRef.current.clear();
+    setShowSearch(false);
+  };
+
+  /* =========================================================
+     🚪 SIGN OUT (button, expiry, rejected token)
+     ========================================================= */
+
+  /*
+    Runs before the session is dropped: lock storage, drop
+    plaintext, detach from the (shared) channel and close
+    this user's database so the next user of this tab
+    starts clean. Through a ref, so the subscription
+    always calls the latest handleLock.
+  */
+  const signOutRef = useRef(null);
+
+  signOutRef.current = () => {
+    // Batched receipts go out (and to disk) while both still work
+    readReceiptsRef.current.stop();
+
+    handleLock();
+    channel.reset();
+    closeDatabase(); // The next user opens their own
+  };
+
+  useEffect(() => onSignOut(() => signOutRef.current()), [onSignOut]);
+
+  /*
+    Attachments in view: load from disk / keep downloading.
+    expect() is idempotent, and chunks that arrived before
+    the message (or last session) are picked up from IndexedDB.
+  */
+  useEffect(() => {
+    messages
+      .filter(
+        (m) =>
+          m.roomId === activeRoomId &&
+          !m.threadId &&
+          m.type === "file" &&
+          !m.deleted &&
+          !attachments[m.content.fileId]
+      )
+      .forEach((m) =>
+        fileTransferRef.current
+          .expect(m)
+          .catch((err) => console.error("Failed to load attachment:", err))
+      );
+  }, [messages, activeRoomId, attachments]);
+
+  /* =========================================================
+     3️⃣ SCROLL MANAGEMENT
+     =========================================================
+
+    Handled by MessageList (virtualized): stable on prepend,
+    sticks to the bottom only while the user is there.
+    Jumps to a message: scrollToMessage (🔍 SEARCH above).
+  */
 
   /* =========================================================
      4️⃣ SEND MESSAGE (Optimistic UI)
      ========================================================= */
 
-  const sendMessage = async (text, type = "text") => {
-    if (!text || !cryptoKey) return;
+  /*
+    sendMessage(text, type, { replyTo, threadId })
+
+    replyTo  → id of the quoted message (preview in the bubble)
+    threadId → root message id: the reply goes to that
+               thread's panel instead of the main list
+  */
+  const sendMessage = async (text, type = "text", { replyTo, threadId } = {}) => {
+    if (!text) return;
 
     const trimmed = type === "text" ? text.trim() : text;
     if (!trimmed) return;
 
+    // A user gesture: the only moment browsers let us ask
+    requestNotificationPermission();
+
     const id = crypto.randomUUID(); // Prevent duplication
 
     /*
-      Encrypt before sending.
-      Server will only see encrypted payload.
+      Envelope ordering fields:
+      - sessionId + seq → per-sender, per-room FIFO, gap detection
+      - hlc             → causal position across senders
     */
-    const encrypted = await encryptMessage(cryptoKey, trimmed);
+    const roomId = activeRoomId;
+    seqRef.current[roomId] = (seqRef.current[roomId] ?? 0) + 1;
 
     const message = {
       id,
+      roomId,
       senderId: userId,
+      sessionId,
+      seq: seqRef.current[roomId],
+      hlc: clockRef.current.tick(),
       type,
-      encrypted,
-      content: trimmed,
-      status: "sending", // Initial state
+      content: trimmed, // encrypted per recipient by the outbox
+      ...(replyTo && { replyTo }),
+      ...(threadId && { threadId }),
+
+      status: MESSAGE_STATUS.SENDING, // Initial state
       createdAt: new Date().toISOString(),
     };
 
+    if (threadId) bumpThread(threadId);
+
     /*
       Optimistic Update:
       Show message immediately without waiting for network.
     */
-    setMessages((prev) => [...prev, message]);
+    setMessages((prev) => insertByClock(prev, message));
+    indexMessage(message);
 
     /*
-      Simulate network delay (WebSocket latency)
+      Persist to the outbox first, then flush.
+      Offline → it simply waits there (status stays "sending").
+      Storage failed → "failed", tap to retry.
     */
-    setTimeout(() => {
-      chatChannel.send("NEW_MESSAGE", message);
+    outboxRef.current.enqueue(message).catch((err) => {
+      console.error("Failed to queue message:", err);
+      updateStatus(id, MESSAGE_STATUS.FAILED);
+    });
 
-      /*
-        Update status to "sent"
-        In real system: server ACK would trigger this.
-      */
-      setMessages((prev) =>
-        prev.map((m) =>
-          m.id === id ? { ...m, status: "sent" } : m
-        )
-      );
-    }, 800);
+    presenceRef.current.setTyping(roomId, false);
+  };
+
+  /*
+    Composer: a pending quote rides along, then clears.
+  */
+  const submitText = (text) => {
+    if (!text.trim()) return;
+
+    sendMessage(text, "text", replyingTo ? { replyTo: replyingTo.id } : {});
+    setReplyingTo(null);
+  };
+
+  const bumpThread = (threadId) =>
+    setThreadCounts((prev) => ({ ...prev, [threadId]: (prev[threadId] ?? 0) + 1 }));
+
+  /*
+    openThread(root)
+
+    Replies aren't in the room pages (see getMessagesPage),
+    so the whole thread is loaded from its own index.
+  */
+  const openThread = (root) => {
+    setOpenThreadId(root.id);
+
+    if (!isUnlocked()) return;
+
+    getThreadReplies(root.id)
+      .then((replies) =>
+        setMessages((prev) => replies.reduce((list, m) => insertByClock(list, m), prev))
+      )
+      .catch((err) => console.error("Failed to load thread:", err));
+  };
+
+  /*
+    sendMutation(type, target, content)
+
+    Optimistic like sendMessage: fold it locally, then
+    queue it behind anything still in the outbox.
+  */
+  const sendMutation = (type, target, content) => {
+    const mutation = {
+      id: crypto.randomUUID(),
+      roomId: target.roomId,
+      senderId: userId,
+      sessionId,
+      hlc: clockRef.current.tick(),
+      type,
+      content: { targetId: target.id, ...content },
+      createdAt: new Date().toISOString(),
+    };
+
+    foldMutation(mutation);
+    outboxRef.current
+      .enqueue(mutation)
+      .catch((err) => console.error("Failed to queue change:", err));
+  };
+
+  const editMessage = (message, text) => {
+    setEditingId(null);
+
+    const trimmed = text.trim();
+    if (!trimmed || trimmed === message.content) return;
+
+    sendMutation(MUTATION.EDIT, message, { text: trimmed });
+  };
+
+  const deleteMessage = (message) => {
+    if (!withinDeleteWindow(message)) return;
+
+    sendMutation(MUTATION.DELETE, message, {});
+  };
+
+  const toggleReaction = (message, emoji) => {
+    const mine = (message.reactions?.[emoji] ?? []).includes(userId);
+
+    sendMutation(MUTATION.REACTION, message, { emoji, add: !mine });
+  };
+
+  /*
+    retryMessage(message)
+
+    The failed message is still in the outbox (or the
+    outbox's memory, if storing it failed), so retrying
+    is just another flush. Same id → a receiver that
+    already got it simply ignores it.
+  */
+  const retryMessage = (message) => {
+    outboxRef.current.flush().catch((err) => {
+      console.error("Retry failed:", err);
+      updateStatus(message.id, MESSAGE_STATUS.FAILED);
+    });
   };
 
   /* =========================================================
-     5️⃣ HANDLE IMAGE UPLOAD
+     5️⃣ HANDLE FILE UPLOAD (any type)
      ========================================================= */
 
-  const handleFile = (file) => {
+  const handleFile = async (file) => {
     if (!file) return;
 
+    setUploadError(null);
+
     /*
-      Convert image to base64.
+      Images first go through the media pipeline:
+      compress, strip EXIF, BlurHash preview.
+
+      Then encrypt + chunk + store locally, and send the
+      descriptor (with the preview) through the normal
+      outbox path; the chunks stream after it.
       NOTE:
       In production:
-      - Upload to S3
-      - Send URL instead
+      - Chunks go to object storage (S3)
+      - Only the descriptor goes through the chat
     */
-    const reader = new FileReader();
+    try {
+      let upload = file;
+      let preview;
 
-    reader.onload = () => {
-      sendMessage(reader.result, "image");
-    };
+      if (isCompressibleImage(file)) {
+        ({ file: upload, preview } = await prepareImage(file));
+      }
+
+      const descriptor = await fileTransferRef.current.prepare(upload);
 
-    reader.readAsDataURL(file);
+      // Our own copy doesn't need reassembling
+      setAttachments((prev) => ({
+        ...prev,
+        [descriptor.fileId]: { url: URL.createObjectURL(upload) },
+      }));
+
+      sendMessage(preview ? { ...descriptor, preview } : descriptor, "file");
+    } catch (err) {
+      console.error("Failed to send file:", err);
+      setUploadError(`Couldn't send ${file.name}: ${err.message}`);
+    }
   };
 
   /* =========================================================
      6️⃣ UI RENDER
      ========================================================= */
 
-  return (
-    <div className="chat-container">
-      {/* Header */}
-      <div className="chat-header">
-        <h3>{userId}</h3>
-        <span className="presence">
-          Online:{" "}
-          {[...onlineUsers].length > 0
-            ? [...onlineUsers].join(", ")
-            : "None"}
-        </span>
-      </div>
+  if (!unlocked) {
+    if (vaultExists === null) return null;
 
-      {/* Messages */}
-      <div className="messages">
-        {messages.map((msg) => (
-          <div
-            key={msg.id}
-            className={`message ${msg.senderId === userId ? "sent" : "received"}`}
-          >
-            {msg.type === "image" ? (
-              <img
-                src={msg.content}
-                alt={`Shared by ${msg.senderId}`}
-                className="chat-image"
-              />
-            ) : (
-              <span>{msg.content}</span>
-            )}
+    return <UnlockScreen isNew={!vaultExists} onUnlock={handleUnlock} />;
+  }
 
-            {/* Show status only for own messages */}
-            <div className="status">
-              {msg.senderId === userId && (
-                <>
-                  {msg.status === "sent" && "✓"}
-                  {msg.status === "delivered" && "✓✓"}
-                  {msg.status === "read" && "✓✓ Read"}
-                </>
-              )}
-            </div>
-          </div>
-        ))}
+  const activeRoom = rooms.find((r) => r.id === activeRoomId);
 
-        {/* Scroll anchor */}
-        <div ref={messagesEndRef} />
-      </div>
+  /*
+    Whose keys matter for this room:
+    DM → the peer, group → everyone we hold a key for.
+  */
+  const roomPeers = isDirectRoom(activeRoomId)
+    ? keyInfo.peers.filter((p) => p.userId === directPeer(activeRoomId, userId))
+    : keyInfo.peers;
 
-      {/* Input */}
-      <div className="chat-input">
-        <label className="attach-btn">
-          📎
-          <input
-            type="file"
-            accept="image/*"
-            onChange={(e) => handleFile(e.target.files[0])}
-            hidden
-          />
-        </label>
+  /*
+    Header presence line:
+    DM    → the peer's status / last seen
+    group → everyone whose lease is live
+  */
+  const online = Object.entries(presence.peers).filter(
+    ([, p]) => p.status !== PRESENCE_STATUS.OFFLINE
+  );
+
+  let presenceText;
+
+  if (isDirectRoom(activeRoomId)) {
+    const peer = presence.peers[directPeer(activeRoomId, userId)];
+
+    presenceText =
+      peer && peer.status !== PRESENCE_STATUS.OFFLINE
+        ? peer.status
+        : peer?.lastSeen
+        ? `last seen ${formatLastSeen(peer.lastSeen)}`
+        : "offline";
+  } else {
+    presenceText = `Online: ${
+      online.length > 0
+        ? online
+            .map(([id, p]) => (p.status === PRESENCE_STATUS.AWAY ? `${id} (away)` : id))
+            .join(", ")
+        : "None"
+    }`;
+  }
+
+  const typingUsers = presence.typing[activeRoomId] ?? [];
+
+  const messagesById = new Map(messages.map((m) => [m.id, m]));
+
+
+  /*
+    isReadByUs → received message at/before our live watermark
+    firstUnreadId → where the "Unread messages" divider goes
+  */
+  const isReadByUs = (m) => {
+    const upTo = readUpTo?.[m.roomId];
+    return Boolean(upTo) && compareHLC(clockOf(m), upTo) <= 0;
+  };
+
+  const firstUnreadId =
+    unreadMark?.roomId === activeRoomId
+      ? visibleMessages.find(
+          (m) =>
+            m.senderId !== userId &&
+            (!unreadMark.upTo || compareHLC(clockOf(m), unreadMark.upTo) > 0)
+        )?.id
+      : undefined;
 
+  /*
+    Rows for the virtualized list: messages, plus the
+    unread divider as a row of its own.
+  */
+  const listItems = visibleMessages.flatMap((msg) => [
+    ...(msg.id === firstUnreadId ? [{ key: "unread-divider", divider: true }] : []),
+    { key: msg.id, message: msg },
+  ]);
+
+  const renderMessage = (msg) => (
+    <SeenObserver
+      id={`msg-${msg.id}`}
+      active={pageVisible && msg.senderId !== userId && !isReadByUs(msg)}
+      onSeen={() => readReceiptsRef.current.markSeen(msg)}
+      className={`message ${msg.senderId === userId ? "sent" : "received"} ${
+        msg.id === highlightId ? "highlighted" : ""
+      }`}
+    >
+      {!msg.deleted && editingId !== msg.id && (
+        <MessageActions
+          canEdit={msg.senderId === userId && msg.type === "text"}
+          canDelete={msg.senderId === userId && withinDeleteWindow(msg)}
+          onReact={(emoji) => toggleReaction(msg, emoji)}
+          onReply={() => setReplyingTo(msg)}
+          onThread={() => openThread(msg)}
+          onEdit={() => setEditingId(msg.id)}
+          onDelete={() => deleteMessage(msg)}
+        />
+      )}
+
+      {msg.replyTo && (
+        <QuotedMessage
+          message={messagesById.get(msg.replyTo)}
+          onClick={() => scrollToMessage(msg.replyTo)}
+        />
+      )}
+
+      {msg.deleted ? (
+        <em className="deleted-message">🚫 This message was deleted</em>
+      ) : editingId === msg.id ? (
         <input
-          type="text"
-          placeholder="Type a message..."
+          className="edit-input"
+          defaultValue={msg.content}
+          autoFocus
+          onBlur={() => setEditingId(null)}
           onKeyDown={(e) => {
-            if (e.key === "Enter" && !e.shiftKey) {
-              e.preventDefault();
-              sendMessage(e.target.value);
-              e.target.value = "";
-            }
+            if (e.key === "Enter") editMessage(msg, e.target.value);
+            if (e.key === "Escape") setEditingId(null);
           }}
         />
-
-        <button
-          className="send-btn"
-          onClick={() => {
-            const input = document.querySelector(".chat-input input[type='text']");
-            if (!input.value.trim()) return;
-            sendMessage(input.value);
-            input.value = "";
-          }}
-        >
-          ➤
+      ) : msg.type === "file" ? (
+        <Attachment
+          descriptor={msg.content}
+          transfer={attachments[msg.content.fileId]}
+        />
+      ) : msg.type === "image" ? (
+        /* Legacy: inline data URL from before chunked transfer */
+        <img
+          src={msg.content}
+          alt={`Shared by ${msg.senderId}`}
+          className="chat-image"
+        />
+      ) : (
+        <>
+          <RichText text={msg.content} userId={userId} />
+          <LinkPreview url={firstLink(msg.content)} />
+        </>
+      )}
+
+      {/* Previous versions, oldest first */}
+      {msg.edits?.length > 0 && (
+        <details className="edit-history">
+          <summary>edited</summary>
+          {msg.edits.map((edit, i) => (
+            <div key={i}>{edit.content}</div>
+          ))}
+        </details>
+      )}
+
+      <Reactions
+        reactions={msg.reactions}
+        userId={userId}
+        onToggle={(emoji) => toggleReaction(msg, emoji)}
+      />
+
+      {threadCounts[msg.id] > 0 && (
+        <button className="thread-link" onClick={() => openThread(msg)}>
+          💬 {threadCounts[msg.id]}{" "}
+          {threadCounts[msg.id] === 1 ? "reply" : "replies"}
         </button>
+      )}
+
+      {/* Show status only for own messages */}
+      <div className="status">
+        {msg.senderId === userId && (
+          <>
+            {msg.status === MESSAGE_STATUS.SENDING && "🕓"}
+            {msg.status === MESSAGE_STATUS.SENT && "✓"}
+            {msg.status === MESSAGE_STATUS.DELIVERED && "✓✓"}
+            {msg.status === MESSAGE_STATUS.READ && "✓✓ Read"}
+            {msg.status === MESSAGE_STATUS.FAILED && (
+              <button
+                className="retry-btn"
+                onClick={() => retryMessage(msg)}
+              >
+                ⚠ Failed · tap to retry
+              </button>
+            )}
+          </>
+        )}
       </div>
+    </SeenObserver>
+  );
+
+  return (
+    <div className="chat-app">
+      <RoomList
+        rooms={rooms}
+        activeRoomId={activeRoomId}
+        unread={unread}
+        mentioned={mentioned}
+        presence={presence.peers}
+        onSelect={selectRoom}
+        onStartDirect={startDirect}
+      />
+
+      <div className="chat-container">
+        {/* Header */}
+        <div className="chat-header">
+          <h3>
+            {activeRoom?.kind === ROOM_KIND.DIRECT ? "@" : "#"}
+            {activeRoom?.name ?? activeRoomId}
+          </h3>
+          <small className="presence">Signed in as {userId}</small>
+          <div className="header-actions">
+            <button
+              className="verify-btn"
+              onClick={() => setShowKeys((open) => !open)}
+            >
+              {roomPeers.some((p) => p.changed) ? "⚠ " : "🔐 "}Verify
+            </button>
+            <button
+              className="verify-btn"
+              onClick={() => setShowSearch((open) => !open)}
+            >
+              🔍 Search
+            </button>
+            <button className="verify-btn" onClick={handleLock}>
+              🔒 Lock
+            </button>
+            <button className="verify-btn" onClick={() => logout()}>
+              Sign out
+            </button>
+          </div>
+          <span className="presence">{presenceText}</span>
+        </div>
+
+        {/* Connection banner (hidden while healthy) */}
+        <ConnectionBanner connection={connection} />
+
+        {showSearch && (
+          <SearchPanel
+            onSearch={runSearch}
+            onJump={jumpToHit}
+            onClose={() => setShowSearch(false)}
+          />
+        )}
+
+        {showKeys && (
+          <KeyVerification
+            fingerprint={keyInfo.fingerprint}
+            peers={roomPeers}
+            onVerify={(peerId) => keysRef.current.markVerified(peerId)}
+            onClose={() => setShowKeys(false)}
+          />
+        )}
+
+        {/* Messages (virtualized) */}
+        <div className="messages">
+          {loadingHistory && <div className="history-loader">Loading history…</div>}
+
+          <MessageList
+            key={activeRoomId}
+            ref={messageListRef}
+            items={listItems}
+            renderItem={(item) =>
+              item.divider ? (
+                <div className="unread-divider">
+                  <span>Unread messages</span>
+                </div>
+              ) : (
+                renderMessage(item.message)
+              )
+            }
+            onReachTop={handleReachTop}
+          />
+        </div>
+
+        {typingUsers.length > 0 && (
+          <div className="typing-indicator">
+            {typingUsers.join(", ")} {typingUsers.length > 1 ? "are" : "is"} typing…
+          </div>
+        )}
+
+        {replyingTo && (
+          <div className="replying-to">
+            <QuotedMessage message={replyingTo} onClear={() => setReplyingTo(null)} />
+          </div>
+        )}
+
+        {uploadError && (
+          <div className="upload-error" role="alert">
+            <span>⚠ {uploadError}</span>
+            <button onClick={() => setUploadError(null)} aria-label="Dismiss">
+              ✕
+            </button>
+          </div>
+        )}
+
+        {/* Input */}
+        <div className="chat-input">
+          <label className="attach-btn">
+            📎
+            <input
+              type="file"
+              onChange={(e) => {
+                handleFile(e.target.files[0]);
+                e.target.value = ""; // same file can be picked again
+              }}
+              hidden
+            />
+          </label>
+
+          <input
+            type="text"
+            placeholder="Type a message..."
+            onChange={(e) =>
+              presenceRef.current.setTyping(activeRoomId, e.target.value.trim() !== "")
+            }
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && !e.shiftKey) {
+                e.preventDefault();
+                submitText(e.target.value);
+                e.target.value = "";
+              }
+            }}
+          />
+
+          <button
+            className="send-btn"
+            onClick={() => {
+              const input = document.querySelector(
+                ".chat-container .chat-input input[type='text']"
+              );
+              if (!input.value.trim()) return;
+              submitText(input.value);
+              input.value = "";
+            }}
+          >
+            ➤
+          </button>
+        </div>
+      </div>
+
+      {openThreadId && (
+        <ThreadPanel
+          root={messagesById.get(openThreadId)}
+          replies={messages.filter((m) => m.threadId === openThreadId)}
+          userId={userId}
+          highlightId={highlightId}
+          onSend={(text) => sendMessage(text, "text", { threadId: openThreadId })}
+          onClose={() => setOpenThreadId(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+/*
+  ConnectionBanner
+
+  Users must KNOW when their messages can't go out.
+  Silent failure is the worst chat UX.
+*/
+function ConnectionBanner({ connection }) {
+  const { state, retryIn } = connection;
+
+  if (state === CONNECTION_STATE.OPEN) return null;
+
+  const text = {
+    [CONNECTION_STATE.CONNECTING]: "Connecting…",
+    [CONNECTION_STATE.DEGRADED]: "Connection unstable. Messages may be delayed.",
+    [CONNECTION_STATE.CLOSED]: retryIn
+      ? `Disconnected. Reconnecting in ${Math.round(retryIn / 1000)}s…`
+      : "Disconnected.",
+  }[state];
+
+  return (
+    <div className={`connection-banner ${state}`} role="status">
+      {text}
     </div>
   );
 }
@@ -385,7 +1860,7 @@ export default RealTimeChat;
 
 // Message state machine
 
-// E2E encryption simulation
+// E2E encryption (ECDH key agreement + fingerprint verification)
 
 // Event-driven architecture
 
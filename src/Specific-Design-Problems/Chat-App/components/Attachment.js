@@ -0,0 +1,82 @@
+import React from "react";
+import { Blurhash } from "react-blurhash";
+import { safeMime } from "../services/fileTransfer";
+
+/*
+  Attachment (file message bubble content)
+
+  descriptor → { fileId, name, mime, size, chunkCount, preview?, … }
+  transfer   → { direction, done, total, url, error } | undefined
+
+  - Images show their BlurHash (sent inside the descriptor)
+    at the final aspect ratio until the real bytes arrive
+  - Raster images get an inline preview once reassembled
+    (anything else is an opaque download, see safeMime)
+  - Everything else is a file card
+  - Download button as soon as the verified Blob exists
+*/
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function Attachment({ descriptor, transfer = {} }) {
+  const { name, mime, size, preview } = descriptor;
+  const { url, error, done, total, direction } = transfer;
+
+  const inFlight = !error && total > 0 && done < total;
+  const percent = total ? Math.round((done / total) * 100) : 0;
+
+  return (
+    <div className="attachment">
+      {url && safeMime(mime).startsWith("image/") && (
+        <img src={url} alt={name} className="chat-image" />
+      )}
+
+      {!url && preview && (
+        <div
+          className="chat-image image-placeholder"
+          style={{ aspectRatio: `${preview.width} / ${preview.height}` }}
+        >
+          <Blurhash
+            hash={preview.blurhash}
+            width="100%"
+            height="100%"
+            resolutionX={32}
+            resolutionY={32}
+            punch={1}
+          />
+        </div>
+      )}
+
+      <div className="attachment-card">
+        <span className="attachment-icon">📄</span>
+
+        <div className="attachment-meta">
+          <span className="attachment-name">{name}</span>
+          <small>{formatSize(size)}</small>
+        </div>
+
+        {url && (
+          <a className="download-btn" href={url} download={name}>
+            ⬇
+          </a>
+        )}
+      </div>
+
+      {inFlight && (
+        <div className="attachment-progress" title={`${percent}%`}>
+          <div style={{ width: `${percent}%` }} />
+          <small>
+            {direction === "up" ? "Uploading" : "Downloading"} {percent}%
+          </small>
+        </div>
+      )}
+
+      {error && <small className="attachment-error">⚠ {error}</small>}
+    </div>
+  );
+}
+
+export default Attachment;
@@ -0,0 +1,97 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  authBackend,
+  clearSession,
+  loadSession,
+  saveSession,
+} from "../services/auth";
+
+/*
+  AuthProvider
+
+  Owns the session for everything below it:
+
+    session → { userId, token, expiresAt } | null
+    login(userId, password) → promise; rejects with the
+                              backend's error message
+    logout(notice)          → notice is shown on the login
+                              screen ("Your session expired")
+    onSignOut(callback)     → runs BEFORE the session is
+                              dropped (lock storage, close the
+                              channel); returns unsubscribe
+
+  backend → anything with login(userId, password)
+            (services/auth.js); injectable for tests.
+
+  The session is restored from sessionStorage on load and
+  ends on its own at expiresAt.
+*/
+const AuthContext = createContext(null);
+
+export function AuthProvider({ backend = authBackend, children }) {
+  const [session, setSession] = useState(loadSession);
+  const [notice, setNotice] = useState(null);
+
+  const signOutListeners = useRef(new Set());
+
+  const login = useCallback(
+    async (userId, password) => {
+      const next = await backend.login(userId.trim(), password);
+
+      saveSession(next);
+      setNotice(null);
+      setSession(next);
+    },
+    [backend]
+  );
+
+  const logout = useCallback((reason = null) => {
+    signOutListeners.current.forEach((cb) => cb());
+
+    clearSession();
+    setNotice(reason);
+    setSession(null);
+  }, []);
+
+  const onSignOut = useCallback((callback) => {
+    signOutListeners.current.add(callback);
+    return () => signOutListeners.current.delete(callback);
+  }, []);
+
+  // Tokens are short-lived: sign out the moment ours expires
+  useEffect(() => {
+    if (!session) return;
+
+    const timer = setTimeout(
+      () => logout("Your session expired. Please sign in again."),
+      session.expiresAt - Date.now()
+    );
+
+    return () => clearTimeout(timer);
+  }, [session, logout]);
+
+  const value = useMemo(
+    () => ({ session, notice, login, logout, onSignOut }),
+    [session, notice, login, logout, onSignOut]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const auth = useContext(AuthContext);
+
+  if (!auth) throw new Error("useAuth() must be used inside <AuthProvider>");
+
+  return auth;
+}
+
+export default AuthProvider;
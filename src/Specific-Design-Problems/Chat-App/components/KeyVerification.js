@@ -0,0 +1,57 @@
+import React from "react";
+
+/*
+  KeyVerification (panel)
+
+  Shows our own fingerprint and the fingerprints of the
+  people in the open conversation. Users compare them out
+  of band (call, in person); if they match, they mark the
+  peer as verified.
+
+  ⚠ = the peer's key changed since we first saw it.
+
+  Presentational: key state lives in KeyManager,
+  mirrored into RealTimeChat.
+*/
+function KeyVerification({ fingerprint, peers, onVerify, onClose }) {
+  return (
+    <div className="key-verification">
+      <div className="key-verification-header">
+        <strong>🔐 Verify encryption</strong>
+        <button onClick={onClose} aria-label="Close">
+          ✕
+        </button>
+      </div>
+
+      <p>
+        Your fingerprint
+        <code className="fingerprint">{fingerprint ?? "…"}</code>
+      </p>
+
+      {peers.length === 0 && <p>No peer keys received yet.</p>}
+
+      <ul>
+        {peers.map((peer) => (
+          <li key={peer.userId} className={peer.changed ? "key-changed" : ""}>
+            <span>
+              {peer.changed && "⚠ "}
+              {peer.userId}
+              {peer.verified && " ✓"}
+            </span>
+            <code className="fingerprint">{peer.fingerprint}</code>
+
+            {peer.changed && <small>Key changed. Verify again.</small>}
+
+            {!peer.verified && (
+              <button onClick={() => onVerify(peer.userId)}>
+                Mark as verified
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default KeyVerification;
@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from "react";
+import { fetchLinkPreview } from "../services/linkPreview";
+
+/*
+  LinkPreview (card under a message)
+
+  url → the link to preview (null → nothing)
+
+  Metadata is third-party input: rendered as text only.
+  The image comes through the preview server (see
+  services/linkPreview.js), never from its own host.
+*/
+function LinkPreview({ url }) {
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (!url) return;
+
+    let current = true;
+    fetchLinkPreview(url).then((result) => current && setPreview(result));
+
+    return () => {
+      current = false;
+    };
+  }, [url]);
+
+  if (!url || !preview) return null;
+
+  return (
+    <a
+      className="link-preview"
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer nofollow"
+    >
+      {preview.image && <img src={preview.image} alt="" loading="lazy" />}
+      <span>
+        {preview.siteName && <small>{preview.siteName}</small>}
+        <strong>{preview.title}</strong>
+        {preview.description && <span>{preview.description}</span>}
+      </span>
+    </a>
+  );
+}
+
+export default LinkPreview;
@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { DEMO_USERS } from "../services/auth";
+
+/*
+  LoginScreen
+
+  Shown instead of the chat while nobody is signed in.
+
+  notice  → why we're here again (expired / rejected session)
+  onLogin(userId, password) → promise; rejects with an Error
+                              whose message we show
+*/
+function LoginScreen({ notice, onLogin }) {
+  const [userId, setUserId] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setBusy(true);
+    setError(null);
+
+    try {
+      await onLogin(userId, password);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="unlock-screen">
+      <form className="unlock-card" onSubmit={handleSubmit}>
+        <h3>💬 Sign in to chat</h3>
+        <p>
+          Demo accounts: {Object.keys(DEMO_USERS).join(", ")} (password
+          "password"). Open a second tab to chat as someone else.
+        </p>
+
+        {notice && <div className="login-notice">{notice}</div>}
+
+        <input
+          placeholder="User ID"
+          value={userId}
+          autoFocus
+          autoComplete="username"
+          onChange={(e) => setUserId(e.target.value)}
+        />
+
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          autoComplete="current-password"
+          onChange={(e) => setPassword(e.target.value)}
+        />
+
+        {error && <div className="unlock-error">{error}</div>}
+
+        <button type="submit" disabled={busy || !userId.trim() || !password}>
+          {busy ? "Signing in…" : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,56 @@
+import React from "react";
+import { REACTION_EMOJIS } from "../services/mutations";
+
+/*
+  MessageActions (hover toolbar on a bubble)
+
+  - Quick reactions for everyone
+  - Reply (quote) / reply in thread
+  - Edit (own text messages)
+  - Delete for everyone (own, within the delete window)
+
+  Callbacks only; RealTimeChat turns them into mutations.
+*/
+function MessageActions({
+  canEdit,
+  canDelete,
+  onReact,
+  onReply,
+  onThread,
+  onEdit,
+  onDelete,
+}) {
+  return (
+    <div className="message-actions">
+      {REACTION_EMOJIS.map((emoji) => (
+        <button key={emoji} title={`React ${emoji}`} onClick={() => onReact(emoji)}>
+          {emoji}
+        </button>
+      ))}
+
+      <button title="Reply" onClick={onReply}>
+        ↩
+      </button>
+
+      {onThread && (
+        <button title="Reply in thread" onClick={onThread}>
+          💬
+        </button>
+      )}
+
+      {canEdit && (
+        <button title="Edit" onClick={onEdit}>
+          ✏️
+        </button>
+      )}
+
+      {canDelete && (
+        <button title="Delete for everyone" onClick={onDelete}>
+          🗑
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default MessageActions;
@@ -0,0 +1,262 @@
+import React, {
+  forwardRef,
+  useCallback,
+  useImperativeHandle,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+import { VariableSizeList as List } from "react-window";
+import AutoSizer from "react-virtualized-auto-sizer";
+
+/*
+  MessageList (virtualized, variable height, bottom-anchored)
+
+  Only the rows on screen (+ overscan) are in the DOM, so
+  a 10k-message history costs the same as a 20-message one.
+
+  Chat lists are harder than feeds:
+  - Row heights are unknown until rendered (text wraps,
+    images, reactions) → each row measures itself with a
+    ResizeObserver; sizes are cached by KEY, not index,
+    because indexes shift when history is prepended.
+  - Bottom-anchored: short conversations sit at the bottom,
+    and the view sticks to the bottom while you're there.
+    Scrolled up → new messages do NOT yank you down.
+  - Stable on prepend: before every change we remember the
+    first visible row and our offset inside it; after the
+    change we scroll so that row is exactly where it was.
+    Same when a row ABOVE the viewport changes height.
+
+  items      → [{ key, … }] in display order
+  renderItem → (item) => node
+  onReachTop → scrolled to the top (load older history)
+
+  ref → { scrollToKey(key) } (search / quote jumps)
+*/
+
+const ESTIMATED_ROW_HEIGHT = 64;
+const EDGE_THRESHOLD = 40;
+
+function MeasuredRow({ index, style, data }) {
+  const { items, renderItem, measure } = data;
+  const item = items[index];
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    measure(item.key, element.offsetHeight);
+
+    const observer = new ResizeObserver(() => measure(item.key, element.offsetHeight));
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [item.key, measure]);
+
+  return (
+    <div style={style}>
+      <div ref={ref} className="message-row">
+        {renderItem(item)}
+      </div>
+    </div>
+  );
+}
+
+const MessageList = forwardRef(function MessageList(
+  { items, renderItem, onReachTop },
+  ref
+) {
+  const listRef = useRef(null);
+
+  // key → measured height (px)
+  const sizesRef = useRef(new Map());
+
+  /*
+    items array → prefix offsets (prefix[i] = top of row i,
+    prefix[length] = total height). Scroll handlers and
+    renders read them in O(1); they are rebuilt (O(n))
+    only for a new items array or after a size changed.
+  */
+  const prefixesRef = useRef(new WeakMap());
+
+  /*
+    Scroll bookkeeping (refs: scroll events must not
+    re-render the whole list).
+  */
+  const offsetRef = useRef(0);
+  const viewportRef = useRef(0);
+  const atBottomRef = useRef(true);
+  const firstVisibleRef = useRef(0);
+
+  // items as of the last commit (anchor lookups)
+  const itemsRef = useRef(items);
+  const prevItemsRef = useRef([]);
+
+  // Latest callback: the parent passes a new one every render
+  const onReachTopRef = useRef(onReachTop);
+  onReachTopRef.current = onReachTop;
+
+  // Measurements change the total height → re-render
+  const [, setVersion] = useState(0);
+
+  /*
+    The helpers below only read refs → stable across
+    renders, so effects can depend on them without
+    re-running on every render.
+  */
+  const sizeOf = useCallback(
+    (item) => sizesRef.current.get(item.key) ?? ESTIMATED_ROW_HEIGHT,
+    []
+  );
+
+  const prefixOf = useCallback(
+    (list) => {
+      let prefix = prefixesRef.current.get(list);
+
+      if (!prefix) {
+        prefix = [0];
+        list.forEach((item, i) => prefix.push(prefix[i] + sizeOf(item)));
+        prefixesRef.current.set(list, prefix);
+      }
+
+      return prefix;
+    },
+    [sizeOf]
+  );
+
+  const offsetOf = useCallback(
+    (list, index) => prefixOf(list)[index],
+    [prefixOf]
+  );
+
+  const totalHeight = useCallback(
+    (list) => prefixOf(list)[list.length],
+    [prefixOf]
+  );
+
+  const scrollToBottom = useCallback(() => {
+    const list = itemsRef.current;
+    if (list.length > 0) listRef.current?.scrollToItem(list.length - 1, "end");
+  }, []);
+
+  /*
+    measure(key, height)
+
+    A row reported its real height. Above the viewport →
+    shift by the difference so what you're reading stays
+    put; at the bottom → stay at the bottom.
+  */
+  const measure = useCallback(
+    (key, height) => {
+      const previous = sizeOf({ key });
+      if (!height || height === previous) return;
+
+      sizesRef.current.set(key, height);
+      prefixesRef.current = new WeakMap(); // Every offset below it moved
+
+      const index = itemsRef.current.findIndex((item) => item.key === key);
+      if (index === -1) return;
+
+      listRef.current?.resetAfterIndex(index, false);
+
+      if (atBottomRef.current) {
+        scrollToBottom();
+      } else if (index < firstVisibleRef.current) {
+        listRef.current?.scrollTo(offsetRef.current + height - previous);
+      }
+
+      setVersion((v) => v + 1);
+    },
+    [sizeOf, scrollToBottom]
+  );
+
+  itemsRef.current = items;
+
+  /*
+    After every items change (prepend, append, insert,
+    divider): restore the anchor, or stick to the bottom.
+  */
+  useLayoutEffect(() => {
+    const prev = prevItemsRef.current;
+    prevItemsRef.current = items;
+
+    listRef.current?.resetAfterIndex(0, false);
+
+    if (atBottomRef.current) {
+      scrollToBottom();
+    } else {
+      const anchor = prev[firstVisibleRef.current];
+      const index = anchor ? items.findIndex((item) => item.key === anchor.key) : -1;
+
+      if (index !== -1) {
+        const within = offsetRef.current - offsetOf(prev, firstVisibleRef.current);
+        listRef.current?.scrollTo(offsetOf(items, index) + within);
+      }
+    }
+
+    // Not enough history to fill the viewport → fetch more
+    if (viewportRef.current && totalHeight(items) < viewportRef.current) {
+      onReachTopRef.current();
+    }
+  }, [items, offsetOf, totalHeight, scrollToBottom]);
+
+  useImperativeHandle(ref, () => ({
+    /*
+      scrollToKey(key) → false if that row isn't in the list
+    */
+    scrollToKey(key) {
+      const index = itemsRef.current.findIndex((item) => item.key === key);
+      if (index === -1) return false;
+
+      listRef.current?.scrollToItem(index, "center");
+      return true;
+    },
+  }));
+
+  const handleScroll = ({ scrollOffset, scrollUpdateWasRequested }) => {
+    offsetRef.current = scrollOffset;
+    atBottomRef.current =
+      scrollOffset + viewportRef.current >=
+      totalHeight(itemsRef.current) - EDGE_THRESHOLD;
+
+    if (!scrollUpdateWasRequested && scrollOffset < EDGE_THRESHOLD) {
+      onReachTop();
+    }
+  };
+
+  return (
+    <AutoSizer disableWidth>
+      {({ height }) => {
+        viewportRef.current = height;
+
+        return (
+          <div className="message-list" style={{ height }}>
+            <List
+              ref={listRef}
+              className="message-scroller"
+              // Shorter than the viewport → sits at the bottom
+              height={Math.min(height, totalHeight(items))}
+              width="100%"
+              // Mounts once AutoSizer has a height → open at the bottom
+              initialScrollOffset={Math.max(0, totalHeight(items) - height)}
+              itemCount={items.length}
+              itemData={{ items, renderItem, measure }}
+              itemKey={(index, data) => data.items[index].key}
+              itemSize={(index) => sizeOf(itemsRef.current[index])}
+              estimatedItemSize={ESTIMATED_ROW_HEIGHT}
+              overscanCount={6}
+              onScroll={handleScroll}
+              onItemsRendered={({ visibleStartIndex }) => {
+                firstVisibleRef.current = visibleStartIndex;
+              }}
+            >
+              {MeasuredRow}
+            </List>
+          </div>
+        );
+      }}
+    </AutoSizer>
+  );
+});
+
+export default MessageList;
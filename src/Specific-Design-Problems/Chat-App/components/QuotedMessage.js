@@ -0,0 +1,45 @@
+import React from "react";
+
+/*
+  previewOf(message) → one-line text for quotes / threads
+*/
+export function previewOf(message) {
+  if (message.deleted) return "🚫 Deleted message";
+  if (message.type === "file") return `📎 ${message.content.name}`;
+  if (message.type === "image") return "📷 Photo";
+
+  return message.content.length > 80
+    ? `${message.content.slice(0, 80)}…`
+    : message.content;
+}
+
+/*
+  QuotedMessage (reply preview inside a bubble / above the input)
+
+  message → the quoted message, or undefined when it isn't
+            loaded (older history) — we still show a stub
+  onClick → jump to it
+  onClear → show a ✕ (composer "replying to" bar)
+*/
+function QuotedMessage({ message, onClick, onClear }) {
+  return (
+    <div className={`quoted-message ${onClick ? "clickable" : ""}`} onClick={onClick}>
+      {message ? (
+        <>
+          <strong>{message.senderId}</strong>
+          <span>{previewOf(message)}</span>
+        </>
+      ) : (
+        <span>Original message not loaded</span>
+      )}
+
+      {onClear && (
+        <button className="quote-clear" onClick={onClear}>
+          ✕
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default QuotedMessage;
@@ -0,0 +1,29 @@
+import React from "react";
+
+/*
+  Reactions (chips under a bubble)
+
+  reactions → { [emoji]: [userId, …] } (aggregated per message)
+  Our own reactions are highlighted; clicking toggles ours.
+*/
+function Reactions({ reactions = {}, userId, onToggle }) {
+  const entries = Object.entries(reactions);
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="reactions">
+      {entries.map(([emoji, users]) => (
+        <button
+          key={emoji}
+          className={`reaction-chip ${users.includes(userId) ? "mine" : ""}`}
+          title={users.join(", ")}
+          onClick={() => onToggle(emoji)}
+        >
+          {emoji} {users.length}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default Reactions;
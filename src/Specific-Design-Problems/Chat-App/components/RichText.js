@@ -0,0 +1,65 @@
+import React, { useMemo } from "react";
+import { parseMarkdown, sanitize } from "../services/markdown";
+
+/*
+  RichText
+
+  text   → raw message text (markdown subset)
+  userId → who's reading: mentions of them stand out
+
+  Nodes come out of sanitize() (see services/markdown.js),
+  and become plain React elements: React escapes every
+  string, nothing is injected as HTML.
+*/
+function renderNodes(nodes, userId) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case "bold":
+        return <strong key={i}>{renderNodes(node.children, userId)}</strong>;
+      case "italic":
+        return <em key={i}>{renderNodes(node.children, userId)}</em>;
+      case "code":
+        return <code key={i}>{node.text}</code>;
+      case "codeBlock":
+        return (
+          <pre
+            key={i}
+            className="code-block"
+            data-lang={node.lang || undefined}
+          >
+            <code>{node.text}</code>
+          </pre>
+        );
+      case "link":
+        return (
+          <a
+            key={i}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+          >
+            {renderNodes(node.children, userId)}
+          </a>
+        );
+      case "mention":
+        return (
+          <span
+            key={i}
+            className={`mention ${node.userId === userId ? "mention-me" : ""}`}
+          >
+            @{node.userId}
+          </span>
+        );
+      default:
+        return node.text;
+    }
+  });
+}
+
+function RichText({ text, userId }) {
+  const nodes = useMemo(() => sanitize(parseMarkdown(text)), [text]);
+
+  return <span className="rich-text">{renderNodes(nodes, userId)}</span>;
+}
+
+export default RichText;
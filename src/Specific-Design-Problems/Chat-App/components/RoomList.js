@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { PRESENCE_STATUS } from "../services/presence";
+import { ROOM_KIND } from "../services/rooms";
+
+const STATUS_DOT = {
+  [PRESENCE_STATUS.ONLINE]: "●",
+  [PRESENCE_STATUS.AWAY]: "◐",
+};
+
+/*
+  RoomList (sidebar)
+
+  - Group rooms and DMs in separate sections
+  - Unread badge per room, "@" when we were mentioned
+  - Online (●) / away (◐) users can be DM'd with one click
+  - Or type any user id to open a DM
+
+  Pure presentational component: all state
+  (rooms, unread, active room) lives in RealTimeChat.
+*/
+function RoomList({
+  rooms,
+  activeRoomId,
+  unread,
+  mentioned,
+  presence,
+  onSelect,
+  onStartDirect,
+}) {
+  const [peerId, setPeerId] = useState("");
+
+  const groups = rooms.filter((r) => r.kind === ROOM_KIND.GROUP);
+  const directs = rooms.filter((r) => r.kind === ROOM_KIND.DIRECT);
+
+  // presence → { [userId]: { status, lastSeen } }; offline ones are hidden
+  const online = Object.keys(presence).filter(
+    (id) => presence[id].status !== PRESENCE_STATUS.OFFLINE
+  );
+
+  const renderRoom = (room) => (
+    <li key={room.id}>
+      <button
+        className={`room-item ${room.id === activeRoomId ? "active" : ""}`}
+        onClick={() => onSelect(room.id)}
+      >
+        <span>
+          {room.kind === ROOM_KIND.DIRECT ? "@ " : "# "}
+          {room.name}
+        </span>
+        {mentioned[room.id] && <span className="mention-badge">@</span>}
+        {unread[room.id] > 0 && (
+          <span className="unread-badge">{unread[room.id]}</span>
+        )}
+      </button>
+    </li>
+  );
+
+  return (
+    <aside className="room-list">
+      <h4>Rooms</h4>
+      <ul>{groups.map(renderRoom)}</ul>
+
+      <h4>Direct messages</h4>
+      <ul>{directs.map(renderRoom)}</ul>
+
+      {online.length > 0 && (
+        <>
+          <h4>Online</h4>
+          <ul>
+            {online.map((id) => (
+              <li key={id}>
+                <button className="room-item" onClick={() => onStartDirect(id)}>
+                  <span className={`presence-${presence[id].status}`}>
+                    {STATUS_DOT[presence[id].status]} {id}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <form
+        className="start-dm"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!peerId.trim()) return;
+          onStartDirect(peerId.trim());
+          setPeerId("");
+        }}
+      >
+        <input
+          value={peerId}
+          placeholder="DM user id…"
+          onChange={(e) => setPeerId(e.target.value)}
+        />
+      </form>
+    </aside>
+  );
+}
+
+export default RoomList;
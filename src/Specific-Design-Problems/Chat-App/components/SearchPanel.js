@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from "react";
+import { highlight } from "../services/search";
+
+/*
+  SearchPanel (current conversation)
+
+  onSearch(query) → promise of MiniSearch results (a new
+                    onSearch, e.g. another room, re-runs it)
+  onJump(result)  → scroll to the hit in context
+  onClose
+
+  Debounced: one index query per pause in typing,
+  and a slow (older) query can't overwrite a newer one.
+*/
+function SearchPanel({ onSearch, onJump, onClose }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    let current = true;
+
+    const timer = setTimeout(() => {
+      onSearch(query)
+        .then((hits) => current && setResults(hits.slice(0, 50)))
+        .catch((err) => console.error("Search failed:", err));
+    }, 200);
+
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [query, onSearch]);
+
+  return (
+    <div className="search-panel">
+      <div className="search-bar">
+        <input
+          value={query}
+          autoFocus
+          placeholder="Search this conversation…"
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button onClick={onClose}>✕</button>
+      </div>
+
+      {query.trim() && results.length === 0 && (
+        <div className="search-empty">No messages found</div>
+      )}
+
+      <ul className="search-results">
+        {results.map((hit) => (
+          <li key={hit.id}>
+            <button onClick={() => onJump(hit)}>
+              <small>
+                {hit.senderId} · {new Date(hit.createdAt).toLocaleString()}
+                {hit.threadId && " · in thread"}
+              </small>
+              <span>
+                {highlight(hit.text, hit.terms).map((part, i) =>
+                  part.match ? <mark key={i}>{part.text}</mark> : part.text
+                )}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default SearchPanel;
@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from "react";
+import { useInView } from "react-intersection-observer";
+
+/*
+  SeenObserver (wraps a message bubble)
+
+  active → should we still watch? (received, unread,
+           tab visible); inactive → no observer at all
+  onSeen → bubble is at least half on screen while active
+
+  Page visibility is part of "active", so a bubble that
+  was on screen in a background tab fires as soon as the
+  tab comes back (inView is still true, active flips).
+*/
+function SeenObserver({ active, onSeen, children, ...props }) {
+  const { ref, inView } = useInView({ threshold: 0.5, skip: !active });
+
+  // Latest callback: a new arrow every render must not re-fire onSeen
+  const onSeenRef = useRef(onSeen);
+  onSeenRef.current = onSeen;
+
+  useEffect(() => {
+    if (active && inView) onSeenRef.current();
+  }, [active, inView]);
+
+  return (
+    <div ref={ref} {...props}>
+      {children}
+    </div>
+  );
+}
+
+export default SeenObserver;
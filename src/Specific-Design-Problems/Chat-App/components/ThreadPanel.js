@@ -0,0 +1,78 @@
+import React from "react";
+import { previewOf } from "./QuotedMessage";
+import RichText from "./RichText";
+
+/*
+  ThreadPanel (side panel)
+
+  root    → the message the thread hangs off
+  replies → its replies, already in clock order
+  highlightId  → reply to flash (search jump)
+  onSend(text) → post a reply into this thread
+  onClose
+
+  Its own message list: replies never show up in the
+  main conversation, only as "N replies" on the root.
+*/
+function bodyOf(message, userId) {
+  return message.type === "text" && !message.deleted ? (
+    <RichText text={message.content} userId={userId} />
+  ) : (
+    previewOf(message)
+  );
+}
+
+function ThreadPanel({ root, replies, userId, highlightId, onSend, onClose }) {
+  const submit = (input) => {
+    if (!input.value.trim()) return;
+    onSend(input.value);
+    input.value = "";
+  };
+
+  return (
+    <aside className="thread-panel">
+      <div className="thread-header">
+        <h4>Thread</h4>
+        <button onClick={onClose}>✕</button>
+      </div>
+
+      <div className="thread-messages">
+        {root && (
+          <div className="thread-root">
+            <strong>{root.senderId}</strong>
+            <span>{bodyOf(root, userId)}</span>
+          </div>
+        )}
+
+        <small className="thread-count">
+          {replies.length} {replies.length === 1 ? "reply" : "replies"}
+        </small>
+
+        {replies.map((reply) => (
+          <div
+            key={reply.id}
+            id={`msg-${reply.id}`}
+            className={`message ${reply.senderId === userId ? "sent" : "received"} ${
+              reply.id === highlightId ? "highlighted" : ""
+            }`}
+          >
+            {reply.senderId !== userId && <strong>{reply.senderId}</strong>}
+            <span>{bodyOf(reply, userId)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="chat-input">
+        <input
+          type="text"
+          placeholder="Reply in thread..."
+          onKeyDown={(e) => {
+            if (e.key === "Enter") submit(e.target);
+          }}
+        />
+      </div>
+    </aside>
+  );
+}
+
+export default ThreadPanel;
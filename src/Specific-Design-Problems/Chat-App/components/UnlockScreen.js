@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+
+/*
+  UnlockScreen
+
+  Shown instead of the chat while the local message
+  store is locked (no storage key in memory).
+
+  isNew → no vault yet: ask for a NEW passphrase (twice)
+  onUnlock(passphrase) → promise; rejects with an Error
+                         whose message we show (e.g. "Wrong passphrase")
+
+  PBKDF2 is slow on purpose, so the button shows progress.
+*/
+function UnlockScreen({ isNew, onUnlock }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isNew && passphrase !== confirm) {
+      setError("Passphrases don't match");
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="unlock-screen">
+      <form className="unlock-card" onSubmit={handleSubmit}>
+        <h3>🔒 {isNew ? "Protect your messages" : "Chat is locked"}</h3>
+        <p>
+          {isNew
+            ? "Choose a passphrase. Messages stored on this device are encrypted with it."
+            : "Enter your passphrase to read your messages."}
+        </p>
+
+        <input
+          type="password"
+          placeholder="Passphrase"
+          value={passphrase}
+          autoFocus
+          onChange={(e) => setPassphrase(e.target.value)}
+        />
+
+        {isNew && (
+          <input
+            type="password"
+            placeholder="Confirm passphrase"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+          />
+        )}
+
+        {error && <div className="unlock-error">{error}</div>}
+
+        <button type="submit" disabled={busy || !passphrase}>
+          {busy ? "Unlocking…" : isNew ? "Create" : "Unlock"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default UnlockScreen;
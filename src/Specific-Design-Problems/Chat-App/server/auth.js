@@ -0,0 +1,215 @@
+/*
+  LOCAL AUTH SERVER (Node)
+  ========================
+
+  A stand-in for the real identity provider, so login →
+  token → authenticated relay connection can be exercised
+  end-to-end without external services.
+
+  POST http://localhost:8788/login
+    { userId, password }
+    → 200 { userId, token, expiresAt }
+    → 401 { error }
+
+  The token is a JWT (HS256):
+
+    base64url(header) . base64url(claims) . HMAC-SHA256 signature
+    claims → { sub: userId, iat, exp }   (seconds, like any JWT)
+
+  The relay verifies it with the SAME secret on the
+  connection handshake (see relay.js → verifyToken).
+
+  Demo accounts: user1 / user2 / user3, password "password".
+
+  Run:
+    npm run chat:auth
+    CHAT_AUTH_SECRET=... PORT=9001 npm run chat:auth
+
+  In production this is:
+    OAuth / OIDC provider → short-lived access token (+ refresh token)
+*/
+
+const http = require("http");
+const crypto = require("crypto");
+
+/*
+  Dev-only default. The in-browser stand-in
+  (services/auth.js → LocalAuthBackend) signs with the same
+  value, so its tokens pass the relay too.
+*/
+const DEV_SECRET = "dev-only-chat-secret";
+
+const DEMO_USERS = {
+  user1: "password",
+  user2: "password",
+  user3: "password",
+};
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+/*
+  signToken(userId, { secret, ttl }) → compact JWT
+  ttl → lifetime in ms
+*/
+function signToken(userId, { secret = DEV_SECRET, ttl = 60 * 60 * 1000 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const claims = base64url(
+    JSON.stringify({ sub: userId, iat: now, exp: now + Math.floor(ttl / 1000) })
+  );
+
+  return `${header}.${claims}.${sign(`${header}.${claims}`, secret)}`;
+}
+
+/*
+  verifyToken(token, secret) → claims, or null if the token
+  is malformed, forged or expired
+*/
+function verifyToken(token, secret = DEV_SECRET) {
+  const [header, claims, signature] = String(token).split(".");
+  if (!header || !claims || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${claims}`, secret));
+  const actual = Buffer.from(signature);
+
+  // Constant-time compare: no timing oracle on the signature
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(Buffer.from(claims, "base64url").toString());
+    return parsed.exp * 1000 > Date.now() ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/*
+  Largest /login body we read. Credentials are a few
+  dozen bytes; without a cap one request could grow a
+  string until the server runs out of memory.
+*/
+const MAX_BODY_BYTES = 16 * 1024;
+
+function createAuthServer({
+  port = 8788,
+  secret = DEV_SECRET,
+  users = DEMO_USERS,
+  ttl = 60 * 60 * 1000,
+} = {}) {
+  const respond = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    // The React dev server runs on another port
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method !== "POST" || req.url !== "/login") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    let body = "";
+    let size = 0;
+
+    const tooLarge = () => {
+      res.setHeader("Connection", "close");
+      respond(res, 413, { error: "Request too large" });
+    };
+
+    if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+      tooLarge();
+      return;
+    }
+
+    req.on("data", (chunk) => {
+      if (res.writableEnded) return; // Already refused: discard the rest
+
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) return tooLarge();
+
+      body += chunk;
+    });
+
+    req.on("end", () => {
+      if (res.writableEnded) return;
+
+      let credentials;
+
+      try {
+        credentials = JSON.parse(body);
+      } catch {
+        respond(res, 400, { error: "Malformed request" });
+        return;
+      }
+
+      // null, arrays, numbers… parse fine but aren't credentials
+      if (
+        typeof credentials !== "object" ||
+        credentials === null ||
+        Array.isArray(credentials)
+      ) {
+        respond(res, 400, { error: "Malformed request" });
+        return;
+      }
+
+      const { userId, password } = credentials;
+
+      // Same answer for unknown user and wrong password
+      if (!users[userId] || users[userId] !== password) {
+        respond(res, 401, { error: "Wrong user ID or password" });
+        return;
+      }
+
+      const token = signToken(userId, { secret, ttl });
+      const { exp } = verifyToken(token, secret);
+
+      respond(res, 200, { userId, token, expiresAt: exp * 1000 });
+    });
+  });
+
+  // Same shape as createRelay(): await it, read .port, close()
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  createAuthServer,
+  signToken,
+  verifyToken,
+  DEV_SECRET,
+  DEMO_USERS,
+};
+
+if (require.main === module) {
+  createAuthServer({
+    port: Number(process.env.PORT) || 8788,
+    secret: process.env.CHAT_AUTH_SECRET || DEV_SECRET,
+  }).then(({ port }) => {
+    console.log(`Chat auth server listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const { createAuthServer, signToken, verifyToken } = require("./auth");
+
+// POST /login → { status, body }
+const login = (port, body) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      { port, method: "POST", path: "/login" },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () =>
+          resolve({ status: res.statusCode, body: JSON.parse(data) })
+        );
+      }
+    );
+
+    req.on("error", reject);
+    req.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+
+describe("auth server", () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await createAuthServer({
+      port: 0,
+      secret: "test-secret",
+      users: { alice: "hunter2" },
+    });
+  });
+
+  afterEach(() => server.close());
+
+  it("returns a token for the right password (200)", async () => {
+    const { status, body } = await login(server.port, {
+      userId: "alice",
+      password: "hunter2",
+    });
+
+    expect(status).toBe(200);
+    expect(body.userId).toBe("alice");
+    expect(body.expiresAt).toBeGreaterThan(Date.now());
+    expect(verifyToken(body.token, "test-secret").sub).toBe("alice");
+  });
+
+  it("gives the same 401 for a wrong password and an unknown user", async () => {
+    const wrong = await login(server.port, {
+      userId: "alice",
+      password: "nope",
+    });
+    const unknown = await login(server.port, {
+      userId: "mallory",
+      password: "hunter2",
+    });
+
+    expect(wrong.status).toBe(401);
+    expect(unknown).toEqual(wrong);
+  });
+
+  it("answers malformed JSON with 400", async () => {
+    expect((await login(server.port, "{not json")).status).toBe(400);
+  });
+
+  it("answers JSON that isn't an object with 400, and stays up", async () => {
+    expect((await login(server.port, "null")).status).toBe(400);
+    expect((await login(server.port, "[]")).status).toBe(400);
+
+    const { status } = await login(server.port, {
+      userId: "alice",
+      password: "hunter2",
+    });
+    expect(status).toBe(200);
+  });
+
+  it("refuses a body over the size cap with 413", async () => {
+    const padding = "x".repeat(32 * 1024);
+
+    expect((await login(server.port, { userId: "alice", padding })).status).toBe(413);
+  });
+});
+
+describe("verifyToken", () => {
+  it("accepts its own tokens", () => {
+    expect(verifyToken(signToken("alice", { secret: "s" }), "s")).toMatchObject({
+      sub: "alice",
+    });
+  });
+
+  it("rejects other secrets, tampering, expiry and garbage", () => {
+    const token = signToken("alice", { secret: "s" });
+    const [header, , signature] = token.split(".");
+    const claims = Buffer.from(JSON.stringify({ sub: "bob", exp: 9e9 }));
+    const expired = signToken("alice", { secret: "s", ttl: -1000 });
+
+    expect(verifyToken(token, "other")).toBeNull();
+    expect(
+      verifyToken(`${header}.${claims.toString("base64url")}.${signature}`, "s")
+    ).toBeNull();
+    expect(verifyToken(expired, "s")).toBeNull();
+    expect(verifyToken("garbage", "s")).toBeNull();
+    expect(verifyToken(undefined, "s")).toBeNull();
+  });
+});
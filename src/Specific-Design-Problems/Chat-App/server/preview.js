@@ -0,0 +1,354 @@
+/*
+  LOCAL LINK PREVIEW SERVER (Node)
+  ================================
+
+  Stand-in for the preview service behind
+  services/linkPreview.js:
+
+    GET http://localhost:8789/preview?url=<encoded url>
+      → 200 { url, title, description, image, siteName }
+      → 400 not an http(s) URL / private address
+      → 502 fetch failed / not HTML
+
+    GET http://localhost:8789/image?url=<og:image url>
+      → 200 the image bytes (png / jpeg / gif / webp / avif)
+      → 400 / 502 as above
+
+  It fetches the page server-side (no CORS, readers'
+  IPs stay private) and reads Open Graph tags, falling
+  back to <title> and <meta name="description">. The
+  og:image is proxied too: a reader's browser loading it
+  from its own host would leak their IP to that host.
+
+  Fetching URLs on behalf of users is an SSRF risk, so:
+  - http(s) only
+  - the host is RESOLVED and every address checked:
+    no loopback / private / link-local / CGNAT / reserved
+    (names like "localtest.me" resolve to 127.0.0.1, and
+    "[::ffff:7f00:1]" is 127.0.0.1 too)
+  - redirects are followed by hand, and every hop is
+    checked the same way before it is requested
+  - 5s timeout, first 512 KB only, HTML only
+    (images: 2 MB, raster types only)
+
+  Run:
+    npm run chat:preview
+    PORT=9002 npm run chat:preview
+
+  In production this is:
+    an isolated fetcher service (own network segment,
+    so even a DNS answer that changes between our check
+    and the connection can't reach anything) + a cache
+*/
+
+const http = require("http");
+const net = require("net");
+const dns = require("dns").promises;
+
+const MAX_BYTES = 512 * 1024;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const TIMEOUT = 5000;
+
+const IMAGE_TYPES = /^image\/(png|jpeg|gif|webp|avif)$/;
+
+/*
+  Addresses we refuse to fetch: the server's own network
+  and everything that isn't a public unicast address.
+  IPv4-mapped IPv6 (::ffff:a.b.c.d) is checked against
+  the IPv4 rules by BlockList itself.
+*/
+const BLOCKED = new net.BlockList();
+
+[
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local (cloud metadata)
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved + broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv4"));
+
+[
+  ["::", 128], // unspecified
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64 → any IPv4, private included
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv6"));
+
+const isBlocked = (address) =>
+  BLOCKED.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+/*
+  fetchable(raw) → URL, or null
+
+  The hostname is resolved and EVERY address it maps to
+  must be public (a name with one private A record is
+  refused, whichever record fetch would pick).
+*/
+async function fetchable(raw) {
+  let url;
+
+  try {
+    url = new URL(raw);
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+  // "[::1]" → "::1"; WHATWG URL already turned 0x7f.1 into 127.0.0.1
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+  try {
+    const addresses = net.isIP(host)
+      ? [host]
+      : (await dns.lookup(host, { all: true })).map(({ address }) => address);
+
+    if (addresses.length === 0 || addresses.some(isBlocked)) return null;
+  } catch {
+    return null; // Doesn't resolve
+  }
+
+  return url;
+}
+
+/*
+  safeFetch(raw, accept) → { response, url } | null
+
+  fetch() with redirects followed BY HAND: each Location
+  goes through fetchable() before it is requested. With
+  redirect: "follow", a public URL answering
+  "302 → http://169.254.169.254/" would be requested from
+  inside our network before we could look at it.
+
+  null → refused (private address, too many redirects)
+*/
+async function safeFetch(raw, accept) {
+  let url = await fetchable(raw);
+
+  for (let hop = 0; url && hop <= MAX_REDIRECTS; hop += 1) {
+    const response = await fetch(url, {
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT),
+      headers: { "User-Agent": "ChatLinkPreview/1.0", Accept: accept },
+    });
+
+    const location = response.headers.get("location");
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, url };
+    }
+
+    response.body?.cancel().catch(() => {});
+    url = await fetchable(new URL(location, url).href);
+  }
+
+  return null;
+}
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+/*
+  extractMetadata(html, pageUrl) → preview
+*/
+function extractMetadata(html, pageUrl) {
+  const meta = {};
+
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const key = /(?:property|name)\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1];
+    const content = /content\s*=\s*["']([^"']*)["']/i.exec(tag)?.[1];
+
+    if (key && content !== undefined) {
+      meta[key.toLowerCase()] = decodeEntities(content);
+    }
+  }
+
+  const title = /<title[^>]*>([^<]*)<\/title>/i.exec(html)?.[1];
+  const image = meta["og:image"] || meta["twitter:image"];
+
+  const limit = (text, max) =>
+    text && text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+  return {
+    url: pageUrl.href,
+    title: limit(meta["og:title"] || (title && decodeEntities(title)), 200),
+    description: limit(meta["og:description"] || meta.description, 300),
+    // Relative og:image → absolute
+    image: image ? new URL(image, pageUrl).href : undefined,
+    siteName: meta["og:site_name"] || pageUrl.hostname,
+  };
+}
+
+/*
+  readBody(res, limit) → { data: Buffer, complete }
+
+  At most ~limit bytes; complete → the whole body fit
+  (a body of exactly limit bytes does).
+*/
+async function readBody(res, limit) {
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let complete = false;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+
+    if (done) {
+      complete = true;
+      break;
+    }
+
+    chunks.push(value);
+    size += value.length;
+
+    if (size > limit) break;
+  }
+
+  reader.cancel().catch(() => {});
+  return { data: Buffer.concat(chunks), complete };
+}
+
+/*
+  readHead(res) → the first MAX_BYTES of the body as text
+  (metadata lives in <head>; no need for the whole page)
+*/
+async function readHead(res) {
+  return (await readBody(res, MAX_BYTES)).data.toString("utf8");
+}
+
+function createPreviewServer({ port = 8789 } = {}) {
+  const respond = (res, status, body) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      // Previews change rarely: let the browser cache them
+      "Cache-Control": status === 200 ? "public, max-age=3600" : "no-store",
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+
+    // The React dev server runs on another port
+    res.setHeader("Access-Control-Allow-Origin", "*");
+
+    if (req.method !== "GET") {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    if (pathname === "/preview") {
+      await handlePreview(res, searchParams.get("url"));
+    } else if (pathname === "/image") {
+      await handleImage(res, searchParams.get("url"));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  const handlePreview = async (res, raw) => {
+    try {
+      const fetched = await safeFetch(raw, "text/html");
+
+      // Private address, or redirected to one → same answer
+      if (!fetched) {
+        respond(res, 400, { error: "Only public http(s) URLs can be previewed" });
+        return;
+      }
+
+      const { response: page, url } = fetched;
+      const type = page.headers.get("content-type") ?? "";
+
+      if (!page.ok || !type.includes("text/html")) {
+        page.body?.cancel().catch(() => {});
+        respond(res, 502, { error: "No preview available" });
+        return;
+      }
+
+      respond(res, 200, extractMetadata(await readHead(page), url));
+    } catch {
+      respond(res, 502, { error: "No preview available" });
+    }
+  };
+
+  /*
+    The og:image, re-served from here. Raster types only
+    (an SVG can carry script), never sniffed, and the
+    whole image must fit in MAX_IMAGE_BYTES.
+  */
+  const handleImage = async (res, raw) => {
+    try {
+      const fetched = await safeFetch(raw, "image/*");
+
+      if (!fetched) {
+        respond(res, 400, { error: "Only public http(s) URLs can be proxied" });
+        return;
+      }
+
+      const { response: image } = fetched;
+      const type = (image.headers.get("content-type") ?? "").split(";")[0].trim();
+
+      if (!image.ok || !IMAGE_TYPES.test(type)) {
+        image.body?.cancel().catch(() => {});
+        respond(res, 502, { error: "No image available" });
+        return;
+      }
+
+      const { data, complete } = await readBody(image, MAX_IMAGE_BYTES);
+
+      if (!complete) {
+        respond(res, 502, { error: "Image too large" });
+        return;
+      }
+
+      res.writeHead(200, {
+        "Content-Type": type,
+        "Content-Length": data.length,
+        "Cache-Control": "public, max-age=86400",
+        "X-Content-Type-Options": "nosniff",
+        "Content-Security-Policy": "default-src 'none'",
+      });
+      res.end(data);
+    } catch {
+      respond(res, 502, { error: "No image available" });
+    }
+  };
+
+  // Same shape as createRelay(): await it, read .port, close()
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { createPreviewServer, extractMetadata, fetchable, readBody };
+
+if (require.main === module) {
+  createPreviewServer({ port: Number(process.env.PORT) || 8789 }).then(
+    ({ port }) => {
+      console.log(`Link preview server listening on http://localhost:${port}`);
+    }
+  );
+}
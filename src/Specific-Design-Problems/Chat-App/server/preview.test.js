@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const {
+  createPreviewServer,
+  extractMetadata,
+  fetchable,
+  readBody,
+} = require("./preview");
+
+// GET path on the preview server → status
+const statusOf = (port, path) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ port, path }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      })
+      .on("error", reject);
+  });
+
+describe("fetchable", () => {
+  it("accepts public http(s) addresses", async () => {
+    expect((await fetchable("https://93.184.215.14/page"))?.href).toBe(
+      "https://93.184.215.14/page"
+    );
+    expect(await fetchable("http://[2606:4700::1111]/")).not.toBeNull();
+  });
+
+  it.each([
+    "http://127.0.0.1/",
+    "http://0x7f.1/", // 127.0.0.1, spelled differently
+    "http://2130706433/", // Same, as one number
+    "http://localhost:8787/",
+    "http://[::1]/",
+    "http://[::ffff:7f00:1]/", // IPv4-mapped 127.0.0.1
+    "http://0.1.2.3/",
+    "http://10.0.0.1/",
+    "http://100.64.0.1/", // Carrier-grade NAT
+    "http://169.254.169.254/latest/meta-data/", // Cloud metadata
+    "http://172.31.255.255/",
+    "http://192.168.1.1/",
+    "http://[fd00::1]/",
+    "http://[fe80::1]/",
+  ])("refuses %s", async (url) => {
+    expect(await fetchable(url)).toBeNull();
+  });
+
+  it("refuses other schemes and garbage", async () => {
+    expect(await fetchable("file:///etc/passwd")).toBeNull();
+    expect(await fetchable("ftp://93.184.215.14/")).toBeNull();
+    expect(await fetchable("not a url")).toBeNull();
+    expect(await fetchable(null)).toBeNull();
+  });
+});
+
+describe("extractMetadata", () => {
+  const page = new URL("https://example.com/articles/1");
+
+  it("prefers Open Graph tags and resolves a relative image", () => {
+    const html = `
+      <title>Fallback</title>
+      <meta property="og:title" content="Tom &amp; Jerry">
+      <meta name="description" content="A cat and a mouse">
+      <meta property="og:image" content="/cover.png">
+    `;
+
+    expect(extractMetadata(html, page)).toEqual({
+      url: "https://example.com/articles/1",
+      title: "Tom & Jerry",
+      description: "A cat and a mouse",
+      image: "https://example.com/cover.png",
+      siteName: "example.com",
+    });
+  });
+
+  it("falls back to <title> and caps long text", () => {
+    const html = `<title>${"x".repeat(500)}</title>`;
+    const { title, image } = extractMetadata(html, page);
+
+    expect(title).toHaveLength(200);
+    expect(title.endsWith("…")).toBe(true);
+    expect(image).toBeUndefined();
+  });
+});
+
+describe("readBody", () => {
+  // A fetch() response whose body arrives in the given chunks
+  const response = (sizes) => {
+    const chunks = sizes.map((size) => new Uint8Array(size));
+
+    return {
+      body: {
+        getReader: () => ({
+          read: async () =>
+            chunks.length
+              ? { done: false, value: chunks.shift() }
+              : { done: true },
+          cancel: async () => {},
+        }),
+      },
+    };
+  };
+
+  it("takes a body of exactly the limit as complete", async () => {
+    const { data, complete } = await readBody(response([6, 4]), 10);
+
+    expect(complete).toBe(true);
+    expect(data).toHaveLength(10);
+  });
+
+  it("stops, incomplete, once the body is over the limit", async () => {
+    const { complete } = await readBody(response([6, 5, 100]), 10);
+
+    expect(complete).toBe(false);
+  });
+});
+
+describe("preview server", () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await createPreviewServer({ port: 0 });
+  });
+
+  afterEach(() => server.close());
+
+  it("answers 400 for private targets, on both endpoints", async () => {
+    const target = encodeURIComponent("http://127.0.0.1:1/");
+
+    expect(await statusOf(server.port, `/preview?url=${target}`)).toBe(400);
+    expect(await statusOf(server.port, `/image?url=${target}`)).toBe(400);
+  });
+
+  it("answers 404 elsewhere", async () => {
+    expect(await statusOf(server.port, "/admin")).toBe(404);
+  });
+});
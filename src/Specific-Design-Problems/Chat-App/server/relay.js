@@ -0,0 +1,410 @@
+/*
+  LOCAL CHAT RELAY (Node)
+  =======================
+
+  A tiny stand-in for the production WebSocket tier,
+  so the WebSocket and SSE transports can be exercised
+  offline (integration tests, local demos).
+
+  It does exactly one thing: fan frames out.
+
+  - WebSocket clients   → ws://localhost:8787
+  - SSE clients          → GET  http://localhost:8787/events?clientId=...
+                           POST http://localhost:8787/send?clientId=...
+
+  Every frame received from one client is forwarded to
+  every OTHER client (WS and SSE alike). The sender does
+  not get an echo, matching BroadcastChannel semantics.
+
+  Frames flagged { ack: true } are acknowledged back to
+  the sender with { type: "ACK", payload: { id } } once
+  they have been fanned out.
+
+  PING frames are answered with PONG to the sender only
+  (heartbeats are point-to-point, never broadcast).
+
+  Frames over MAX_FRAME_BYTES are refused (POST /send
+  answers 413; a WebSocket is closed with 1009).
+
+  Topics: JOIN / LEAVE frames ({ payload: { topic } })
+  manage a client's subscriptions. A frame carrying a
+  "topic" is only forwarded to clients that joined it;
+  frames without a topic (presence) go to everyone.
+
+  Auth: with a verifyToken option, a client's first frame
+  must be HELLO { userId, token }. A bad / expired token
+  (or anything sent before HELLO) gets AUTH_ERROR and the
+  connection is closed. An authenticated client may only
+  JOIN its own inbox ("user:<userId>"), not anybody else's,
+  and may only speak as itself: a frame whose author field
+  (senderId, userId…) names someone else is dropped.
+
+  Run:
+    npm run chat:relay
+    PORT=9000 npm run chat:relay
+    CHAT_AUTH_SECRET=... npm run chat:relay   (same secret as chat:auth)
+
+  In production this is:
+    Load Balancer → WebSocket servers → Redis Pub/Sub
+*/
+
+const http = require("http");
+const WebSocket = require("ws");
+const { verifyToken: verifyJwt, DEV_SECRET } = require("./auth");
+
+/*
+  Frame type → the payload field naming its author.
+  Other frames either have no author (JOIN, PING) or
+  name someone ELSE on purpose (RESEND_REQUEST and
+  FILE_CHUNK_REQUEST carry the sender being asked).
+*/
+const AUTHOR_FIELDS = {
+  NEW_MESSAGE: "senderId",
+  EDIT_MESSAGE: "senderId",
+  DELETE_MESSAGE: "senderId",
+  REACTION: "senderId",
+  READ_RECEIPT: "readerId",
+  PRESENCE: "userId",
+  TYPING: "userId",
+  KEY_ANNOUNCE: "userId",
+};
+
+/*
+  Largest frame we accept, on either transport. A file
+  chunk (64 KiB, base64) is the biggest legitimate one;
+  without a cap one POST /send could grow a string until
+  the relay runs out of memory.
+*/
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+/*
+  Valid JSON isn't a frame yet: null, a number or
+  { "type": 1 } would throw in the handlers below.
+*/
+const isFrame = (frame) =>
+  typeof frame === "object" && frame !== null && typeof frame.type === "string";
+
+/*
+  verifyToken(token) → claims ({ sub, exp }) or null.
+  Omitted → no handshake required (plain fan-out, tests).
+*/
+function createRelay({ port = 8787, verifyToken } = {}) {
+  /*
+    sseClients: clientId → ServerResponse (kept open)
+  */
+  const sseClients = new Map();
+
+  /*
+    subscriptions: client (WebSocket or SSE clientId) → Set(topic)
+  */
+  const subscriptions = new Map();
+
+  const isSubscribed = (client, topic) =>
+    !topic || subscriptions.get(client)?.has(topic);
+
+  /*
+    identities: client → userId, set by a valid HELLO
+  */
+  const identities = new Map();
+
+  const authorized = (client) => !verifyToken || identities.has(client);
+
+  /*
+    handleHello(client, frame)
+
+    Returns true when the frame was the handshake
+    (and must not be broadcast). The token has to be
+    valid AND issued to the userId the client claims.
+  */
+  const handleHello = (client, frame) => {
+    if (frame.type !== "HELLO") return false;
+
+    const claims = verifyToken?.(frame.payload?.token);
+    if (claims && claims.sub === frame.payload.userId) {
+      identities.set(client, claims.sub);
+    }
+
+    return true;
+  };
+
+  /*
+    impersonates(client, frame) → true when the frame
+    claims to come from a user other than the one the
+    client authenticated as (forged message, edit,
+    delete, presence, key…).
+  */
+  const impersonates = (client, frame) => {
+    const field = AUTHOR_FIELDS[frame.type];
+
+    return Boolean(
+      verifyToken && field && frame.payload?.[field] !== identities.get(client)
+    );
+  };
+
+  // Inboxes are private: only their owner may subscribe
+  const mayJoin = (client, topic) =>
+    !verifyToken ||
+    !topic.startsWith("user:") ||
+    topic === `user:${identities.get(client)}`;
+
+  /*
+    handleControl(client, frame)
+
+    Returns true when the frame was a subscription change
+    (and must not be broadcast).
+  */
+  const handleControl = (client, frame) => {
+    if (frame.type !== "JOIN" && frame.type !== "LEAVE") return false;
+
+    const topic = frame.payload?.topic;
+    if (typeof topic !== "string") return true; // Malformed: ignored
+
+    const topics = subscriptions.get(client) ?? new Set();
+    subscriptions.set(client, topics);
+
+    if (frame.type === "LEAVE") topics.delete(topic);
+    else if (mayJoin(client, topic)) topics.add(topic);
+
+    return true;
+  };
+
+  /*
+    broadcast(raw, except)
+
+    raw → JSON string (already serialized once)
+    except → the sender (WebSocket or SSE clientId)
+    topic → only clients subscribed to it (optional)
+  */
+  const broadcast = (raw, except, topic) => {
+    wss.clients.forEach((client) => {
+      if (
+        client !== except &&
+        client.readyState === WebSocket.OPEN &&
+        isSubscribed(client, topic)
+      ) {
+        client.send(raw);
+      }
+    });
+
+    sseClients.forEach((res, clientId) => {
+      if (clientId !== except && isSubscribed(clientId, topic)) {
+        res.write(`data: ${raw}\n\n`);
+      }
+    });
+  };
+
+  /*
+    Control frames (ACK / PONG) go back to the sender only.
+  */
+  const ackFrame = (frame) =>
+    JSON.stringify({ type: "ACK", payload: { id: frame.id } });
+
+  const pongFrame = (frame) =>
+    JSON.stringify({ type: "PONG", payload: frame.payload });
+
+  const authErrorFrame = () =>
+    JSON.stringify({
+      type: "AUTH_ERROR",
+      payload: { reason: "Invalid or expired session" },
+    });
+
+  /* ===============================
+     HTTP (SSE + upstream POST)
+     =============================== */
+
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const clientId = searchParams.get("clientId");
+
+    /*
+      The React dev server runs on another port,
+      so every response needs CORS headers.
+    */
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method === "GET" && pathname === "/events" && clientId) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+
+      // Flush headers so EventSource fires onopen immediately
+      res.write(": connected\n\n");
+
+      sseClients.set(clientId, res);
+      req.on("close", () => {
+        sseClients.delete(clientId);
+        subscriptions.delete(clientId);
+        identities.delete(clientId);
+      });
+      return;
+    }
+
+    if (req.method === "POST" && pathname === "/send" && clientId) {
+      let body = "";
+      let size = 0;
+
+      const tooLarge = () => {
+        res.writeHead(413, { Connection: "close" });
+        res.end();
+      };
+
+      if (Number(req.headers["content-length"]) > MAX_FRAME_BYTES) {
+        tooLarge();
+        return;
+      }
+
+      req.on("data", (chunk) => {
+        if (res.writableEnded) return; // Already refused: discard the rest
+
+        size += chunk.length;
+        if (size > MAX_FRAME_BYTES) return tooLarge();
+
+        body += chunk;
+      });
+
+      req.on("end", () => {
+        if (res.writableEnded) return;
+
+        try {
+          // Validate, then forward the original string as-is
+          const frame = JSON.parse(body);
+          if (!isFrame(frame)) throw new Error("Not a frame");
+
+          const stream = sseClients.get(clientId);
+
+          if (
+            !handleHello(clientId, frame) &&
+            authorized(clientId) &&
+            !impersonates(clientId, frame) // Dropped, never ACKed
+          ) {
+            if (frame.type === "PING") {
+              stream?.write(`data: ${pongFrame(frame)}\n\n`);
+            } else if (!handleControl(clientId, frame)) {
+              broadcast(body, clientId, frame.topic);
+            }
+
+            // SSE is one-way: the ACK rides the sender's event stream
+            if (frame.ack) stream?.write(`data: ${ackFrame(frame)}\n\n`);
+          }
+
+          // Rejected → tell the client, then end its stream
+          if (!authorized(clientId)) {
+            stream?.end(`data: ${authErrorFrame()}\n\n`);
+            sseClients.delete(clientId);
+          }
+
+          res.writeHead(202);
+        } catch {
+          res.writeHead(400);
+        }
+        res.end();
+      });
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  /* ===============================
+     WebSocket
+     =============================== */
+
+  const wss = new WebSocket.Server({ server, maxPayload: MAX_FRAME_BYTES });
+
+  // e.g. the port is taken; without a listener it would throw
+  wss.on("error", (err) => console.error("Relay WebSocket error:", err));
+
+  wss.on("connection", (socket) => {
+    /*
+      Oversized (maxPayload → 1009) or invalid frames:
+      ws emits "error" on that socket, which would
+      otherwise take the whole relay down.
+    */
+    socket.on("error", () => socket.terminate());
+
+    socket.on("close", () => {
+      subscriptions.delete(socket);
+      identities.delete(socket);
+    });
+
+    socket.on("message", (data) => {
+      const raw = data.toString();
+      let frame;
+
+      try {
+        frame = JSON.parse(raw);
+      } catch {
+        return; // Drop malformed frames instead of crashing peers
+      }
+
+      if (!isFrame(frame)) return;
+
+      const hello = handleHello(socket, frame);
+
+      if (!authorized(socket)) {
+        socket.send(authErrorFrame());
+        socket.close(4001, "unauthorized");
+        return;
+      }
+
+      if (hello) return;
+
+      if (frame.type === "PING") {
+        socket.send(pongFrame(frame));
+        return;
+      }
+
+      if (handleControl(socket, frame)) return;
+
+      if (impersonates(socket, frame)) return; // Dropped, never ACKed
+
+      broadcast(raw, socket, frame.topic);
+
+      if (frame.ack) socket.send(ackFrame(frame));
+    });
+  });
+
+  /*
+    Returned as a promise so tests can:
+      const relay = await createRelay({ port: 0 });
+      ... relay.port ...
+      await relay.close();
+  */
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      resolve({
+        port: server.address().port,
+        close: () =>
+          new Promise((done) => {
+            sseClients.forEach((res) => res.end());
+            sseClients.clear();
+            wss.clients.forEach((client) => client.terminate());
+            wss.close(() => server.close(done));
+          }),
+      });
+    });
+  });
+}
+
+module.exports = { createRelay };
+
+if (require.main === module) {
+  const secret = process.env.CHAT_AUTH_SECRET || DEV_SECRET;
+
+  createRelay({
+    port: Number(process.env.PORT) || 8787,
+    verifyToken: (token) => verifyJwt(token, secret),
+  }).then(({ port }) => {
+    console.log(`Chat relay listening on ws://localhost:${port}`);
+  });
+}
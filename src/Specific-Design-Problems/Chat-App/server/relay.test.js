@@ -0,0 +1,288 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const WebSocket = require("ws");
+const { createRelay } = require("./relay");
+const { signToken, verifyToken } = require("./auth");
+
+/*
+  connect(port) → a WebSocket client that records every
+  frame it receives. next(type) waits for the next frame
+  of that type (already received ones count).
+*/
+function connect(port) {
+  const socket = new WebSocket(`ws://localhost:${port}`);
+  const frames = [];
+  const waiters = [];
+
+  socket.on("message", (data) => {
+    frames.push(JSON.parse(data.toString()));
+    waiters.splice(0).forEach((check) => check());
+  });
+
+  const next = (type) =>
+    new Promise((resolve) => {
+      const check = () => {
+        const index = frames.findIndex((frame) => frame.type === type);
+        if (index === -1) return waiters.push(check);
+        resolve(frames.splice(index, 1)[0]);
+      };
+      check();
+    });
+
+  const closed = new Promise((resolve) =>
+    socket.on("close", (code) => resolve(code))
+  );
+
+  const send = (frame) => socket.send(JSON.stringify(frame));
+
+  return new Promise((resolve) =>
+    socket.on("open", () => resolve({ socket, frames, next, send, closed }))
+  );
+}
+
+/*
+  The relay handles one client's frames in order, so once
+  a PING has been answered every frame sent before it has
+  been fanned out (or dropped).
+*/
+const flush = async (client) => {
+  client.send({ type: "PING", payload: "flush" });
+  await client.next("PONG");
+};
+
+describe("relay without auth", () => {
+  let relay;
+  let clients;
+
+  beforeEach(async () => {
+    relay = await createRelay({ port: 0 });
+    clients = await Promise.all([1, 2, 3].map(() => connect(relay.port)));
+  });
+
+  afterEach(() => relay.close());
+
+  it("fans a frame out to every other client, not back to the sender", async () => {
+    const [alice, bob, carol] = clients;
+
+    alice.send({ id: "m1", type: "NEW_MESSAGE", payload: { text: "hi" } });
+
+    expect((await bob.next("NEW_MESSAGE")).id).toBe("m1");
+    expect((await carol.next("NEW_MESSAGE")).id).toBe("m1");
+
+    await flush(alice);
+    expect(alice.frames).toEqual([]);
+  });
+
+  it("acknowledges frames that ask for it, to the sender only", async () => {
+    const [alice, bob] = clients;
+
+    alice.send({ id: "m1", type: "NEW_MESSAGE", ack: true, payload: {} });
+
+    expect(await alice.next("ACK")).toEqual({ type: "ACK", payload: { id: "m1" } });
+
+    await bob.next("NEW_MESSAGE");
+    await flush(bob);
+    expect(bob.frames).toEqual([]);
+  });
+
+  it("answers PING with PONG, without broadcasting it", async () => {
+    const [alice, bob] = clients;
+
+    alice.send({ type: "PING", payload: { at: 42 } });
+
+    expect(await alice.next("PONG")).toEqual({
+      type: "PONG",
+      payload: { at: 42 },
+    });
+
+    await flush(bob);
+    expect(bob.frames).toEqual([]);
+  });
+
+  it("only forwards topic frames to clients that joined the topic", async () => {
+    const [alice, bob, carol] = clients;
+
+    bob.send({ type: "JOIN", payload: { topic: "room:general" } });
+    await flush(bob);
+
+    alice.send({ id: "m1", type: "NEW_MESSAGE", topic: "room:general" });
+
+    expect((await bob.next("NEW_MESSAGE")).id).toBe("m1");
+
+    await flush(carol);
+    expect(carol.frames).toEqual([]);
+  });
+
+  it("ignores JOIN / LEAVE frames without a string topic", async () => {
+    const [alice] = clients;
+
+    alice.send({ type: "JOIN" });
+    alice.send({ type: "LEAVE", payload: { topic: 42 } });
+
+    await flush(alice); // Still connected, still answering
+  });
+
+  it("drops frames that aren't objects with a string type", async () => {
+    const [alice, bob] = clients;
+
+    ["null", "42", JSON.stringify({ type: 1 })].forEach((raw) =>
+      alice.socket.send(raw)
+    );
+
+    await flush(alice);
+    await flush(bob);
+    expect(bob.frames).toEqual([]);
+  });
+
+  it("closes only the socket that sends an oversized frame", async () => {
+    const [alice, bob] = clients;
+
+    alice.socket.send("x".repeat(1024 * 1024 + 1));
+    expect(await alice.closed).toBe(1009);
+
+    await flush(bob); // The relay is still up
+  });
+});
+
+describe("relay over SSE", () => {
+  let relay;
+
+  beforeEach(async () => {
+    relay = await createRelay({ port: 0 });
+  });
+
+  afterEach(() => relay.close());
+
+  // POST /send, streamed in chunks (no Content-Length) → status
+  const post = (chunks) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        { port: relay.port, method: "POST", path: "/send?clientId=c1" },
+        (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        }
+      );
+
+      req.on("error", reject);
+      chunks.forEach((chunk) => req.write(chunk));
+      req.end();
+    });
+
+  it("accepts a frame", async () => {
+    expect(await post([JSON.stringify({ type: "NEW_MESSAGE" })])).toBe(202);
+  });
+
+  it("answers 400 for JSON that isn't a frame", async () => {
+    expect(await post(["null"])).toBe(400);
+    expect(await post([JSON.stringify({ payload: {} })])).toBe(400);
+  });
+
+  it("refuses a body over the size cap with 413", async () => {
+    const chunk = "x".repeat(256 * 1024);
+
+    expect(await post(Array(8).fill(chunk))).toBe(413);
+  });
+});
+
+describe("relay with auth", () => {
+  let relay;
+
+  const hello = (userId, token = signToken(userId)) => ({
+    type: "HELLO",
+    payload: { userId, token },
+  });
+
+  // Connected and authenticated as userId
+  const login = async (userId) => {
+    const client = await connect(relay.port);
+    client.send(hello(userId));
+    await flush(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    relay = await createRelay({ port: 0, verifyToken });
+  });
+
+  afterEach(() => relay.close());
+
+  it("rejects anything sent before HELLO and closes the connection", async () => {
+    const client = await connect(relay.port);
+
+    client.send({ id: "m1", type: "NEW_MESSAGE", payload: { senderId: "x" } });
+
+    expect((await client.next("AUTH_ERROR")).payload.reason).toBeTruthy();
+    expect(await client.closed).toBe(4001);
+  });
+
+  it("rejects a token issued to someone else", async () => {
+    const client = await connect(relay.port);
+
+    client.send(hello("alice", signToken("bob")));
+
+    await client.next("AUTH_ERROR");
+    expect(await client.closed).toBe(4001);
+  });
+
+  it("rejects an expired token", async () => {
+    const client = await connect(relay.port);
+
+    client.send(hello("alice", signToken("alice", { ttl: -1000 })));
+
+    await client.next("AUTH_ERROR");
+    expect(await client.closed).toBe(4001);
+  });
+
+  it("lets a client join its own inbox but not someone else's", async () => {
+    const [alice, bob, carol] = await Promise.all(
+      ["alice", "bob", "carol"].map(login)
+    );
+
+    alice.send({ type: "JOIN", payload: { topic: "user:bob" } }); // Forbidden
+    bob.send({ type: "JOIN", payload: { topic: "user:bob" } });
+    await Promise.all([flush(alice), flush(bob)]);
+
+    carol.send({
+      id: "dm1",
+      type: "NEW_MESSAGE",
+      topic: "user:bob",
+      payload: { senderId: "carol" },
+    });
+
+    expect((await bob.next("NEW_MESSAGE")).id).toBe("dm1");
+
+    await flush(alice);
+    expect(alice.frames).toEqual([]);
+  });
+
+  it("drops frames that claim another author, without an ACK", async () => {
+    const [mallory, bob] = await Promise.all(["mallory", "bob"].map(login));
+
+    mallory.send({
+      id: "forged",
+      type: "NEW_MESSAGE",
+      ack: true,
+      payload: { senderId: "bob" },
+    });
+    mallory.send({
+      id: "real",
+      type: "NEW_MESSAGE",
+      ack: true,
+      payload: { senderId: "mallory" },
+    });
+
+    // Frames from one client are handled in order: "forged" came first
+    expect((await bob.next("NEW_MESSAGE")).id).toBe("real");
+    expect(await mallory.next("ACK")).toEqual({
+      type: "ACK",
+      payload: { id: "real" },
+    });
+
+    await Promise.all([flush(bob), flush(mallory)]);
+    expect(bob.frames).toEqual([]);
+    expect(mallory.frames).toEqual([]);
+  });
+});
@@ -0,0 +1,204 @@
+/*
+  AUTH / SESSIONS
+  ===============
+
+  Identity used to be prompt("Enter User ID") at module
+  load: it blocked rendering, broke tests / SSR, and let
+  anyone claim to be anyone.
+
+  Now:
+
+    LoginScreen ──login(userId, password)──► auth backend
+                ◄── { userId, token, expiresAt } ──
+
+    session → sessionStorage (per tab, dies with the tab)
+    token   → ChatChannel HELLO handshake → relay verifies it
+
+  Two interchangeable backends (same idea as transports.js):
+
+  - local → in-browser stand-in: checks the demo accounts
+            and signs the token itself (zero infra, default)
+  - http  → POST /login on the Node auth server
+            (server/auth.js, `npm run chat:auth`)
+
+  Both issue the same token format (HS256 JWT) with the same
+  dev secret, so the relay accepts either one.
+
+  Why sessionStorage, not localStorage?
+  The demo runs two users in two tabs of ONE browser;
+  a shared localStorage session would make them the same
+  user. Real apps keep the session in an HttpOnly cookie.
+*/
+
+const SESSION_KEY = "chat-session";
+
+/*
+  Dev-only: a real identity provider never ships its
+  signing secret to the browser. Must match server/auth.js.
+*/
+const DEV_SECRET =
+  process.env.REACT_APP_CHAT_AUTH_SECRET || "dev-only-chat-secret";
+
+export const DEMO_USERS = {
+  user1: "password",
+  user2: "password",
+  user3: "password",
+};
+
+/* ============================================================
+   1️⃣ Token helpers (HS256 JWT)
+   ============================================================ */
+
+const toBase64url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const encodeJSON = (value) =>
+  toBase64url(new TextEncoder().encode(JSON.stringify(value)));
+
+/* ============================================================
+   2️⃣ Backends
+   ============================================================ */
+
+/*
+  LocalAuthBackend
+
+  Stand-in for the auth server, running in the tab.
+  delay → simulated round trip (the login button shows it)
+*/
+export class LocalAuthBackend {
+  constructor({ users = DEMO_USERS, ttl = 60 * 60 * 1000, delay = 300 } = {}) {
+    this.users = users;
+    this.ttl = ttl;
+    this.delay = delay;
+  }
+
+  async login(userId, password) {
+    await new Promise((resolve) => setTimeout(resolve, this.delay));
+
+    // Same answer for unknown user and wrong password
+    if (!this.users[userId] || this.users[userId] !== password) {
+      throw new Error("Wrong user ID or password");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + Math.floor(this.ttl / 1000);
+
+    const unsigned = `${encodeJSON({ alg: "HS256", typ: "JWT" })}.${encodeJSON({
+      sub: userId,
+      iat: now,
+      exp,
+    })}`;
+
+    const key = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(DEV_SECRET),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    );
+
+    const signature = await crypto.subtle.sign(
+      "HMAC",
+      key,
+      new TextEncoder().encode(unsigned)
+    );
+
+    return {
+      userId,
+      token: `${unsigned}.${toBase64url(new Uint8Array(signature))}`,
+      expiresAt: exp * 1000,
+    };
+  }
+}
+
+/*
+  HttpAuthBackend → the Node auth server (or a real one
+  with the same contract)
+*/
+export class HttpAuthBackend {
+  constructor({ url = "http://localhost:8788" } = {}) {
+    this.url = url;
+  }
+
+  async login(userId, password) {
+    const res = await fetch(`${this.url}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userId, password }),
+    });
+
+    const body = await res.json().catch(() => ({}));
+
+    if (!res.ok) {
+      throw new Error(body.error ?? `Login failed (${res.status})`);
+    }
+
+    return body;
+  }
+}
+
+/*
+  createAuthBackend(kind, options)
+
+  kind → "local" | "http"
+*/
+export function createAuthBackend(kind = "local", options = {}) {
+  switch (kind) {
+    case "http":
+      return new HttpAuthBackend(options);
+    case "local":
+      return new LocalAuthBackend(options);
+    default:
+      throw new Error(`Unknown auth backend: ${kind}`);
+  }
+}
+
+/*
+  App-wide default, picked from env like the transport:
+    REACT_APP_CHAT_AUTH_URL=http://localhost:8788
+*/
+export const authBackend = process.env.REACT_APP_CHAT_AUTH_URL
+  ? createAuthBackend("http", { url: process.env.REACT_APP_CHAT_AUTH_URL })
+  : createAuthBackend("local");
+
+/* ============================================================
+   3️⃣ Session storage
+   ============================================================ */
+
+export function saveSession(session) {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+/*
+  loadSession() → { userId, token, expiresAt }, or null
+  when there is none or it has expired
+*/
+export function loadSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+
+    if (session && session.expiresAt > Date.now()) return session;
+  } catch {
+    // Corrupted entry → treat as signed out
+  }
+
+  clearSession();
+  return null;
+}
+
+export function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
+// 🧠 Interview Insight
+
+// “How does a WebSocket connection get authenticated?”
+
+// Browsers can't set headers on a WebSocket upgrade, so the token
+// goes either in a cookie, the URL (leaks into logs), or — as here —
+// the first frame. The server refuses everything until that frame
+// checks out, binds the connection to the user, and authorizes every
+// subscription against it. Expired token → AUTH_ERROR → log in again.
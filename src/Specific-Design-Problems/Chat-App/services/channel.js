@@ -3,24 +3,49 @@
 
   This class abstracts our real-time communication layer.
 
-  In this demo:
-  - We use BroadcastChannel (works across browser tabs).
+  The wire itself is a pluggable transport (see transports.js):
+  - BroadcastChannel (works across browser tabs) → demo default
+  - WebSocket → local Node relay / production gateway
+  - SSE → EventSource downstream + HTTP POST upstream
 
   In production:
-  - This would be replaced with WebSocket / Socket.IO / SSE.
   - Possibly backed by Redis/Kafka for horizontal scaling.
 */
 
-class ChatChannel {
-  constructor() {
-    /*
-      BroadcastChannel allows communication
-      between browser tabs of the same origin.
+import { createTransport } from "./transports";
+
+/*
+  Connection lifecycle:
 
-      Channel name "advanced-chat" acts like a topic.
-      All tabs subscribed to this name receive messages.
+    connecting → open ⇄ degraded
+        ↑          ↓
+        └──── closed (backoff, then retry)
+
+  - connecting → transport.connect() called, no onopen yet
+  - open       → transport up, heartbeats answered
+  - degraded   → transport up, but PONGs are going missing
+  - closed     → transport down (reconnect may be scheduled)
+*/
+export const CONNECTION_STATE = {
+  CONNECTING: "connecting",
+  OPEN: "open",
+  DEGRADED: "degraded",
+  CLOSED: "closed",
+};
+
+export class ChatChannel {
+  constructor({
+    transport = createTransport("broadcast"),
+    heartbeatInterval = 10000,
+    heartbeatTimeout = 5000,
+    maxMissedHeartbeats = 2,
+  } = {}) {
+    /*
+      The transport is injected at construction time.
+      ChatChannel never knows whether it is talking to
+      other tabs, a WebSocket server or an SSE stream.
     */
-    this.channel = new BroadcastChannel("advanced-chat");
+    this.transport = transport;
 
     /*
       listeners is a map:
@@ -32,24 +57,234 @@ class ChatChannel {
       Similar to EventEmitter pattern.
     */
     this.listeners = {};
+
+    /*
+      pendingAcks: frameId → resolve callback
+
+      Frames sent with { ack: true } wait here
+      until the matching ACK arrives.
+    */
+    this.pendingAcks = new Map();
+
+    /*
+      topics → what this client is subscribed to
+      (rooms, personal inbox). Frames carrying a topic
+      we haven't joined are ignored.
+    */
+    this.topics = new Set();
+
+    /*
+      Connection state + subscribers.
+      Kept separate from "listeners" because these are
+      local lifecycle events, not frames from peers.
+    */
+    this.state = CONNECTION_STATE.CLOSED;
+    this.stateListeners = new Set();
+
+    /*
+      Heartbeat config:
+      - PING every heartbeatInterval ms
+      - each PING must be answered within heartbeatTimeout ms
+      - 1 miss → degraded, maxMissedHeartbeats misses → reconnect
+    */
+    this.heartbeatInterval = heartbeatInterval;
+    this.heartbeatTimeout = heartbeatTimeout;
+    this.maxMissedHeartbeats = maxMissedHeartbeats;
+    this.missedHeartbeats = 0;
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+
+    /*
+      Reconnect bookkeeping (same shape as useRealTimeData):
+      - reconnectCount drives exponential backoff
+      - closedByUser tells an intentional close() apart
+        from a network failure
+    */
+    this.reconnectCount = 0;
+    this.reconnectTimer = null;
+    this.closedByUser = false;
+
+    /*
+      credentials → { userId, token } from the auth layer.
+      Sent as the first frame (HELLO) of every connection.
+    */
+    this.credentials = null;
+  }
+
+  /*
+    authenticate({ userId, token })
+
+    Set before init(). The token is re-sent on every
+    reconnect: server-side identity dies with the socket,
+    exactly like topic subscriptions.
+  */
+  authenticate({ userId, token }) {
+    this.credentials = { userId, token };
+  }
+
+  /*
+    onStateChange(callback)
+
+    callback(state, info)
+      state → one of CONNECTION_STATE
+      info  → { retryIn, attempt } when a reconnect is scheduled
+
+    Returns an unsubscribe function.
+  */
+  onStateChange(callback) {
+    this.stateListeners.add(callback);
+    return () => this.stateListeners.delete(callback);
+  }
+
+  setState(state, info = {}) {
+    if (state === this.state && !info.retryIn) return;
+
+    this.state = state;
+    this.stateListeners.forEach((cb) => cb(state, info));
   }
 
   /*
-    send(type, payload, delay)
+    send(type, payload, options)
 
     type → event name (e.g., "NEW_MESSAGE", "USER_ONLINE")
     payload → actual data
-    delay → simulate network latency
+    options →
+      topic   → room / inbox to publish to (omit for global events)
+      delay   → simulate network latency (a plain number still works)
+      ack     → wait for a transport ACK before resolving
+      timeout → how long to wait for each ACK
+      retries → how many times to resend before giving up
+
+    Returns a promise:
+    - fire-and-forget → resolves once the frame is handed to the transport
+    - ack: true       → resolves on ACK, rejects after all retries time out
 
     Why simulate delay?
     - To mimic real WebSocket latency
     - To test optimistic UI behavior
     - To simulate asynchronous transport
   */
-  send(type, payload, delay = 800) {
-    setTimeout(() => {
-      this.channel.postMessage({ type, payload });
-    }, delay);
+  send(type, payload, options = {}) {
+    const {
+      topic,
+      delay = 800,
+      ack = false,
+      timeout = 5000,
+      retries = 2,
+    } = typeof options === "number" ? { delay: options } : options;
+
+    /*
+      Every frame gets an id.
+      Retries reuse the SAME id so the receiver
+      and the relay can treat them idempotently.
+    */
+    const frame = { id: crypto.randomUUID(), type, payload };
+
+    if (topic) frame.topic = topic;
+
+    if (!ack) {
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          this.transport.send(frame);
+          resolve();
+        }, delay);
+      });
+    }
+
+    return this.sendWithAck({ ...frame, ack: true }, { delay, timeout, retries });
+  }
+
+  /*
+    sendWithAck(frame, policy)
+
+    Retry policy:
+    - attempt 0 → after the simulated delay
+    - attempt n → exponential backoff min(1000 * 2^(n-1), 10s)
+    - each attempt waits "timeout" ms for the ACK
+
+    The relay (or the tab bus, for BroadcastChannel)
+    answers with { type: "ACK", payload: { id } }.
+  */
+  sendWithAck(frame, { delay, timeout, retries }) {
+    return new Promise((resolve, reject) => {
+      let attempt = 0;
+      let timer = null;
+
+      const scheduleAttempt = () => {
+        const wait =
+          attempt === 0 ? delay : Math.min(1000 * 2 ** (attempt - 1), 10000);
+
+        timer = setTimeout(() => {
+          this.transport.send(frame);
+          timer = setTimeout(onTimeout, timeout);
+        }, wait);
+      };
+
+      const onTimeout = () => {
+        if (attempt >= retries) {
+          this.pendingAcks.delete(frame.id);
+          reject(
+            new Error(
+              `No ACK for ${frame.type} (${frame.id}) after ${attempt + 1} attempts`
+            )
+          );
+          return;
+        }
+
+        attempt += 1;
+        scheduleAttempt();
+      };
+
+      this.pendingAcks.set(frame.id, () => {
+        clearTimeout(timer);
+        this.pendingAcks.delete(frame.id);
+        resolve();
+      });
+
+      scheduleAttempt();
+    });
+  }
+
+  /*
+    join(topic) / leave(topic)
+
+    Topic subscriptions, like socket.io rooms.
+
+    - Recorded locally (client-side filtering works
+      even on BroadcastChannel, where every tab hears all)
+    - Forwarded to the relay so it only fans out
+      what we subscribed to
+    - Replayed on every reconnect (server-side
+      subscriptions die with the socket)
+  */
+  join(topic) {
+    if (this.topics.has(topic)) return;
+
+    this.topics.add(topic);
+    this.sendControl("JOIN", { topic });
+  }
+
+  leave(topic) {
+    if (!this.topics.delete(topic)) return;
+
+    this.sendControl("LEAVE", { topic });
+  }
+
+  /*
+    sendControl(type, payload)
+
+    Immediate, no simulated delay, only while connected.
+    Used for JOIN / LEAVE / PING.
+  */
+  sendControl(type, payload) {
+    if (
+      this.state !== CONNECTION_STATE.OPEN &&
+      this.state !== CONNECTION_STATE.DEGRADED
+    ) {
+      return;
+    }
+
+    this.transport.send({ id: crypto.randomUUID(), type, payload });
   }
 
   /*
@@ -68,15 +303,33 @@ class ChatChannel {
     }
 
     this.listeners[type].push(callback);
+
+    /*
+      Return an unsubscribe function (like useEffect cleanup)
+      so callers don't need to keep a reference to "this".
+    */
+    return () => this.off(type, callback);
+  }
+
+  /*
+    off(type, callback)
+
+    Removes a listener.
+    Without this, remounting components leak handlers.
+  */
+  off(type, callback) {
+    this.listeners[type] = this.listeners[type]?.filter(
+      (cb) => cb !== callback
+    );
   }
 
   /*
     init()
 
-    Attaches a single global onmessage handler.
+    Wires transport callbacks and opens the connection.
 
-    When any tab sends a message:
-    - BroadcastChannel receives it
+    When any peer sends a message:
+    - The transport receives and decodes it
     - We extract { type, payload }
     - We call all registered callbacks for that type
 
@@ -84,8 +337,45 @@ class ChatChannel {
       WebSocket.onmessage
   */
   init() {
-    this.channel.onmessage = (event) => {
-      const { type, payload } = event.data;
+    this.closedByUser = false;
+
+    this.transport.onmessage = (frame) => {
+      const { type, payload } = frame;
+
+      /*
+        ACKs are transport-level bookkeeping,
+        not app events: settle the pending send and stop.
+      */
+      if (type === "ACK") {
+        this.pendingAcks.get(payload.id)?.();
+        return;
+      }
+
+      /*
+        PONG answers our heartbeat.
+        Any answer proves the link is alive again.
+      */
+      if (type === "PONG") {
+        clearTimeout(this.pongTimer);
+        this.missedHeartbeats = 0;
+        this.setState(CONNECTION_STATE.OPEN);
+        return;
+      }
+
+      /*
+        The relay rejected our token (expired, forged).
+        Reconnecting with the same token can't help: stop,
+        and let the AUTH_ERROR listeners sign the user out.
+      */
+      if (type === "AUTH_ERROR") {
+        this.close();
+      }
+
+      /*
+        Not subscribed to this topic → not for us.
+        (The relay already filters; BroadcastChannel can't.)
+      */
+      if (frame.topic && !this.topics.has(frame.topic)) return;
 
       /*
         Optional chaining ensures:
@@ -94,6 +384,147 @@ class ChatChannel {
       */
       this.listeners[type]?.forEach((cb) => cb(payload));
     };
+
+    this.transport.onopen = () => {
+      /*
+        Handshake first: the relay drops anything that
+        arrives before a valid HELLO. (Every transport
+        delivers our frames in order; SSE's POSTs are
+        chained for that, see SSETransport.send.)
+      */
+      if (this.credentials) {
+        this.transport.send({
+          id: crypto.randomUUID(),
+          type: "HELLO",
+          payload: this.credentials,
+        });
+      }
+
+      this.reconnectCount = 0; // Reset backoff on successful connection
+      this.missedHeartbeats = 0;
+      this.setState(CONNECTION_STATE.OPEN);
+
+      // Re-subscribe: a fresh connection has no server-side topics
+      this.topics.forEach((topic) => this.sendControl("JOIN", { topic }));
+
+      this.startHeartbeat();
+    };
+
+    this.transport.onclose = () => {
+      this.stopHeartbeat();
+
+      /*
+        Differentiate between intentional close()
+        and network failure. Only the latter retries.
+      */
+      if (this.closedByUser) {
+        this.setState(CONNECTION_STATE.CLOSED);
+        return;
+      }
+
+      this.scheduleReconnect();
+    };
+
+    this.connect();
+  }
+
+  connect() {
+    this.setState(CONNECTION_STATE.CONNECTING);
+    this.transport.connect();
+  }
+
+  /*
+    scheduleReconnect()
+
+    FAULT TOLERANCE: Exponential Backoff
+    Prevents "Thundering Herd" when the server comes back.
+    Formula: min(1000 * 2^n, 30s)
+  */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return; // Already waiting
+
+    const retryIn = Math.min(1000 * 2 ** this.reconnectCount, 30000);
+
+    this.setState(CONNECTION_STATE.CLOSED, {
+      retryIn,
+      attempt: this.reconnectCount + 1,
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectCount += 1;
+      this.connect();
+    }, retryIn);
+  }
+
+  /*
+    startHeartbeat()
+
+    Application-level PING/PONG.
+
+    Why not rely on TCP?
+    - A half-open socket (laptop lid closed, NAT timeout)
+      looks "open" for minutes.
+    - A missing PONG tells us within one interval.
+  */
+  startHeartbeat() {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      this.sendControl("PING", { ts: Date.now() });
+
+      clearTimeout(this.pongTimer);
+      this.pongTimer = setTimeout(() => {
+        this.missedHeartbeats += 1;
+
+        if (this.missedHeartbeats >= this.maxMissedHeartbeats) {
+          /*
+            Link is dead even if the socket claims otherwise.
+            Closing it lands in onclose → scheduleReconnect().
+          */
+          this.transport.close();
+          return;
+        }
+
+        this.setState(CONNECTION_STATE.DEGRADED);
+      }, this.heartbeatTimeout);
+    }, this.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.pongTimer);
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+  }
+
+  /*
+    close()
+
+    Intentional shutdown: no reconnect.
+  */
+  close() {
+    this.closedByUser = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
+    this.transport.close();
+  }
+
+  /*
+    reset()
+
+    Sign-out: close, and forget everything that belonged
+    to the signed-in user (message and state listeners,
+    subscriptions, token),
+    so the next user of this tab starts from a clean channel.
+  */
+  reset() {
+    this.close();
+    this.listeners = {};
+    this.stateListeners.clear();
+    this.topics.clear();
+    this.credentials = null;
   }
 }
 
@@ -109,8 +540,20 @@ class ChatChannel {
 
   In production:
   - This would be a single WebSocket connection.
+
+  The transport is picked from env so the same build can
+  target tabs or the local relay:
+    REACT_APP_CHAT_TRANSPORT=websocket
+    REACT_APP_CHAT_RELAY_URL=ws://localhost:8787
 */
-export const chatChannel = new ChatChannel();
+export const chatChannel = new ChatChannel({
+  transport: createTransport(
+    process.env.REACT_APP_CHAT_TRANSPORT || "broadcast",
+    process.env.REACT_APP_CHAT_RELAY_URL
+      ? { url: process.env.REACT_APP_CHAT_RELAY_URL }
+      : {}
+  ),
+});
 
 
 // 🎯 How This Maps to Real System Design
@@ -141,40 +584,6 @@ export const chatChannel = new ChatChannel();
 
 // So your ChatChannel class is basically a WebSocket abstraction layer.
 
-// 🔥 If This Was Production, We Would Improve It Like This:
-// 1️⃣ Add reconnect logic
-
-// socket.onclose = () => retry();
-
-// 2️⃣ Add message acknowledgements
-
-// Instead of blind send:
-
-// send(message)
-// wait for ACK
-// update status
-
-// 3️⃣ Add heartbeat
-
-// setInterval(() => send("PING"), 10000)
-
-// 4️⃣ Add message ordering / sequence numbers
-
-// To prevent:
-
-// Out-of-order delivery
-
-// Duplicate messages
-
-// 5️⃣ Add unsubscribe support
-
-// Currently we don't remove listeners.
-// Production would need:
-
-// off(type, callback)
-
-// To prevent memory leaks.
-
 // 🧠 Interview Insight
 
 // If interviewer asks:
@@ -185,4 +594,6 @@ export const chatChannel = new ChatChannel();
 
 // “To decouple the transport layer from the UI. This allows us to switch from BroadcastChannel to WebSocket without changing UI logic.”
 
+// And now it literally does: new ChatChannel({ transport: createTransport("websocket") }).
+
 // That’s senior-level thinking.
\ No newline at end of file
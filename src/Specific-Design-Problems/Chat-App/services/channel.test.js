@@ -0,0 +1,163 @@
+import { CONNECTION_STATE, ChatChannel } from "./channel";
+
+const { OPEN, DEGRADED, CLOSED, CONNECTING } = CONNECTION_STATE;
+
+/*
+  A transport we drive by hand: open() / drop() play the
+  network, receive(frame) plays the relay.
+*/
+function fakeTransport() {
+  return {
+    sent: [],
+    connects: 0,
+    connect() {
+      this.connects += 1;
+    },
+    send(frame) {
+      this.sent.push(frame);
+    },
+    close() {
+      this.onclose?.();
+    },
+    open() {
+      this.onopen();
+    },
+    drop() {
+      this.onclose();
+    },
+    receive(frame) {
+      this.onmessage(frame);
+    },
+    pings() {
+      return this.sent.filter((frame) => frame.type === "PING");
+    },
+  };
+}
+
+const realCrypto = global.crypto;
+
+describe("ChatChannel", () => {
+  let transport;
+  let channel;
+  let states;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.crypto = { randomUUID: () => "frame-id" }; // jsdom has none
+
+    transport = fakeTransport();
+    channel = new ChatChannel({
+      transport,
+      heartbeatInterval: 1000,
+      heartbeatTimeout: 500,
+      maxMissedHeartbeats: 2,
+    });
+
+    states = [];
+    channel.onStateChange((state, info) => states.push({ state, ...info }));
+  });
+
+  afterEach(() => {
+    channel.close();
+    jest.useRealTimers();
+    global.crypto = realCrypto;
+  });
+
+  const last = () => states[states.length - 1];
+
+  describe("heartbeat", () => {
+    beforeEach(() => {
+      channel.init();
+      transport.open();
+    });
+
+    it("pings every interval and stays open while answered", () => {
+      for (let i = 0; i < 3; i += 1) {
+        jest.advanceTimersByTime(1000);
+        transport.receive({ type: "PONG", payload: {} });
+      }
+
+      expect(transport.pings()).toHaveLength(3);
+      expect(channel.state).toBe(OPEN);
+    });
+
+    it("goes degraded after one missed PONG", () => {
+      jest.advanceTimersByTime(1500);
+
+      expect(channel.state).toBe(DEGRADED);
+      expect(transport.connects).toBe(1);
+    });
+
+    it("reconnects after maxMissedHeartbeats missed PONGs", () => {
+      jest.advanceTimersByTime(2500); // Two PINGs, no answer
+
+      expect(last()).toMatchObject({ state: CLOSED, retryIn: 1000 });
+
+      jest.advanceTimersByTime(1000);
+      expect(channel.state).toBe(CONNECTING);
+      expect(transport.connects).toBe(2);
+    });
+
+    it("is healthy again after a PONG, and the misses start over", () => {
+      jest.advanceTimersByTime(1500);
+      expect(channel.state).toBe(DEGRADED);
+
+      transport.receive({ type: "PONG", payload: {} });
+      expect(channel.state).toBe(OPEN);
+
+      jest.advanceTimersByTime(1000); // One more miss: degraded, not dead
+      expect(channel.state).toBe(DEGRADED);
+      expect(transport.connects).toBe(1);
+    });
+  });
+
+  describe("reconnect backoff", () => {
+    const retries = () =>
+      states.filter((entry) => entry.retryIn).map((entry) => entry.retryIn);
+
+    // The connection attempt fails: closed before it ever opened
+    const failAttempt = () => {
+      transport.drop();
+      jest.advanceTimersByTime(last().retryIn);
+    };
+
+    beforeEach(() => channel.init());
+
+    it("doubles the wait after every failed attempt, up to 30s", () => {
+      for (let i = 0; i < 7; i += 1) failAttempt();
+
+      expect(retries()).toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+      expect(transport.connects).toBe(8);
+    });
+
+    it("starts over from 1s once a connection succeeds", () => {
+      failAttempt();
+      failAttempt();
+      transport.open();
+
+      transport.drop();
+
+      expect(retries()).toEqual([1000, 2000, 1000]);
+    });
+
+    it("doesn't reconnect after an intentional close()", () => {
+      transport.open();
+      channel.close();
+
+      jest.advanceTimersByTime(60000);
+
+      expect(channel.state).toBe(CLOSED);
+      expect(transport.connects).toBe(1);
+    });
+  });
+
+  it("forgets state listeners on reset()", () => {
+    channel.reset();
+    states = [];
+
+    channel.init();
+    transport.open();
+
+    expect(states).toEqual([]);
+  });
+});
@@ -14,26 +14,137 @@
   - Messages are cached locally
   - Unsent messages are queued
   - On reconnect → sync with server
+
+  Encryption at rest:
+  Message and outbox rows are SEALED with the vault's
+  storage key (see vault.js). Only what IndexedDB needs to
+  index stays readable:
+
+    { id, roomId, createdAt, hlc, sealed: { iv, data } }
+
+  Thread replies also keep their threadId in the clear
+  (the "byThread" index needs it):
+
+    { id, roomId, createdAt, hlc, threadId, sealed }
+
+  Everything else (content, sender, status…) is inside
+  "sealed". While the vault is locked, reads and writes of
+  messages reject with "Storage is locked".
+
+  One database PER USER ("chat-db:<userId>"): the demo runs
+  two users in two tabs of one browser, and IndexedDB is
+  shared by every tab of an origin. With one shared database
+  the second account would need the first one's passphrase
+  (one vault), or see their rooms and history.
+
+  The shared database of earlier versions ("chat-db") is
+  split between its owners' databases on their next sign-in
+  (see adoptLegacyDatabase).
 */
 
-import { openDB } from "idb";
+import { deleteDB, openDB } from "idb";
+import { transition } from "./messageStatus";
+import { isDirectRoom } from "./rooms";
+import { createVault, openVault, seal, unseal } from "./vault";
 
 /*
-  Create (or open) a database named "chat-db"
-  Version = 1
+  Create (or open) the signed-in user's database,
+  "chat-db:<userId>" (see selectDatabase)
 
   IndexedDB uses versioning for schema migrations.
   If version changes → upgrade() runs.
+
+  Schema history:
+  - v1 → "messages" store
+  - v2 → "outbox" store (messages typed while offline)
+  - v3 → "createdAt" index on "messages" (cursor pagination)
+  - v4 → multi-room: "byRoom" index on "messages", "rooms" store
+  - v5 → E2E keys: "identity" (own key pair), "peerKeys" (TOFU)
+  - v6 → "meta" store (vault salt + verifier)
+  - v7 → "blobs" store (encrypted file chunks)
+  - v8 → "lastSeen" store (presence)
+  - v9 → "readState" store (per-room "read up to" watermark)
+  - v10 → "byThread" index on "messages" (threaded replies)
+  - v11 → "searchIndex" store (sealed full-text index per room)
+
+  Opened lazily on first use, so importing this module
+  never touches indexedDB (tests / SSR).
 */
-const dbPromise = openDB("chat-db", 1, {
-  upgrade(db) {
-    /*
-      upgrade() runs when:
-      - DB is created first time
-      - Version number increases
+const DB_VERSION = 11;
 
-      We create an object store (like a table in SQL)
-    */
+// The one database every user shared before the per-user split
+const LEGACY_DB_NAME = "chat-db";
+
+let dbUserId = null;
+let dbPromise = null;
+
+/*
+  selectDatabase(userId)
+
+  Every function below reads / writes THIS user's
+  database from now on. Idempotent; switching users
+  closes the previous user's connection.
+*/
+export function selectDatabase(userId) {
+  if (userId === dbUserId) return;
+
+  closeDatabase();
+  dbUserId = userId;
+}
+
+/*
+  closeDatabase()
+
+  Sign-out: close the connection and forget the user,
+  so nothing can read or write until the next
+  selectDatabase(). The data stays on disk.
+*/
+export function closeDatabase() {
+  dbPromise?.then((db) => db.close()).catch(() => {});
+  dbPromise = null;
+  dbUserId = null;
+}
+
+function getDB() {
+  if (!dbUserId) {
+    return Promise.reject(new Error("No user selected (selectDatabase)"));
+  }
+
+  if (!dbPromise) {
+    const userId = dbUserId;
+
+    dbPromise = openDB(`chat-db:${userId}`, DB_VERSION, {
+      upgrade: upgradeSchema,
+    }).then(async (db) => {
+      // A failed copy is retried on the next sign-in; don't lock the user out
+      await adoptLegacyDatabase(db, userId).catch((err) =>
+        console.error("Failed to migrate the shared database:", err)
+      );
+      return db;
+    });
+  }
+
+  return dbPromise;
+}
+
+/*
+  upgradeSchema(db, oldVersion, newVersion, transaction)
+
+  Shared by the per-user databases and the legacy one
+  (which may be any version from v1 up).
+*/
+function upgradeSchema(db, oldVersion, newVersion, transaction) {
+  /*
+    upgrade() runs when:
+    - DB is created first time (oldVersion = 0)
+    - Version number increases
+
+    Each step only runs for databases older than it,
+    so a v0 user runs every step and a v1 user only
+    runs the v2 step. Never edit a shipped step;
+    add a new one.
+  */
+  if (oldVersion < 1) {
     if (!db.objectStoreNames.contains("messages")) {
       /*
         keyPath: "id"
@@ -43,7 +154,327 @@ const dbPromise = openDB("chat-db", 1, {
       db.createObjectStore("messages", { keyPath: "id" });
     }
   }
-});
+
+  if (oldVersion < 2) {
+    /*
+      Outbox: one entry per unsent message, keyed by
+      message id (idempotency key).
+
+      "byClock" index sorts by the message's HLC, which
+      is exactly the order the user typed them in.
+    */
+    const outbox = db.createObjectStore("outbox", { keyPath: "id" });
+    outbox.createIndex("byClock", ["hlc.wall", "hlc.logical"]);
+  }
+
+  if (oldVersion < 3) {
+    /*
+      Existing stores can't be reached via db.* inside
+      upgrade(); we must go through the versionchange
+      transaction.
+
+      Index key is [createdAt, id], not just createdAt:
+      two messages in the same millisecond would otherwise
+      share a cursor position and one could be skipped
+      at a page boundary. id makes every key unique.
+
+      createIndex() back-fills existing rows automatically.
+    */
+    transaction
+      .objectStore("messages")
+      .createIndex("createdAt", ["createdAt", "id"]);
+  }
+
+  if (oldVersion < 4) {
+    const messages = transaction.objectStore("messages");
+
+    /*
+      Per-room pagination:
+      [roomId, createdAt, id] lets one cursor walk a
+      single conversation newest → oldest.
+    */
+    messages.createIndex("byRoom", ["roomId", "createdAt", "id"]);
+
+    /*
+      Back-fill: everything before v4 lived in the one
+      global room, which is now "general". Rows without
+      roomId would be invisible to the new index.
+    */
+    messages.openCursor().then(function backfill(cursor) {
+      if (!cursor) return;
+      if (!cursor.value.roomId) {
+        cursor.update({ ...cursor.value, roomId: "general" });
+      }
+      return cursor.continue().then(backfill);
+    });
+
+    /*
+      Rooms the user has opened or been DM'd in,
+      so the sidebar survives a reload.
+    */
+    db.createObjectStore("rooms", { keyPath: "id" });
+  }
+
+  if (oldVersion < 5) {
+    /*
+      identity → { userId, privateKey, publicKey, publicRaw }
+      CryptoKey objects are stored directly (structured
+      clone); the non-extractable private key never
+      exists as bytes we could read.
+    */
+    db.createObjectStore("identity", { keyPath: "userId" });
+
+    /*
+      peerKeys → { userId, publicRaw, fingerprint, firstSeen }
+      Remembered so a CHANGED key can be flagged
+      (trust-on-first-use, like SSH known_hosts).
+    */
+    db.createObjectStore("peerKeys", { keyPath: "userId" });
+  }
+
+  if (oldVersion < 6) {
+    /*
+      meta → small key/value records, e.g.
+      { key: "vault", salt, iterations, verifier }
+
+      Existing plaintext rows can't be sealed here:
+      there is no passphrase during upgrade(). They
+      are sealed on first unlock (sealLegacyRows).
+    */
+    db.createObjectStore("meta", { keyPath: "key" });
+  }
+
+  if (oldVersion < 7) {
+    /*
+      blobs → { fileId, index, iv, data: Blob }
+      One row per chunk, still encrypted with the
+      file's key (which only exists inside a sealed
+      message), so no extra sealing is needed.
+
+      Compound key → all chunks of a file are one
+      key range; resumable (we know what's missing).
+    */
+    db.createObjectStore("blobs", { keyPath: ["fileId", "index"] });
+  }
+
+  if (oldVersion < 8) {
+    /*
+      lastSeen → { userId, at } (epoch ms)
+      "last seen 5 min ago" must survive a reload;
+      presence itself is never replayed by the server.
+    */
+    db.createObjectStore("lastSeen", { keyPath: "userId" });
+  }
+
+  if (oldVersion < 9) {
+    /*
+      readState → { roomId, upTo: hlc }
+      One row per conversation instead of a "read"
+      flag per message. Not sealed: an hlc is already
+      readable on every message row.
+    */
+    db.createObjectStore("readState", { keyPath: "roomId" });
+  }
+
+  if (oldVersion < 10) {
+    /*
+      [threadId, createdAt, id] → one thread, in order.
+      Rows without a threadId (every row before v10,
+      and every top-level message) aren't indexed.
+    */
+    transaction
+      .objectStore("messages")
+      .createIndex("byThread", ["threadId", "createdAt", "id"]);
+  }
+
+  if (oldVersion < 11) {
+    /*
+      searchIndex → { roomId, sealed }
+      A serialized MiniSearch index per conversation.
+      Its terms ARE the plaintext, so it's sealed like
+      a message.
+    */
+    db.createObjectStore("searchIndex", { keyPath: "roomId" });
+  }
+}
+
+/*
+  adoptLegacyDatabase(db, userId)
+
+  Copies the old shared "chat-db" into this user's
+  database, then deletes it, so history, keys and the
+  vault survive the switch to one database per user.
+
+  - Only its owners adopt it: the users whose identity it
+    holds, or anyone if it predates identities (v5).
+    Everyone else starts empty, as before.
+  - Several owners (user1 and user2 tabs shared it) →
+    each copies only what is theirs (ownsLegacyRow), and
+    it's deleted once the LAST owner has taken their
+    share. Until then it's recorded who already did
+    (meta "adopted").
+  - Opened at DB_VERSION first, so an old copy runs the
+    same upgrade steps (a v3 database gets its v4 roomId
+    back-fill). Rows stay as they were, sealed or not;
+    plaintext ones are sealed on unlock (sealLegacyRows).
+  - Rows are put() by key, so a copy interrupted by a
+    closed tab simply runs again on the next open.
+*/
+async function adoptLegacyDatabase(db, userId) {
+  // Not supported (older Firefox) → can't tell it exists without creating it
+  const existing = (await indexedDB.databases?.()) ?? [];
+  if (!existing.some(({ name }) => name === LEGACY_DB_NAME)) return;
+
+  const legacy = await openDB(LEGACY_DB_NAME, DB_VERSION, {
+    upgrade: upgradeSchema,
+  });
+
+  let lastOwner = true;
+
+  try {
+    const owners = await legacy.getAllKeys("identity");
+    if (owners.length > 0 && !owners.includes(userId)) return;
+
+    const shared = owners.length > 1;
+    const adopted = (await legacy.get("meta", "adopted"))?.userIds ?? [];
+
+    for (const storeName of legacy.objectStoreNames) {
+      const rows = (await legacy.getAll(storeName)).filter(
+        (row) => !shared || ownsLegacyRow(storeName, row, userId)
+      );
+      if (rows.length === 0) continue;
+
+      const tx = db.transaction(storeName, "readwrite");
+      await Promise.all([...rows.map((row) => tx.store.put(row)), tx.done]);
+    }
+
+    const done = [...new Set([...adopted, userId])];
+    lastOwner = owners.every((owner) => done.includes(owner));
+
+    if (!lastOwner) {
+      await legacy.put("meta", { key: "adopted", userIds: done });
+    }
+  } finally {
+    legacy.close();
+  }
+
+  if (lastOwner) await deleteDB(LEGACY_DB_NAME);
+}
+
+/*
+  ownsLegacyRow(storeName, row, userId)
+
+  Which rows of a database SEVERAL users shared are
+  this user's, judged by what's readable without the
+  vault:
+
+  - identity → their own key pair only
+  - outbox → their unsent messages (hlc.node is
+    "<userId>:<sessionId>")
+  - messages, rooms, readState, searchIndex → group
+    rooms and their own DMs, never other people's DMs
+  - meta "adopted" → bookkeeping, stays behind
+  - meta "vault", peerKeys, lastSeen, blobs → shared:
+    the one passphrase everyone used, public keys and
+    presence, and chunks that can only be decrypted
+    with a key inside a message
+*/
+function ownsLegacyRow(storeName, row, userId) {
+  // "dm:alice:bob" → alice and bob only
+  const inRoom = (roomId = "general") =>
+    !isDirectRoom(roomId) || roomId.split(":").slice(1).includes(userId);
+
+  switch (storeName) {
+    case "identity":
+      return row.userId === userId;
+    case "outbox":
+      return row.hlc?.node?.startsWith(`${userId}:`) ?? false;
+    case "messages":
+    case "readState":
+    case "searchIndex":
+      return inRoom(row.roomId);
+    case "rooms":
+      return inRoom(row.id);
+    case "meta":
+      return row.key !== "adopted";
+    default:
+      return true;
+  }
+}
+
+/* ============================================================
+   SEALING (encryption at rest)
+   ============================================================ */
+
+async function sealRecord(message) {
+  const { id, roomId, createdAt, hlc, threadId } = message;
+
+  return {
+    id,
+    roomId,
+    createdAt,
+    hlc,
+    ...(threadId && { threadId }),
+    sealed: await seal(message),
+  };
+}
+
+async function openRecord(record) {
+  // Legacy plaintext rows only exist until the first unlock
+  return record.sealed ? unseal(record.sealed) : record;
+}
+
+/*
+  hasVault()
+
+  false → first run, the unlock screen asks the user
+          to CREATE a passphrase.
+*/
+export async function hasVault() {
+  const db = await getDB();
+  return Boolean(await db.get("meta", "vault"));
+}
+
+/*
+  unlockStorage(passphrase)
+
+  First run → creates the vault.
+  Otherwise → verifies the passphrase (throws if wrong).
+  Then seals any rows written before encryption at rest.
+*/
+export async function unlockStorage(passphrase) {
+  const db = await getDB();
+  const meta = await db.get("meta", "vault");
+
+  if (meta) {
+    await openVault(passphrase, meta);
+  } else {
+    await db.put("meta", await createVault(passphrase));
+  }
+
+  await sealLegacyRows();
+}
+
+/*
+  sealLegacyRows()
+
+  Read → seal → write in SEPARATE transactions:
+  an IndexedDB transaction auto-commits as soon as we
+  await something that isn't an IDB request (crypto.subtle).
+*/
+async function sealLegacyRows() {
+  const db = await getDB();
+
+  for (const storeName of ["messages", "outbox"]) {
+    const plain = (await db.getAll(storeName)).filter((row) => !row.sealed);
+    if (plain.length === 0) continue;
+
+    const sealed = await Promise.all(plain.map(sealRecord));
+
+    const tx = db.transaction(storeName, "readwrite");
+    await Promise.all([...sealed.map((row) => tx.store.put(row)), tx.done]);
+  }
+}
 
 /*
   saveMessage(message)
@@ -59,37 +490,346 @@ const dbPromise = openDB("chat-db", 1, {
   - Store optimistic messages before server ACK
 */
 export async function saveMessage(message) {
-  const db = await dbPromise;
+  const db = await getDB();
+
+  /*
+    Seal BEFORE opening the write: the crypto await
+    would otherwise auto-commit the transaction.
+  */
+  const record = await sealRecord(message);
 
   /*
     put() = insert or update
     Equivalent to UPSERT in SQL
   */
-  await db.put("messages", message);
+  await db.put("messages", record);
 }
 
 /*
-  getAllMessages()
+  updateMessage(id, update) → updated message | undefined
+
+  Read → unseal → update(message) → seal → write.
+  Used for edits / deletes / reactions (the folded result
+  is what we store) and for status changes.
+
+  Not one atomic transaction (unseal/seal are async crypto);
+  callers pass updates that converge when they race
+  (monotonic status, last-writer-wins edits).
+*/
+export async function updateMessage(id, update) {
+  const db = await getDB();
+  const record = await db.get("messages", id);
+
+  if (!record) return undefined;
+
+  const message = update(await openRecord(record));
+  await db.put("messages", await sealRecord(message));
+
+  return message;
+}
 
-  Fetches all stored messages from local database.
+/*
+  updateMessageStatus(id, status)
 
-  In production:
-  - On app load → hydrate UI from IndexedDB
-  - Then sync with server for new messages
+  Persists delivery progress (sent → delivered → read)
+  through the same state machine the UI uses, so a
+  late receipt can't regress what's on disk either.
 */
+export async function updateMessageStatus(id, status) {
+  await updateMessage(id, (message) => ({
+    ...message,
+    status: transition(message.status, status),
+  }));
+}
+
 export async function getAllMessages() {
-  const db = await dbPromise;
+  const db = await getDB();
 
   /*
     getAll() retrieves all records from object store.
     Could be heavy if messages are large.
+  */
+  return Promise.all((await db.getAll("messages")).map(openRecord));
+}
+
+/*
+  getMessagesPage({ roomId, before, limit })
 
-    In scalable apps:
-    - Use pagination
-    - Use indexes (createdAt)
-    - Use cursor instead of getAll
+  Cursor-based pagination, newest → oldest,
+  within a single room.
+
+  roomId → conversation to page through
+  before → cursor from the previous page
+           ({ createdAt, id } of the oldest message we have),
+           or undefined for the latest page
+  limit  → page size
+
+  Returns:
+  {
+    messages,    → oldest first (ready to render)
+    nextCursor   → pass as "before" to load older history,
+                   null when we've reached the beginning
+  }
+
+  Why cursor instead of offset?
+  - New messages arriving shift offsets → duplicates/skips
+  - A cursor is a stable position in the index
+  - IndexedDB walks the index; no full scan, no getAll()
+*/
+export async function getMessagesPage({ roomId, before, limit = 30 } = {}) {
+  const db = await getDB();
+
+  /*
+    Lower bound [roomId] sorts before every [roomId, ...]
+    key; upper bound is either the cursor or [roomId, []]
+    (an array sorts after every string → "end of room").
   */
-  return db.getAll("messages");
+  const range = IDBKeyRange.bound(
+    [roomId],
+    before ? [roomId, before.createdAt, before.id] : [roomId, []],
+    false,
+    Boolean(before)
+  );
+
+  const records = [];
+  let cursor = await db
+    .transaction("messages")
+    .store.index("byRoom")
+    .openCursor(range, "prev");
+
+  while (cursor && records.length < limit) {
+    // Thread replies live in the thread panel, not the page
+    if (!cursor.value.threadId) records.push(cursor.value);
+    cursor = await cursor.continue();
+  }
+
+  // Unseal after the cursor walk (the read tx is done by then)
+  const messages = await Promise.all(records.reverse().map(openRecord));
+
+  const oldest = messages[0];
+
+  return {
+    messages,
+    nextCursor:
+      messages.length === limit && oldest
+        ? { createdAt: oldest.createdAt, id: oldest.id }
+        : null,
+  };
+}
+
+/*
+  getRoomMessages(roomId) → every message of a room
+  (thread replies included), oldest first.
+
+  Only for (re)building the search index: unseals the
+  whole conversation.
+*/
+export async function getRoomMessages(roomId) {
+  const db = await getDB();
+  const records = await db.getAllFromIndex(
+    "messages",
+    "byRoom",
+    IDBKeyRange.bound([roomId], [roomId, []])
+  );
+
+  return Promise.all(records.map(openRecord));
+}
+
+/* ============================================================
+   SEARCH INDEX
+   ============================================================ */
+
+/*
+  saveSearchIndex(roomId, { index, upTo })
+  index → serialized MiniSearch, upTo → newest hlc in it
+*/
+export async function saveSearchIndex(roomId, saved) {
+  const db = await getDB();
+  await db.put("searchIndex", { roomId, sealed: await seal(saved) });
+}
+
+/*
+  getSearchIndex(roomId) → { index, upTo } | undefined
+  (older saves: the bare serialized index)
+*/
+export async function getSearchIndex(roomId) {
+  const db = await getDB();
+  const record = await db.get("searchIndex", roomId);
+
+  return record && unseal(record.sealed);
+}
+
+/* ============================================================
+   THREADS
+   ============================================================ */
+
+function threadRange(threadId) {
+  return IDBKeyRange.bound([threadId], [threadId, []]);
+}
+
+/*
+  getThreadReplies(threadId) → every reply, oldest first.
+  Threads are short compared to rooms: no pagination.
+*/
+export async function getThreadReplies(threadId) {
+  const db = await getDB();
+  const records = await db.getAllFromIndex("messages", "byThread", threadRange(threadId));
+
+  return Promise.all(records.map(openRecord));
+}
+
+/*
+  countThreadReplies(threadId) → number
+
+  Counted on the index, nothing is unsealed.
+*/
+export async function countThreadReplies(threadId) {
+  const db = await getDB();
+  return db.countFromIndex("messages", "byThread", threadRange(threadId));
+}
+
+/* ============================================================
+   ROOMS
+   ============================================================ */
+
+export async function saveRoom(room) {
+  const db = await getDB();
+  await db.put("rooms", room);
+}
+
+export async function getRooms() {
+  const db = await getDB();
+  return db.getAll("rooms");
+}
+
+/* ============================================================
+   E2E KEYS
+   ============================================================ */
+
+export async function getIdentity(userId) {
+  const db = await getDB();
+  return db.get("identity", userId);
+}
+
+export async function saveIdentity(identity) {
+  const db = await getDB();
+  await db.put("identity", identity);
+}
+
+export async function getPeerKeys() {
+  const db = await getDB();
+  return db.getAll("peerKeys");
+}
+
+export async function savePeerKey(peer) {
+  const db = await getDB();
+  await db.put("peerKeys", peer);
+}
+
+/* ============================================================
+   PRESENCE
+   ============================================================ */
+
+export async function saveLastSeen(userId, at) {
+  const db = await getDB();
+  await db.put("lastSeen", { userId, at });
+}
+
+export async function getLastSeen() {
+  const db = await getDB();
+  return db.getAll("lastSeen");
+}
+
+/* ============================================================
+   READ STATE
+   ============================================================ */
+
+export async function saveReadWatermark(roomId, upTo) {
+  const db = await getDB();
+  await db.put("readState", { roomId, upTo });
+}
+
+export async function getReadWatermarks() {
+  const db = await getDB();
+  return db.getAll("readState");
+}
+
+/* ============================================================
+   FILE CHUNKS
+   ============================================================ */
+
+function chunkRange(fileId) {
+  return IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+}
+
+export async function saveChunk(chunk) {
+  const db = await getDB();
+  await db.put("blobs", chunk);
+}
+
+/*
+  getChunks(fileId) → chunks in index order
+*/
+export async function getChunks(fileId) {
+  const db = await getDB();
+  return db.getAll("blobs", chunkRange(fileId));
+}
+
+export async function getChunkIndexes(fileId) {
+  const db = await getDB();
+  const keys = await db.getAllKeys("blobs", chunkRange(fileId));
+  return keys.map(([, index]) => index);
+}
+
+/*
+  deleteChunks(fileId, indexes)
+
+  Drops chunks that failed to decrypt / verify, so a
+  re-sent copy can take their place.
+*/
+export async function deleteChunks(fileId, indexes) {
+  const db = await getDB();
+  const tx = db.transaction("blobs", "readwrite");
+  await Promise.all([
+    ...indexes.map((index) => tx.store.delete([fileId, index])),
+    tx.done,
+  ]);
+}
+
+/* ============================================================
+   OUTBOX (offline queue)
+   ============================================================ */
+
+/*
+  enqueueOutgoing(message)
+
+  Persist BEFORE sending.
+  If the tab dies or the network is gone, the message
+  is still on disk and gets replayed later.
+*/
+export async function enqueueOutgoing(message) {
+  const db = await getDB();
+  await db.put("outbox", await sealRecord(message));
+}
+
+/*
+  getOutbox()
+
+  Pending messages in send order (HLC).
+*/
+export async function getOutbox() {
+  const db = await getDB();
+  return Promise.all((await db.getAllFromIndex("outbox", "byClock")).map(openRecord));
+}
+
+/*
+  removeFromOutbox(id)
+
+  Called once the server ACKs the message.
+*/
+export async function removeFromOutbox(id) {
+  const db = await getDB();
+  await db.delete("outbox", id);
 }
 
 // 🧠 Interview-Level Explanation
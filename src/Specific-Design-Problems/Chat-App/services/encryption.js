@@ -4,85 +4,138 @@
 
    We use Web Crypto API (crypto.subtle) for AES-GCM encryption.
 
-   IMPORTANT:
-   - This is symmetric encryption.
-   - Both users share the same key (stored in localStorage).
-   - This simulates E2E encryption but is NOT production-grade.
-
-   In real-world E2E (like WhatsApp):
-   - Each user has public/private key pair.
-   - Shared secret derived using Diffie-Hellman.
-   - Session keys rotate frequently.
-   - Double ratchet algorithm used.
+   Key agreement:
+   - Each user has an ECDH (P-256) identity key pair.
+   - Public keys are exchanged over ChatChannel (keyExchange.js).
+   - Shared secret derived using Diffie-Hellman, then HKDF.
+   - A symmetric ratchet (ratchet.js) turns it into a fresh
+     AES-GCM key for EVERY message.
+
+   Still NOT production-grade:
+   - No Diffie-Hellman ratchet, so no post-compromise
+     security (a stolen chain key reads FUTURE messages).
+   - Trust-on-first-use: keys are only as trustworthy
+     as the fingerprint check users do.
 ============================================================ */
 
 
 /* ============================================================
-   1️⃣ Generate or Reuse Shared Key
+   1️⃣ Identity Key Pair (ECDH P-256)
    ============================================================ */
 
-export async function getSharedKey() {
-  /*
-    Check if key already exists in localStorage.
-    This ensures both tabs reuse the same encryption key.
-  */
-  const storedKey = localStorage.getItem("shared-chat-key");
-
-  if (storedKey) {
-    /*
-      Keys must be in CryptoKey format.
-      localStorage only stores strings.
-      So we:
-        1. Parse JSON
-        2. Convert to Uint8Array
-        3. Import back into CryptoKey format
-    */
-    const rawKey = Uint8Array.from(JSON.parse(storedKey));
-
-    return await crypto.subtle.importKey(
-      "raw",                 // raw binary format
-      rawKey,                // actual key bytes
-      { name: "AES-GCM" },   // algorithm
-      true,                  // extractable (can export again)
-      ["encrypt", "decrypt"] // allowed operations
-    );
-  }
+/*
+  One long-lived key pair per user.
+
+  extractable = false:
+  - The PRIVATE key can be used (deriveBits) but never
+    exported, not even by our own code or an XSS payload
+    calling exportKey().
+  - The PUBLIC key of a generated pair is always
+    exportable, which is what we share with peers.
+
+  A CryptoKey survives structured cloning, so it can be
+  stored in IndexedDB as-is (see keyExchange.js).
+*/
+export async function generateIdentityKeyPair() {
+  return crypto.subtle.generateKey(
+    { name: "ECDH", namedCurve: "P-256" },
+    false,          // private key stays inside the browser
+    ["deriveBits"]
+  );
+}
 
-  /*
-    If no key exists:
-    Generate new 256-bit AES-GCM key.
-  */
-  const key = await crypto.subtle.generateKey(
-    { name: "AES-GCM", length: 256 }, // 256-bit strong encryption
-    true,                             // extractable
-    ["encrypt", "decrypt"]
+/*
+  exportPublicKey(publicKey)
+
+  "raw" = the uncompressed EC point (65 bytes).
+  Plain array so it survives JSON (WebSocket / SSE).
+*/
+export async function exportPublicKey(publicKey) {
+  const raw = await crypto.subtle.exportKey("raw", publicKey);
+  return Array.from(new Uint8Array(raw));
+}
+
+export async function importPublicKey(raw) {
+  return crypto.subtle.importKey(
+    "raw",
+    new Uint8Array(raw),
+    { name: "ECDH", namedCurve: "P-256" },
+    true,
+    [] // public keys are only ever an input to deriveBits
   );
+}
 
-  /*
-    Export key so we can persist it.
-    Web Crypto API returns CryptoKey object,
-    which cannot be stored directly.
-  */
-  const exported = await crypto.subtle.exportKey("raw", key);
 
-  /*
-    Store key bytes in localStorage.
-    Convert Uint8Array → normal array → JSON string.
-  */
-  localStorage.setItem(
-    "shared-chat-key",
-    JSON.stringify(Array.from(new Uint8Array(exported)))
+/* ============================================================
+   2️⃣ Shared Secret (ECDH → HKDF key material)
+   ============================================================ */
+
+/*
+  deriveSharedSecret(privateKey, peerPublicKey)
+
+  ECDH: my private + their public → shared secret.
+  They compute the SAME secret from their private + my public.
+
+  The raw ECDH output is not uniformly random, so it's
+  never used as an AES key directly. It is imported as
+  HKDF key material instead; ratchet.js derives one chain
+  per (conversation, direction, session) from it, with
+  the conversation id in the HKDF salt → alice/bob in
+  "general" and alice/bob in their DM never share keys.
+
+  Non-extractable as well.
+*/
+export async function deriveSharedSecret(privateKey, peerPublicKey) {
+  const sharedSecret = await crypto.subtle.deriveBits(
+    { name: "ECDH", public: peerPublicKey },
+    privateKey,
+    256
   );
 
-  return key;
+  return crypto.subtle.importKey(
+    "raw",
+    sharedSecret,
+    "HKDF",
+    false,
+    ["deriveBits"]
+  );
+}
+
+/*
+  getFingerprint(rawPublicKey)
+
+  Short, human-comparable form of a public key:
+  SHA-256 → first 16 bytes → "1A2B 3C4D …".
+
+  Two users read theirs to each other (call, in person).
+  If they match, nobody swapped the keys in transit (MITM).
+*/
+export async function getFingerprint(rawPublicKey) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new Uint8Array(rawPublicKey)
+  );
+
+  const hex = Array.from(new Uint8Array(digest).slice(0, 16))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("")
+    .toUpperCase();
+
+  return hex.match(/.{4}/g).join(" ");
 }
 
 
 /* ============================================================
-   2️⃣ Encrypt Message
+   3️⃣ Encrypt Message
    ============================================================ */
 
-export async function encryptMessage(key, text) {
+/*
+  additionalData (optional)
+  → authenticated but NOT encrypted (e.g. the ratchet header).
+    Tampering with it makes decryption fail, so a relay
+    can't move a ciphertext to another message number.
+*/
+export async function encryptMessage(key, text, additionalData) {
   /*
     Convert string → binary format.
     Encryption works on bytes, not strings.
@@ -109,8 +162,14 @@ export async function encryptMessage(key, text) {
     - Symmetric encryption
     - Authenticated encryption (integrity check included)
   */
+  const params = { name: "AES-GCM", iv }; // algorithm + IV
+
+  if (additionalData !== undefined) {
+    params.additionalData = encoder.encode(additionalData);
+  }
+
   const encrypted = await crypto.subtle.encrypt(
-    { name: "AES-GCM", iv }, // algorithm + IV
+    params,
     key,                     // symmetric key
     encoder.encode(text)     // plaintext bytes
   );
@@ -131,10 +190,10 @@ export async function encryptMessage(key, text) {
 
 
 /* ============================================================
-   3️⃣ Decrypt Message
+   4️⃣ Decrypt Message
    ============================================================ */
 
-export async function decryptMessage(key, encryptedData) {
+export async function decryptMessage(key, encryptedData, additionalData) {
   /*
     Extract IV and encrypted bytes.
   */
@@ -148,8 +207,14 @@ export async function decryptMessage(key, encryptedData) {
       - Data corrupted
     → crypto.subtle.decrypt will throw OperationError
   */
+  const params = { name: "AES-GCM", iv: new Uint8Array(iv) };
+
+  if (additionalData !== undefined) {
+    params.additionalData = new TextEncoder().encode(additionalData);
+  }
+
   const decrypted = await crypto.subtle.decrypt(
-    { name: "AES-GCM", iv: new Uint8Array(iv) },
+    params,
     key,
     new Uint8Array(data)
   );
@@ -168,17 +233,12 @@ export async function decryptMessage(key, encryptedData) {
 
 // Because:
 
-// Key is stored in localStorage (not secure)
-
-// No public/private key exchange
-
-// No forward secrecy
-
-// No key rotation
+// Symmetric ratchet only: forward secrecy, but no post-compromise
+// security (Signal adds a DH ratchet step for that)
 
-// No identity verification
+// Identity verification is manual (fingerprints), trust-on-first-use
 
-// No server-side key exchange protocol
+// No server-side key directory (peers announce keys themselves)
 
 // 🟢 What Production E2E Would Look Like
 
@@ -0,0 +1,248 @@
+/**
+ * @jest-environment node
+ */
+import { CHUNK_SIZE, FileTransfer } from "./fileTransfer";
+import * as db from "./db";
+
+// jest's node environment has no Web Crypto global (jsdom has none at all)
+global.crypto ??= require("crypto").webcrypto;
+// …nor Blob / File (Node has both in "buffer")
+global.Blob ??= require("buffer").Blob;
+global.File ??= require("buffer").File;
+
+/*
+  In-memory "blobs" store, keyed like the real one
+  (fileId + index) and read back in index order.
+
+  Plain functions, not jest.fn(): CRA's resetMocks would
+  wipe their implementations before every test.
+*/
+jest.mock("./db", () => {
+  const blobs = new Map();
+  const ofFile = (fileId) =>
+    [...blobs.values()]
+      .filter((chunk) => chunk.fileId === fileId)
+      .sort((a, b) => a.index - b.index);
+
+  return {
+    blobs,
+    reset: () => blobs.clear(),
+    saveChunk: async (chunk) => {
+      blobs.set(`${chunk.fileId}#${chunk.index}`, chunk);
+    },
+    getChunks: async (fileId) => ofFile(fileId),
+    getChunkIndexes: async (fileId) => ofFile(fileId).map((chunk) => chunk.index),
+    deleteChunks: async (fileId, indexes) => {
+      indexes.forEach((index) => blobs.delete(`${fileId}#${index}`));
+    },
+  };
+});
+
+jest.mock("./rooms", () => ({ roomTopic: (roomId) => `room:${roomId}` }));
+
+/*
+  A channel that records what went out and lets the test
+  deliver frames to the registered handlers.
+*/
+function fakeChannel() {
+  const handlers = new Map();
+
+  return {
+    sent: [],
+    on(type, handler) {
+      handlers.set(type, handler);
+      return () => handlers.delete(type);
+    },
+    emit: (type, payload) => handlers.get(type)(payload),
+    async send(type, payload) {
+      this.sent.push({ type, payload });
+    },
+  };
+}
+
+/*
+  outcome → resolves with { blob } or { error } for the
+  first transfer that finishes either way.
+*/
+function transferFor(userId, channel, options = {}) {
+  let settle;
+  const outcome = new Promise((resolve) => {
+    settle = resolve;
+  });
+
+  const transfer = new FileTransfer({
+    userId,
+    channel,
+    onComplete: (fileId, blob) => settle({ fileId, blob }),
+    onError: (fileId, error) => settle({ fileId, error }),
+    ...options,
+  });
+
+  return { transfer, outcome };
+}
+
+// The FILE_CHUNK frames a sender put on the wire
+const chunksSent = (channel) =>
+  channel.sent.filter(({ type }) => type === "FILE_CHUNK").map(({ payload }) => payload);
+
+const file = (bytes, type = "application/octet-stream") =>
+  new File([bytes], "notes.bin", { type });
+
+describe("FileTransfer", () => {
+  let senderChannel;
+  let sender;
+
+  beforeEach(() => {
+    db.reset();
+    senderChannel = fakeChannel();
+    sender = transferFor("alice", senderChannel).transfer;
+  });
+
+  it("splits a file into encrypted chunks and reassembles it", async () => {
+    const bytes = new Uint8Array(CHUNK_SIZE * 2 + 10).map((_, i) => i % 251);
+    const descriptor = await sender.prepare(file(bytes));
+
+    expect(descriptor.chunkCount).toBe(3);
+
+    await sender.sendChunks(descriptor, "general");
+    const frames = chunksSent(senderChannel);
+
+    expect(frames.map((frame) => frame.index)).toEqual([0, 1, 2]);
+
+    // The receiver starts from an empty store
+    db.reset();
+    const { transfer, outcome } = transferFor("bob", fakeChannel());
+
+    await transfer.expect({ content: descriptor, roomId: "general", senderId: "alice" });
+    for (const frame of frames) await transfer.handleChunk(frame);
+
+    const { blob } = await outcome;
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(bytes);
+  });
+
+  it("fails the transfer when the SHA-256 doesn't match", async () => {
+    const descriptor = await sender.prepare(file(new Uint8Array([1, 2, 3])));
+    // No re-requests left: fail right away
+    const { transfer, outcome } = transferFor("bob", fakeChannel(), { maxRequests: 0 });
+
+    await transfer.expect({
+      content: { ...descriptor, sha256: "0".repeat(64) },
+      roomId: "general",
+      senderId: "alice",
+    });
+
+    const { blob, error } = await outcome;
+    expect(blob).toBeUndefined();
+    expect(error.message).toBe("Integrity check failed");
+  });
+
+  it("re-requests exactly the missing chunks after idleTimeout", async () => {
+    jest.useFakeTimers();
+
+    try {
+      const bytes = new Uint8Array(CHUNK_SIZE * 3);
+      const descriptor = await sender.prepare(file(bytes));
+
+      await sender.sendChunks(descriptor, "general");
+      const frames = chunksSent(senderChannel);
+
+      db.reset();
+      const receiverChannel = fakeChannel();
+      const { transfer } = transferFor("bob", receiverChannel, { idleTimeout: 1000 });
+
+      await transfer.expect({ content: descriptor, roomId: "general", senderId: "alice" });
+      await transfer.handleChunk(frames[1]);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(receiverChannel.sent).toEqual([
+        {
+          type: "FILE_CHUNK_REQUEST",
+          payload: {
+            fileId: descriptor.fileId,
+            senderId: "alice",
+            roomId: "general",
+            indexes: [0, 2],
+          },
+        },
+      ]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("replaces a tampered chunk with a re-sent good copy", async () => {
+    const bytes = new Uint8Array(CHUNK_SIZE * 2).map((_, i) => i % 251);
+    const descriptor = await sender.prepare(file(bytes));
+
+    await sender.sendChunks(descriptor, "general");
+    const frames = chunksSent(senderChannel);
+
+    db.reset();
+
+    // Plays the sender: answers a FILE_CHUNK_REQUEST with good copies
+    const receiverChannel = fakeChannel();
+    receiverChannel.send = async (type, { indexes }) => {
+      if (type !== "FILE_CHUNK_REQUEST") return;
+      for (const index of indexes) await transfer.handleChunk(frames[index]);
+    };
+
+    const { transfer, outcome } = transferFor("bob", receiverChannel, {
+      idleTimeout: 10,
+    });
+
+    // Someone else in the room got a forged copy of chunk 1 in first
+    const forged = { ...frames[1], data: btoa("forged") };
+
+    await transfer.expect({ content: descriptor, roomId: "general", senderId: "alice" });
+    await transfer.handleChunk(frames[0]);
+    await transfer.handleChunk(forged);
+    await transfer.handleChunk(frames[1]); // Too late: index 1 is taken
+
+    const { blob, error } = await outcome;
+    expect(error).toBeUndefined();
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(bytes);
+  });
+
+  it("ignores chunk indexes outside the descriptor", async () => {
+    const descriptor = await sender.prepare(file(new Uint8Array(10)));
+    await sender.sendChunks(descriptor, "general");
+    const [frame] = chunksSent(senderChannel);
+
+    db.reset();
+    const { transfer, outcome } = transferFor("bob", fakeChannel());
+
+    await transfer.expect({ content: descriptor, roomId: "general", senderId: "alice" });
+    await transfer.handleChunk({ ...frame, index: 5 });
+    await transfer.handleChunk({ ...frame, index: 0.5 });
+
+    expect(db.blobs.size).toBe(0);
+
+    await transfer.handleChunk(frame);
+
+    const { blob, error } = await outcome;
+    expect(error).toBeUndefined();
+    expect(blob.size).toBe(10);
+  });
+
+  it("keeps only maxOrphans chunks for unknown files", async () => {
+    const { transfer } = transferFor("bob", fakeChannel(), { maxOrphans: 2 });
+    const chunk = (fileId) => ({ fileId, index: 0, iv: [], data: btoa("x") });
+
+    await transfer.handleChunk(chunk("a"));
+    await transfer.handleChunk(chunk("b"));
+    await transfer.handleChunk(chunk("c"));
+
+    expect([...db.blobs.keys()]).toEqual(["a#0", "b#0"]);
+  });
+
+  it("hands only raster images their own MIME type", async () => {
+    const png = await sender.prepare(file(new Uint8Array([1]), "image/png"));
+    const html = await sender.prepare(file(new Uint8Array([1]), "text/html"));
+    const svg = await sender.prepare(file(new Uint8Array([1]), "image/svg+xml"));
+
+    expect((await sender.assemble(png)).type).toBe("image/png");
+    expect((await sender.assemble(html)).type).toBe("application/octet-stream");
+    expect((await sender.assemble(svg)).type).toBe("application/octet-stream");
+  });
+});
@@ -0,0 +1,394 @@
+/*
+  KEY EXCHANGE (ECDH over ChatChannel)
+  ====================================
+
+  Replaces the old "one AES key in localStorage" setup:
+
+  - Every user owns an ECDH P-256 identity key pair,
+    private half non-extractable, kept in IndexedDB.
+  - Public keys travel over ChatChannel:
+      KEY_ANNOUNCE { userId, publicKey }   → "here is my key"
+      KEY_REQUEST  { userId? }             → "please announce"
+                                             (no userId = everyone)
+  - ECDH secret per peer → symmetric ratchet per
+    (conversation, direction, session) → one AES-GCM key
+    per message (see ratchet.js).
+
+  Group rooms use client-side fan-out: a message is encrypted
+  once per recipient and the envelope carries
+
+    encrypted: { [recipientId]: { header: { n }, iv, data } }
+
+  (Signal / WhatsApp do the same for small groups before
+  switching to sender keys.)
+
+  Trust model: trust-on-first-use. The first key we see for a
+  user is remembered; a DIFFERENT key later is flagged as
+  "changed" until the users compare fingerprints again.
+*/
+
+import {
+  deriveSharedSecret,
+  exportPublicKey,
+  generateIdentityKeyPair,
+  getFingerprint,
+  importPublicKey,
+} from "./encryption";
+import { getIdentity, getPeerKeys, saveIdentity, savePeerKey } from "./db";
+import { CONNECTION_STATE } from "./channel";
+import { directPeer, isDirectRoom } from "./rooms";
+import { SymmetricRatchet, chainIdFor } from "./ratchet";
+
+function sameKey(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+export class KeyManager {
+  /*
+    sessionId      → this tab's stream id; our sending chains
+                     restart with every session
+    requestTimeout → how long to wait for a peer's
+                     KEY_ANNOUNCE before giving up
+  */
+  constructor({ userId, sessionId, channel, requestTimeout = 5000 }) {
+    this.userId = userId;
+    this.sessionId = sessionId;
+    this.channel = channel;
+    this.requestTimeout = requestTimeout;
+
+    this.identity = null;
+    this.fingerprint = null;
+
+    /*
+      peers → userId → { userId, publicKey, publicRaw,
+                         fingerprint, changed, verified }
+    */
+    this.peers = new Map();
+
+    /*
+      ECDH secrets are cached as PROMISES so two messages
+      arriving together don't both run ECDH.
+      peerId → Promise<CryptoKey>
+    */
+    this.sharedSecrets = new Map();
+
+    this.ratchet = new SymmetricRatchet();
+
+    // userId → Set of callbacks waiting for that user's key
+    this.waiters = new Map();
+
+    this.listeners = new Set();
+    this.unsubscribers = [];
+    this.ready = null;
+  }
+
+  /*
+    init()
+
+    Loads (or creates) the identity. Idempotent (StrictMode
+    mounts twice): every caller gets the same promise.
+  */
+  init() {
+    if (!this.ready) this.ready = this.setup();
+    return this.ready;
+  }
+
+  async setup() {
+    // The pre-ECDH shared key must not linger on disk
+    localStorage.removeItem("shared-chat-key");
+
+    let identity = await getIdentity(this.userId);
+
+    if (!identity) {
+      const pair = await generateIdentityKeyPair();
+
+      identity = {
+        userId: this.userId,
+        privateKey: pair.privateKey,
+        publicKey: pair.publicKey,
+        publicRaw: await exportPublicKey(pair.publicKey),
+      };
+
+      await saveIdentity(identity);
+    }
+
+    this.identity = identity;
+    this.fingerprint = await getFingerprint(identity.publicRaw);
+
+    /*
+      Peers from previous sessions. One browser can host
+      several demo users, so skip our own entry.
+    */
+    for (const peer of await getPeerKeys()) {
+      if (peer.userId === this.userId) continue;
+
+      this.peers.set(peer.userId, {
+        ...peer,
+        publicKey: await importPublicKey(peer.publicRaw),
+      });
+    }
+
+    this.emit();
+  }
+
+  /*
+    start() / destroy()
+
+    Attach to / detach from the channel. Separate from
+    init() so a mount → unmount → mount can detach and
+    re-attach without loading (or generating) the
+    identity twice. start() needs init() to have resolved.
+  */
+  start() {
+    this.unsubscribers = [
+      this.channel.on("KEY_ANNOUNCE", (payload) => this.handleAnnounce(payload)),
+
+      this.channel.on("KEY_REQUEST", ({ userId } = {}) => {
+        if (!userId || userId === this.userId) this.announce();
+      }),
+
+      /*
+        On every (re)connect: publish our key and collect
+        everyone else's. Keys may have changed while we
+        were away.
+      */
+      this.channel.onStateChange((state) => {
+        if (state !== CONNECTION_STATE.OPEN) return;
+
+        this.announce();
+        this.channel.send("KEY_REQUEST", {});
+      }),
+    ];
+  }
+
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  announce() {
+    this.channel.send("KEY_ANNOUNCE", {
+      userId: this.userId,
+      publicKey: this.identity.publicRaw,
+    });
+  }
+
+  async handleAnnounce({ userId, publicKey }) {
+    if (userId === this.userId) return;
+
+    const known = this.peers.get(userId);
+
+    if (known && sameKey(known.publicRaw, publicKey)) {
+      this.resolveWaiters(userId, known.publicKey);
+      return;
+    }
+
+    const peer = {
+      userId,
+      publicRaw: publicKey,
+      fingerprint: await getFingerprint(publicKey),
+      firstSeen: known?.firstSeen ?? new Date().toISOString(),
+      /*
+        A known user with a NEW key: reinstall, new device…
+        or someone in the middle. Users must re-verify.
+      */
+      changed: Boolean(known),
+      verified: false,
+    };
+
+    await savePeerKey(peer);
+
+    const imported = await importPublicKey(publicKey);
+    this.peers.set(userId, { ...peer, publicKey: imported });
+
+    // Everything derived from the old public key is now wrong
+    if (known) {
+      this.sharedSecrets.delete(userId);
+      this.ratchet.forget(
+        (chainId) =>
+          chainId.includes(`|${userId}>`) || chainId.includes(`>${userId}|`)
+      );
+    }
+
+    this.resolveWaiters(userId, imported);
+    this.emit();
+  }
+
+  resolveWaiters(userId, publicKey) {
+    this.waiters.get(userId)?.forEach((resolve) => resolve(publicKey));
+    this.waiters.delete(userId);
+  }
+
+  /*
+    getPeerKey(peerId)
+
+    Known → immediately.
+    Unknown → KEY_REQUEST, resolved by their KEY_ANNOUNCE,
+              rejected after requestTimeout (peer offline)
+              with error.missingKey = peerId.
+  */
+  getPeerKey(peerId) {
+    const peer = this.peers.get(peerId);
+    if (peer) return Promise.resolve(peer.publicKey);
+
+    return new Promise((resolve, reject) => {
+      if (!this.waiters.has(peerId)) this.waiters.set(peerId, new Set());
+
+      const waiters = this.waiters.get(peerId);
+
+      const onKey = (publicKey) => {
+        clearTimeout(timer);
+        resolve(publicKey);
+      };
+
+      const timer = setTimeout(() => {
+        waiters.delete(onKey);
+        const error = new Error(`No public key for ${peerId}`);
+        error.missingKey = peerId; // The outbox parks, not fails, on this
+        reject(error);
+      }, this.requestTimeout);
+
+      waiters.add(onKey);
+      this.channel.send("KEY_REQUEST", { userId: peerId }, 0);
+    });
+  }
+
+  getSharedSecret(peerId) {
+    if (!this.sharedSecrets.has(peerId)) {
+      const derived = this.getPeerKey(peerId).then((peerPublicKey) =>
+        deriveSharedSecret(this.identity.privateKey, peerPublicKey)
+      );
+
+      // Don't cache a failure (peer may come online later)
+      derived.catch(() => this.sharedSecrets.delete(peerId));
+
+      this.sharedSecrets.set(peerId, derived);
+    }
+
+    return this.sharedSecrets.get(peerId);
+  }
+
+  /*
+    recipientsFor(roomId)
+
+    DM    → the other participant
+    Group → every peer whose key we know
+  */
+  recipientsFor(roomId) {
+    return isDirectRoom(roomId)
+      ? [directPeer(roomId, this.userId)]
+      : [...this.peers.keys()];
+  }
+
+  /*
+    encryptFor(roomId, text)
+
+    → { [recipientId]: { header: { n }, iv, data } }
+    Every call advances each recipient's sending chain.
+    The chain is THIS session's: the envelope it goes out
+    in must carry this.sessionId (the outbox re-stamps
+    messages queued by an earlier session).
+    Rejects (error.missingKey) if a DM peer's key can't be
+    obtained, so the outbox parks that room and retries later.
+  */
+  async encryptFor(roomId, text) {
+    const encrypted = {};
+
+    for (const peerId of this.recipientsFor(roomId)) {
+      const chainId = chainIdFor({
+        roomId,
+        from: this.userId,
+        to: peerId,
+        sessionId: this.sessionId,
+      });
+
+      encrypted[peerId] = await this.ratchet.encrypt(
+        chainId,
+        () => this.getSharedSecret(peerId),
+        text
+      );
+    }
+
+    return encrypted;
+  }
+
+  /*
+    decryptFrom(envelope)
+
+    Picks our copy out of envelope.encrypted and runs it
+    through the sender's chain for this room + session.
+  */
+  async decryptFrom({ roomId, senderId, sessionId, encrypted }) {
+    const payload = encrypted?.[this.userId];
+
+    if (!payload) {
+      // Sent before the sender knew our key
+      throw new Error(`Message from ${senderId} was not encrypted for us`);
+    }
+
+    const chainId = chainIdFor({
+      roomId,
+      from: senderId,
+      to: this.userId,
+      sessionId,
+    });
+
+    return this.ratchet.decrypt(
+      chainId,
+      () => this.getSharedSecret(senderId),
+      payload
+    );
+  }
+
+  /*
+    markVerified(peerId)
+
+    Called after the users compared fingerprints
+    out of band. Clears the "key changed" warning.
+  */
+  async markVerified(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    const { publicKey, ...stored } = peer;
+    const updated = { ...stored, changed: false, verified: true };
+
+    await savePeerKey(updated);
+    this.peers.set(peerId, { ...updated, publicKey });
+    this.emit();
+  }
+
+  /*
+    onChange(callback) → unsubscribe
+
+    callback({ fingerprint, peers }) with a plain snapshot
+    (no CryptoKeys) for the UI.
+  */
+  onChange(callback) {
+    this.listeners.add(callback);
+    if (this.identity) callback(this.snapshot());
+    return () => this.listeners.delete(callback);
+  }
+
+  snapshot() {
+    return {
+      fingerprint: this.fingerprint,
+      peers: [...this.peers.values()].map(({ publicKey, ...peer }) => peer),
+    };
+  }
+
+  emit() {
+    const snapshot = this.snapshot();
+    this.listeners.forEach((cb) => cb(snapshot));
+  }
+}
+
+// 🧠 Interview Insight
+
+// “How do two browsers agree on a key the server never sees?”
+
+// Diffie-Hellman: each side publishes only a public key, and
+// both compute the same secret from (own private, peer public).
+// The server can relay public keys but can't derive the secret.
+// What it CAN do is swap keys (MITM) — which is exactly what
+// fingerprint verification ("safety numbers") catches.
@@ -0,0 +1,77 @@
+/*
+  LINK PREVIEWS
+  =============
+
+  The first link of a message gets a card (title,
+  description, image), like Slack / WhatsApp.
+
+  The browser can't fetch the page itself:
+  - CORS blocks reading other origins
+  - every reader fetching it would leak their IP to
+    whoever sent the link
+
+  So metadata comes from a preview endpoint:
+
+    GET <endpoint>?url=<encoded url>
+      → { url, title, description, image, siteName }
+
+  The image is loaded through the same server
+  (GET <endpoint>/../image?url=…), never from its own
+  host: that would leak every reader's IP just the same.
+
+  Configurable, defaults to the local stand-in
+  (server/preview.js, `npm run chat:preview`):
+    REACT_APP_CHAT_PREVIEW_URL=http://localhost:8789/preview
+
+  Cached per URL for the session: a link pasted into
+  ten messages (or re-rendered by the virtual list)
+  is fetched once. Failures are cached as null too,
+  so a dead endpoint doesn't get hammered.
+*/
+
+const PREVIEW_ENDPOINT =
+  process.env.REACT_APP_CHAT_PREVIEW_URL || "http://localhost:8789/preview";
+
+// url → Promise<preview | null>
+const cache = new Map();
+
+/*
+  proxiedImage(image, endpoint) → image URL on the preview
+  server, or null (not an http(s) URL)
+*/
+function proxiedImage(image, endpoint) {
+  try {
+    const { protocol } = new URL(image);
+    if (protocol !== "http:" && protocol !== "https:") return null;
+
+    const proxy = new URL("image", new URL(endpoint, window.location.href));
+    proxy.searchParams.set("url", image);
+    return proxy.href;
+  } catch {
+    return null;
+  }
+}
+
+/*
+  fetchLinkPreview(url, { endpoint }) → Promise<preview | null>
+  Never rejects: no preview is a normal outcome.
+*/
+export function fetchLinkPreview(url, { endpoint = PREVIEW_ENDPOINT } = {}) {
+  const key = `${endpoint} ${url}`;
+
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      fetch(`${endpoint}?url=${encodeURIComponent(url)}`)
+        .then((res) => (res.ok ? res.json() : null))
+        .then((preview) =>
+          preview?.title
+            ? { ...preview, image: proxiedImage(preview.image, endpoint) }
+            : null
+        )
+        .catch(() => null)
+    );
+  }
+
+  return cache.get(key);
+}
@@ -0,0 +1,271 @@
+/*
+  MARKDOWN (chat subset)
+  ======================
+
+  Messages used to render as raw text. Now a small,
+  chat-sized subset of markdown:
+
+    **bold**   *italic* / _italic_   `code`
+    ```lang
+    code block
+    ```
+    [label](https://…)   bare https://… links
+    @user1               mentions
+    :tada:               emoji shortcodes
+
+  Pipeline (no HTML strings anywhere):
+
+    text ──parseMarkdown()──► nodes ──sanitize()──► safe nodes ──► React
+
+  - The parser never produces markup, only plain nodes:
+    { type: "text", text } | { type: "bold", children } | …
+  - sanitize() is an ALLOW-LIST: unknown node types are
+    dropped, links must be http(s) / mailto (no
+    javascript:, data:, vbscript: …), text must be text.
+  - RichText turns nodes into React elements, so every
+    string is escaped by React. No dangerouslySetInnerHTML.
+
+  Why not a full markdown library + DOMPurify?
+  Chat needs ~7 constructs. Headings, tables, images and
+  raw HTML are attack surface we'd only have to strip again.
+*/
+
+export const EMOJI_SHORTCODES = {
+  smile: "😄",
+  joy: "😂",
+  heart: "❤️",
+  thumbsup: "👍",
+  "+1": "👍",
+  thumbsdown: "👎",
+  fire: "🔥",
+  tada: "🎉",
+  rocket: "🚀",
+  eyes: "👀",
+  wave: "👋",
+  thinking: "🤔",
+  cry: "😢",
+  pray: "🙏",
+  ok_hand: "👌",
+  check: "✅",
+  x: "❌",
+  warning: "⚠️",
+  sparkles: "✨",
+  100: "💯",
+};
+
+const CODE_BLOCK = /```([\w-]*)\n?([\s\S]*?)```/g;
+
+/*
+  One alternation, tried left to right at each position:
+  earlier alternatives win (** before *, code before all,
+  so nothing inside `code` is formatted).
+*/
+const INLINE = new RegExp(
+  [
+    "`(?<code>[^`\\n]+)`",
+    // One level of balanced parens: …/wiki/Foo_(bar)
+    "\\[(?<label>[^\\]\\n]+)\\]\\((?<href>(?:[^()\\s]|\\([^()\\s]*\\))+)\\)",
+    "\\*\\*(?<bold>[^\\n]+?)\\*\\*",
+    "\\*(?<italic>[^*\\n]+)\\*",
+    // _word_ only: snake_case_names stay as they are
+    "(?<![\\w])_(?<underscore>[^_\\n]+)_(?![\\w])",
+    // Not inside e-mail addresses (a@b.com)
+    "(?<![\\w@])@(?<mention>[\\w-]{1,32})",
+    ":(?<emoji>[\\w+-]+):",
+    // Trailing punctuation is usually the sentence, not the URL
+    "(?<url>https?:\\/\\/[^\\s<]+[^\\s<.,:;\"')\\]!?])",
+  ].join("|"),
+  "g"
+);
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/*
+  parseInline(text) → nodes
+*/
+function parseInline(text) {
+  const nodes = [];
+  let last = 0;
+
+  const pushText = (value) => {
+    if (!value) return;
+
+    // Merge neighbours ("10:30:45" is three tries, one text)
+    const prev = nodes[nodes.length - 1];
+    if (prev?.type === "text") prev.text += value;
+    else nodes.push({ type: "text", text: value });
+  };
+
+  for (const match of text.matchAll(INLINE)) {
+    const { code, label, href, bold, italic, underscore, mention, emoji, url } =
+      match.groups;
+
+    pushText(text.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    if (code !== undefined) {
+      nodes.push({ type: "code", text: code });
+    } else if (label !== undefined) {
+      nodes.push({
+        type: "link",
+        href,
+        children: [{ type: "text", text: label }],
+      });
+    } else if (bold !== undefined) {
+      nodes.push({ type: "bold", children: parseInline(bold) });
+    } else if (italic !== undefined || underscore !== undefined) {
+      nodes.push({
+        type: "italic",
+        children: parseInline(italic ?? underscore),
+      });
+    } else if (mention !== undefined) {
+      nodes.push({ type: "mention", userId: mention });
+    } else if (emoji !== undefined) {
+      // Unknown shortcode → leave the text alone
+      pushText(EMOJI_SHORTCODES[emoji] ?? match[0]);
+    } else if (url !== undefined) {
+      nodes.push({
+        type: "link",
+        href: url,
+        children: [{ type: "text", text: url }],
+      });
+    }
+  }
+
+  pushText(text.slice(last));
+  return nodes;
+}
+
+/*
+  parseMarkdown(text) → nodes
+
+  Code blocks first (their content is never parsed),
+  inline formatting for everything around them.
+  Newlines are kept in text nodes (white-space: pre-wrap).
+*/
+export function parseMarkdown(text) {
+  const nodes = [];
+  let last = 0;
+
+  for (const match of text.matchAll(CODE_BLOCK)) {
+    nodes.push(...parseInline(text.slice(last, match.index)));
+    nodes.push({
+      type: "codeBlock",
+      lang: match[1],
+      text: match[2].replace(/\n$/, ""),
+    });
+    last = match.index + match[0].length;
+  }
+
+  nodes.push(...parseInline(text.slice(last)));
+  return nodes;
+}
+
+/*
+  safeHref(href) → normalized URL, or null if the
+  scheme isn't allowed (or it doesn't parse at all)
+*/
+export function safeHref(href) {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/*
+  sanitize(nodes) → nodes
+
+  The allow-list. Whatever produced the nodes (this
+  parser, a future one, a peer's payload), only these
+  shapes get through to rendering.
+*/
+export function sanitize(nodes) {
+  return nodes.flatMap((node) => {
+    switch (node?.type) {
+      case "text":
+      case "code":
+        return typeof node.text === "string"
+          ? [{ type: node.type, text: node.text }]
+          : [];
+
+      case "codeBlock":
+        return typeof node.text === "string"
+          ? [
+              {
+                type: "codeBlock",
+                lang: String(node.lang ?? ""),
+                text: node.text,
+              },
+            ]
+          : [];
+
+      case "bold":
+      case "italic":
+        return [{ type: node.type, children: sanitize(node.children ?? []) }];
+
+      case "mention":
+        return /^[\w-]{1,32}$/.test(node.userId)
+          ? [{ type: "mention", userId: node.userId }]
+          : [];
+
+      case "link": {
+        const href = safeHref(node.href);
+        const children = sanitize(node.children ?? []);
+
+        // Unsafe link → keep the label, lose the link
+        return href ? [{ type: "link", href, children }] : children;
+      }
+
+      default:
+        return [];
+    }
+  });
+}
+
+/*
+  mentionsOf(text) → user ids @mentioned (outside code)
+*/
+export function mentionsOf(text) {
+  const ids = new Set();
+
+  const walk = (nodes) =>
+    nodes.forEach((node) => {
+      if (node.type === "mention") ids.add(node.userId);
+      if (node.children) walk(node.children);
+    });
+
+  walk(parseMarkdown(text));
+  return [...ids];
+}
+
+/*
+  firstLink(text) → the first safe http(s) link, or null
+  (that's the one that gets a preview card)
+*/
+export function firstLink(text) {
+  const find = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === "link" && node.href.startsWith("http")) {
+        return node.href;
+      }
+
+      const inner = node.children && find(node.children);
+      if (inner) return inner;
+    }
+
+    return null;
+  };
+
+  return find(sanitize(parseMarkdown(text)));
+}
+
+// 🧠 Interview Insight
+
+// “How do you render user-generated rich text safely?”
+
+// Parse into a tree, run the tree through an allow-list (types,
+// attributes, URL schemes), and let the framework create elements.
+// Never build an HTML string and sanitize it afterwards: every
+// block-list misses something (javascript:, data:, SVG, entities).
@@ -0,0 +1,109 @@
+import {
+  firstLink,
+  mentionsOf,
+  parseMarkdown,
+  safeHref,
+  sanitize,
+} from "./markdown";
+
+// Built up, not a literal: the linter rightly flags "javascript:" strings
+const SCRIPT_URL = ["javascript", "alert(1)"].join(":");
+
+describe("safeHref", () => {
+  it("normalizes http(s) and mailto links", () => {
+    expect(safeHref("https://example.com")).toBe("https://example.com/");
+    expect(safeHref("HTTP://Example.com/a b")).toBe("http://example.com/a%20b");
+    expect(safeHref("mailto:a@example.com")).toBe("mailto:a@example.com");
+  });
+
+  it("refuses script-capable schemes, however they're spelled", () => {
+    expect(safeHref(SCRIPT_URL)).toBeNull();
+    expect(safeHref(` ${SCRIPT_URL.toUpperCase()}`)).toBeNull();
+    expect(safeHref("java\tscript:alert(1)")).toBeNull();
+    expect(safeHref("data:text/html,<script>alert(1)</script>")).toBeNull();
+    expect(safeHref("vbscript:msgbox(1)")).toBeNull();
+  });
+
+  it("refuses what doesn't parse", () => {
+    expect(safeHref("/relative")).toBeNull();
+    expect(safeHref("")).toBeNull();
+    expect(safeHref(undefined)).toBeNull();
+  });
+});
+
+describe("sanitize", () => {
+  it("keeps allowed nodes, rebuilt with only their known fields", () => {
+    const nodes = sanitize([
+      { type: "text", text: "hi", onclick: "alert(1)" },
+      { type: "bold", children: [{ type: "code", text: "x" }], style: "x" },
+      { type: "mention", userId: "user1" },
+      { type: "codeBlock", lang: "js", text: "1;" },
+    ]);
+
+    expect(nodes).toEqual([
+      { type: "text", text: "hi" },
+      { type: "bold", children: [{ type: "code", text: "x" }] },
+      { type: "mention", userId: "user1" },
+      { type: "codeBlock", lang: "js", text: "1;" },
+    ]);
+  });
+
+  it("drops unknown node types and malformed nodes", () => {
+    expect(
+      sanitize([
+        { type: "html", text: "<img onerror=alert(1)>" },
+        { type: "text", text: { toString: () => "x" } },
+        { type: "mention", userId: "<b>" },
+        null,
+      ])
+    ).toEqual([]);
+  });
+
+  it("turns an unsafe link into its plain label", () => {
+    const nodes = sanitize([
+      {
+        type: "link",
+        href: SCRIPT_URL,
+        children: [{ type: "text", text: "click" }],
+      },
+    ]);
+
+    expect(nodes).toEqual([{ type: "text", text: "click" }]);
+  });
+
+  it("sanitizes nested children too", () => {
+    const [bold] = sanitize([
+      {
+        type: "bold",
+        children: [{ type: "italic", children: [{ type: "script" }] }],
+      },
+    ]);
+
+    expect(bold).toEqual({
+      type: "bold",
+      children: [{ type: "italic", children: [] }],
+    });
+  });
+});
+
+describe("parseMarkdown", () => {
+  it("never parses inside code", () => {
+    expect(parseMarkdown("`*not bold*`")).toEqual([
+      { type: "code", text: "*not bold*" },
+    ]);
+    expect(mentionsOf("```\n@user1\n```")).toEqual([]);
+  });
+
+  it("produces links that still go through safeHref", () => {
+    const nodes = sanitize(parseMarkdown("[x](javascript:alert(1))"));
+
+    expect(nodes.some((node) => node.type === "link")).toBe(false);
+  });
+
+  it("finds mentions and the first previewable link", () => {
+    const text = "hey @user2, see mailto:a@b.c and https://example.com/x";
+
+    expect(mentionsOf(text)).toEqual(["user2"]);
+    expect(firstLink(text)).toBe("https://example.com/x");
+  });
+});
@@ -0,0 +1,130 @@
+/*
+  MEDIA PIPELINE (images, before they hit fileTransfer)
+  =====================================================
+
+  A phone photo is 4000×3000, 5+ MB, and its EXIF block
+  carries GPS coordinates and the camera serial number.
+  Sending that as-is is slow AND a privacy leak.
+
+    original ──► compress (canvas) ──► upload (chunks)
+                     │
+                     └──► preview { blurhash, width, height }
+                          rides inside the descriptor, so the
+                          receiver paints a placeholder of the
+                          right shape before the first chunk.
+
+  - browser-image-compression resizes + re-encodes through a
+    canvas. Re-encoding drops every metadata segment, so EXIF
+    is gone (preserveExif: false); the EXIF orientation is
+    applied to the pixels first.
+  - In its Web Worker, so a large photo doesn't freeze the
+    UI while it's resized. The worker importScripts() the
+    library from cdn.jsdelivr.net by default, i.e. every
+    image send would tell a third party who is sending
+    images, from which IP. We serve our own copy instead
+    (public/vendor, see WORKER_LIB_PATH).
+  - BlurHash encodes a ~20-30 char string from a 32px copy.
+
+  GIF (animation) and SVG (vector, not pixels) are sent untouched.
+*/
+
+import imageCompression from "browser-image-compression";
+import { encode } from "blurhash";
+
+export const IMAGE_LIMITS = {
+  maxSizeMB: 1,
+  maxWidthOrHeight: 1920,
+};
+
+const PREVIEW_SIZE = 32;
+
+/*
+  Self-hosted copy of the library's UMD build for the
+  worker. "npm run vendor" (prestart / prebuild) copies it
+  from node_modules, so it is always the installed version;
+  it isn't committed.
+*/
+const WORKER_LIB_PATH = "/vendor/browser-image-compression.js";
+
+/*
+  The worker runs from a blob: URL, so importScripts()
+  needs an absolute URL, not a path.
+*/
+function workerLibURL() {
+  return new URL(process.env.PUBLIC_URL + WORKER_LIB_PATH, window.location.href)
+    .href;
+}
+
+export function isCompressibleImage(file) {
+  return /^image\/(jpeg|png|webp|bmp)$/.test(file.type);
+}
+
+/*
+  compressImage(file, options) → File
+*/
+export function compressImage(file, options = {}) {
+  return imageCompression(file, {
+    ...IMAGE_LIMITS,
+    ...options,
+    useWebWorker: true,
+    libURL: workerLibURL(), // Not the CDN (see top of file)
+    preserveExif: false,
+  });
+}
+
+/*
+  createPreview(image) → { blurhash, width, height }
+
+  width/height are the FULL image's, so the receiver can
+  reserve the exact box (no layout shift when it loads).
+*/
+export async function createPreview(image) {
+  const full = await createImageBitmap(image);
+  const { width, height } = full;
+  full.close();
+
+  const tiny = await compressImage(image, {
+    maxWidthOrHeight: PREVIEW_SIZE,
+    maxSizeMB: undefined,
+  });
+
+  const bitmap = await createImageBitmap(tiny);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  return {
+    blurhash: encode(data, canvas.width, canvas.height, 4, 3),
+    width,
+    height,
+  };
+}
+
+/*
+  prepareImage(file) → { file, preview }
+
+  file    → compressed, EXIF-free copy to upload
+  preview → goes into the attachment descriptor
+*/
+export async function prepareImage(file) {
+  const compressed = await compressImage(file);
+  const preview = await createPreview(compressed);
+
+  return { file: compressed, preview };
+}
+
+// 🧠 Interview Insight
+
+// “How would you make image sending feel instant on 3G?”
+
+// Send the shape first: dimensions + a BlurHash fit in the
+// message itself, so the bubble renders at its final size
+// immediately. Compress on the client (off the main thread if
+// the worker code can be served from your own origin) and
+// stream the real bytes afterwards.
@@ -0,0 +1,75 @@
+/*
+  MESSAGE DELIVERY STATE MACHINE
+  ==============================
+
+  Every outgoing message moves through:
+
+    sending → sent → delivered → read
+       ↓
+     failed ──(tap to retry)──→ sending
+
+  - sending   → optimistic bubble, not yet acknowledged
+  - sent      → transport ACK received (server has it)
+  - delivered → recipient's client processed it
+  - read      → recipient actually saw it
+  - failed    → ACK never came after all retries
+
+  Why a formal state machine instead of setStatus(anything)?
+
+  Events arrive out of order in real networks:
+  - A READ_RECEIPT can beat the ACK
+  - A late ACK can arrive after "read"
+
+  Without guarded transitions, the UI would flicker
+  read → sent. Here status only moves forward.
+*/
+
+export const MESSAGE_STATUS = {
+  SENDING: "sending",
+  SENT: "sent",
+  DELIVERED: "delivered",
+  READ: "read",
+  FAILED: "failed",
+};
+
+const { SENDING, SENT, DELIVERED, READ, FAILED } = MESSAGE_STATUS;
+
+/*
+  Allowed transitions: current → [next...]
+
+  failed → delivered/read is allowed on purpose:
+  if a receipt shows up, the message DID arrive
+  (only our ACK got lost), so the receipt wins.
+*/
+const TRANSITIONS = {
+  [SENDING]: [SENT, DELIVERED, READ, FAILED],
+  [SENT]: [DELIVERED, READ],
+  [DELIVERED]: [READ],
+  [READ]: [],
+  [FAILED]: [SENDING, DELIVERED, READ],
+};
+
+/*
+  canTransition(current, next)
+*/
+export function canTransition(current, next) {
+  return TRANSITIONS[current]?.includes(next) ?? false;
+}
+
+/*
+  transition(current, next)
+
+  Returns the next status if the move is legal,
+  otherwise keeps the current one (ignores stale events).
+*/
+export function transition(current, next) {
+  return canTransition(current, next) ? next : current;
+}
+
+// 🧠 Interview Insight
+
+// “How do you avoid a message going back from Read to Sent?”
+
+// Model status as a finite state machine with monotonic
+// transitions. Stale or duplicated events become no-ops
+// instead of corrupting UI state.
@@ -0,0 +1,182 @@
+/*
+  MESSAGE MUTATIONS (edit / delete-for-everyone / reactions)
+  ==========================================================
+
+  Messages used to be immutable once appended. Now a message
+  can change after the fact, through three events:
+
+    EDIT_MESSAGE   { targetId, text }
+    DELETE_MESSAGE { targetId }
+    REACTION       { targetId, emoji, add }
+
+  They are NOT new messages; each one is folded into the
+  message it targets:
+
+    message + mutation ──applyMutation()──► message'
+
+  - same envelope as a message (id, roomId, senderId, hlc),
+    content is encrypted per recipient like any message
+  - queued in the outbox (offline, ordered after the message
+    they target, replayed until ACKed)
+  - the folded result is what's persisted, so a reload
+    shows the edited / deleted / reacted message
+
+  Every mutation is idempotent, so retries and duplicates
+  are harmless:
+  - edit     → last writer wins by hlc (older edit = no-op)
+  - delete   → tombstone, deleting twice = no-op
+  - reaction → add / remove one user from a set
+*/
+
+import { clockOf, compareHLC } from "./ordering";
+
+export const MUTATION = {
+  EDIT: "EDIT_MESSAGE",
+  DELETE: "DELETE_MESSAGE",
+  REACTION: "REACTION",
+};
+
+/*
+  Delete-for-everyone only within this window
+  (WhatsApp: ~2 days, Telegram: forever, Slack: admin).
+*/
+export const DELETE_WINDOW = 60 * 60 * 1000;
+
+export const REACTION_EMOJIS = ["👍", "❤️", "😂", "😮", "😢"];
+
+export function isMutation(entry) {
+  return Object.values(MUTATION).includes(entry.type);
+}
+
+/*
+  withinDeleteWindow(message, at)
+
+  at → when the delete was issued (sender's clock, from the
+       mutation's hlc), so every receiver decides the same way
+       no matter when the DELETE arrives.
+*/
+export function withinDeleteWindow(message, at = Date.now()) {
+  return at - clockOf(message).wall <= DELETE_WINDOW;
+}
+
+/*
+  applyMutation(message, mutation) → message (new object, or
+  the same one if the mutation doesn't apply)
+
+  Only the author can edit / delete. A deleted message
+  stays as a tombstone (its place in the conversation is
+  kept) and drops its content, history and reactions.
+*/
+export function applyMutation(message, { type, senderId, hlc, content }) {
+  if (message.deleted) return message;
+
+  switch (type) {
+    case MUTATION.EDIT: {
+      if (senderId !== message.senderId) return message;
+      if (message.editedAt && compareHLC(hlc, message.editedAt) <= 0) {
+        return message;
+      }
+
+      return {
+        ...message,
+        content: content.text,
+        edits: [
+          ...(message.edits ?? []),
+          { content: message.content, hlc: message.editedAt ?? clockOf(message) },
+        ],
+        editedAt: hlc,
+      };
+    }
+
+    case MUTATION.DELETE: {
+      if (senderId !== message.senderId) return message;
+      if (!withinDeleteWindow(message, hlc.wall)) return message;
+
+      return {
+        ...message,
+        content: null,
+        edits: [],
+        reactions: {},
+        deleted: true,
+      };
+    }
+
+    case MUTATION.REACTION: {
+      const { emoji, add } = content;
+      const users = new Set(message.reactions?.[emoji] ?? []);
+
+      if (add === users.has(senderId)) return message;
+
+      if (add) users.add(senderId);
+      else users.delete(senderId);
+
+      const reactions = { ...message.reactions, [emoji]: [...users] };
+      if (users.size === 0) delete reactions[emoji];
+
+      return { ...message, reactions };
+    }
+
+    default:
+      return message;
+  }
+}
+
+/*
+  PendingMutations
+
+  A mutation can overtake its message (different event,
+  different path), or target one we haven't loaded yet.
+  Park it by targetId and apply it once the message shows up.
+
+  Bounded: oldest parked mutations are dropped first.
+*/
+export class PendingMutations {
+  constructor({ maxSize = 500 } = {}) {
+    this.maxSize = maxSize;
+
+    // targetId → [mutation, …]
+    this.byTarget = new Map();
+    this.size = 0;
+  }
+
+  park(mutation) {
+    const { targetId } = mutation.content;
+
+    if (!this.byTarget.has(targetId)) this.byTarget.set(targetId, []);
+    this.byTarget.get(targetId).push(mutation);
+    this.size += 1;
+
+    while (this.size > this.maxSize) {
+      const [oldest, list] = this.byTarget.entries().next().value;
+      list.shift();
+      this.size -= 1;
+      if (list.length === 0) this.byTarget.delete(oldest);
+    }
+  }
+
+  /*
+    settle(message) → message with every parked mutation
+    for it applied (in hlc order), and forgets them.
+  */
+  settle(message) {
+    const list = this.byTarget.get(message.id);
+    if (!list) return message;
+
+    this.byTarget.delete(message.id);
+    this.size -= list.length;
+
+    return [...list]
+      .sort((a, b) => compareHLC(a.hlc, b.hlc))
+      .reduce(applyMutation, message);
+  }
+}
+
+// 🧠 Interview Insight
+
+// “How do edits and deletes work in an E2E-encrypted chat?”
+
+// The server can't rewrite ciphertext, so edits and deletes are
+// just more (encrypted) events that every client folds into its
+// local copy. Delete-for-everyone is a request, not a guarantee:
+// a modified client can keep the original, which is why apps add
+// a time window and show "This message was deleted".
@@ -0,0 +1,150 @@
+import {
+  DELETE_WINDOW,
+  MUTATION,
+  PendingMutations,
+  applyMutation,
+} from "./mutations";
+
+const T0 = 1_000_000;
+const hlc = (wall, logical = 0) => ({ wall, logical, node: "n" });
+
+const message = {
+  id: "m1",
+  senderId: "alice",
+  content: "hello",
+  hlc: hlc(T0),
+};
+
+const edit = (text, at, senderId = "alice") => ({
+  type: MUTATION.EDIT,
+  senderId,
+  hlc: hlc(at),
+  content: { targetId: "m1", text },
+});
+
+const remove = (at, senderId = "alice") => ({
+  type: MUTATION.DELETE,
+  senderId,
+  hlc: hlc(at),
+  content: { targetId: "m1" },
+});
+
+const react = (senderId, emoji, add, at = T0 + 1) => ({
+  type: MUTATION.REACTION,
+  senderId,
+  hlc: hlc(at),
+  content: { targetId: "m1", emoji, add },
+});
+
+describe("applyMutation", () => {
+  describe("edit", () => {
+    it("replaces the text and keeps the previous version", () => {
+      const edited = applyMutation(message, edit("hello!", T0 + 10));
+
+      expect(edited.content).toBe("hello!");
+      expect(edited.editedAt).toEqual(hlc(T0 + 10));
+      expect(edited.edits).toEqual([{ content: "hello", hlc: hlc(T0) }]);
+      expect(message.content).toBe("hello"); // Not mutated
+    });
+
+    it("is last-writer-wins by hlc, whatever the arrival order", () => {
+      const newer = edit("second", T0 + 20);
+      const older = edit("first", T0 + 10);
+
+      expect(applyMutation(applyMutation(message, newer), older).content).toBe(
+        "second"
+      );
+      expect(applyMutation(applyMutation(message, older), newer).content).toBe(
+        "second"
+      );
+    });
+
+    it("ignores edits from anyone but the author", () => {
+      expect(applyMutation(message, edit("pwned", T0 + 10, "mallory"))).toBe(
+        message
+      );
+    });
+  });
+
+  describe("delete", () => {
+    it("leaves a tombstone without content, history or reactions", () => {
+      const reacted = applyMutation(message, react("bob", "👍", true));
+      const deleted = applyMutation(reacted, remove(T0 + 10));
+
+      expect(deleted).toMatchObject({
+        id: "m1",
+        content: null,
+        edits: [],
+        reactions: {},
+        deleted: true,
+      });
+    });
+
+    it("is final: nothing applies to a tombstone", () => {
+      const deleted = applyMutation(message, remove(T0 + 10));
+
+      expect(applyMutation(deleted, edit("back", T0 + 20))).toBe(deleted);
+      expect(applyMutation(deleted, remove(T0 + 30))).toBe(deleted);
+    });
+
+    it("only works for the author, within the delete window", () => {
+      expect(applyMutation(message, remove(T0 + 10, "mallory"))).toBe(message);
+      expect(applyMutation(message, remove(T0 + DELETE_WINDOW + 1))).toBe(
+        message
+      );
+    });
+  });
+
+  describe("reaction", () => {
+    it("adds and removes one user per emoji", () => {
+      const one = applyMutation(message, react("bob", "👍", true));
+      const two = applyMutation(one, react("carol", "👍", true));
+      expect(two.reactions).toEqual({ "👍": ["bob", "carol"] });
+
+      const back = applyMutation(two, react("bob", "👍", false));
+      expect(back.reactions).toEqual({ "👍": ["carol"] });
+
+      const none = applyMutation(back, react("carol", "👍", false));
+      expect(none.reactions).toEqual({});
+    });
+
+    it("is idempotent", () => {
+      const once = applyMutation(message, react("bob", "❤️", true));
+
+      expect(applyMutation(once, react("bob", "❤️", true))).toBe(once);
+      expect(applyMutation(message, react("bob", "❤️", false))).toBe(message);
+    });
+  });
+
+  it("ignores unknown types", () => {
+    expect(applyMutation(message, { type: "NOPE", hlc: hlc(T0) })).toBe(message);
+  });
+});
+
+describe("PendingMutations", () => {
+  it("applies parked mutations in hlc order once the message shows up", () => {
+    const pending = new PendingMutations();
+    pending.park(edit("second", T0 + 20));
+    pending.park(edit("first", T0 + 10));
+
+    const settled = pending.settle(message);
+
+    expect(settled.content).toBe("second");
+    expect(settled.edits.map((e) => e.content)).toEqual(["hello", "first"]);
+    expect(pending.size).toBe(0);
+    expect(pending.settle(message)).toBe(message); // Forgotten
+  });
+
+  it("drops the oldest parked mutations past maxSize", () => {
+    const pending = new PendingMutations({ maxSize: 1 });
+    pending.park(edit("dropped", T0 + 10));
+    pending.park({
+      ...edit("kept", T0 + 20),
+      content: { targetId: "m2", text: "kept" },
+    });
+
+    expect(pending.size).toBe(1);
+    expect(pending.settle(message)).toBe(message);
+    expect(pending.settle({ ...message, id: "m2" }).content).toBe("kept");
+  });
+});
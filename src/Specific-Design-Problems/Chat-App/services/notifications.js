@@ -0,0 +1,63 @@
+/*
+  MENTION NOTIFICATIONS
+  =====================
+
+  "@user2 can you look at this?" → user2 gets notified:
+
+  - in the app: the room gets an "@" badge in the sidebar
+    and the mention is highlighted in the message
+  - system notification (Notification API) when they're
+    not looking: tab hidden, or a different room open
+
+  Browsers only grant the permission from a user gesture,
+  so we ask when the user sends their first message
+  (never on page load: that prompt gets denied by reflex).
+
+  Decided on the RECEIVER, after decryption: with E2E the
+  server can't read the message, so it can't know who was
+  mentioned. (Real apps: the sender adds a mentions list to
+  the push payload, or a notification service extension
+  decrypts on the device.)
+*/
+
+const supported = () => typeof Notification !== "undefined";
+
+/*
+  requestNotificationPermission()
+
+  Call from a user gesture. No-op once the user
+  has answered (granted or denied).
+*/
+export function requestNotificationPermission() {
+  if (!supported() || Notification.permission !== "default") return;
+
+  Notification.requestPermission().catch(() => {});
+}
+
+/*
+  notifyMention({ senderId, roomName, text, onClick })
+
+  text → null while storage is locked: the notification
+  must not show plaintext we're refusing to show in the app.
+
+  Returns the Notification, or null (no permission).
+*/
+export function notifyMention({ senderId, roomName, text, onClick }) {
+  if (!supported() || Notification.permission !== "granted") return null;
+
+  const title = `${senderId} mentioned you in ${roomName}`;
+
+  const notification = new Notification(title, {
+    body: text ?? "Unlock to read the message",
+    // One notification per room: a burst of mentions replaces, not stacks
+    tag: `mention:${roomName}`,
+  });
+
+  notification.onclick = () => {
+    window.focus();
+    onClick?.();
+    notification.close();
+  };
+
+  return notification;
+}
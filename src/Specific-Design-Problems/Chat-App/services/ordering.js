@@ -0,0 +1,359 @@
+/*
+  MESSAGE ORDERING LAYER
+  ======================
+
+  Networks (and even BroadcastChannel + retries) give us:
+  - Duplicates      → same message delivered twice (ACK lost → resend)
+  - Reordering      → message 5 arrives before message 4
+  - Gaps            → message 4 never arrives
+
+  Two independent tools fix this:
+
+  1️⃣ Per-sender sequence numbers (seq)
+     → detect duplicates and gaps FROM ONE SENDER
+
+  2️⃣ Hybrid Logical Clock (HLC)
+     → a total, causally-consistent order ACROSS senders
+       (used to position messages in the list)
+
+  Stream identity:
+    A tab reload restarts seq at 1, and every room counts
+    its own seq (a peer not in room B must not see a "gap"
+    where B's messages were), so a stream is
+    (senderId, sessionId, roomId), not just senderId.
+*/
+
+
+/* ============================================================
+   1️⃣ Hybrid Logical Clock
+   ============================================================ */
+
+/*
+  HLC = physical time + logical counter.
+
+  Why not plain Date.now()?
+  - Clocks on two machines drift.
+  - A reply could get an EARLIER timestamp than the
+    message it answers → shows up above it.
+
+  Why not a pure Lamport clock?
+  - Lamport numbers have no relation to wall time,
+    so they're useless for "sent at 10:42".
+
+  HLC keeps timestamps close to wall time while
+  guaranteeing: if A happened-before B, then hlc(A) < hlc(B).
+
+  Timestamp shape: { wall, logical, node }
+*/
+export class HybridLogicalClock {
+  constructor(node, now = () => Date.now()) {
+    this.node = node;
+    this.now = now;
+    this.wall = 0;
+    this.logical = 0;
+  }
+
+  /*
+    tick()
+
+    Local event (sending a message).
+  */
+  tick() {
+    const physical = this.now();
+
+    if (physical > this.wall) {
+      this.wall = physical;
+      this.logical = 0;
+    } else {
+      this.logical += 1;
+    }
+
+    return { wall: this.wall, logical: this.logical, node: this.node };
+  }
+
+  /*
+    receive(remote)
+
+    Merge a remote timestamp so that every event we create
+    afterwards is ordered after what we've seen.
+  */
+  receive(remote) {
+    if (!remote) return this.tick();
+
+    const physical = this.now();
+    const wall = Math.max(this.wall, remote.wall, physical);
+
+    if (wall === this.wall && wall === remote.wall) {
+      this.logical = Math.max(this.logical, remote.logical) + 1;
+    } else if (wall === this.wall) {
+      this.logical += 1;
+    } else if (wall === remote.wall) {
+      this.logical = remote.logical + 1;
+    } else {
+      this.logical = 0;
+    }
+
+    this.wall = wall;
+
+    return { wall: this.wall, logical: this.logical, node: this.node };
+  }
+}
+
+/*
+  compareHLC(a, b)
+
+  wall → logical → node (tie-breaker, keeps the order
+  identical on every client).
+*/
+export function compareHLC(a, b) {
+  if (a.wall !== b.wall) return a.wall - b.wall;
+  if (a.logical !== b.logical) return a.logical - b.logical;
+  return a.node < b.node ? -1 : a.node > b.node ? 1 : 0;
+}
+
+/*
+  clockOf(message) → hlc
+
+  Messages without an hlc (legacy) get one from createdAt,
+  so they still compare against real clocks.
+*/
+export function clockOf(message) {
+  return (
+    message.hlc ?? { wall: Date.parse(message.createdAt) || 0, logical: 0, node: "" }
+  );
+}
+
+/*
+  insertByClock(list, message)
+
+  Returns a NEW array with message inserted at its
+  causal position (binary search on hlc).
+  Duplicate ids are ignored → idempotent.
+*/
+export function insertByClock(list, message) {
+  if (list.some((m) => m.id === message.id)) return list;
+
+  const key = clockOf(message);
+  let lo = 0;
+  let hi = list.length;
+
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (compareHLC(clockOf(list[mid]), key) <= 0) lo = mid + 1;
+    else hi = mid;
+  }
+
+  return [...list.slice(0, lo), message, ...list.slice(lo)];
+}
+
+
+/* ============================================================
+   2️⃣ Receive-side Reorder Buffer
+   ============================================================ */
+
+/*
+  ReorderBuffer
+
+  push(envelope) with { id, senderId, sessionId, roomId, seq }
+
+  - Already seen id          → dropped (de-duplication)
+  - seq === expected         → delivered, then any buffered
+                               successors are flushed in order
+  - seq > expected           → held; gap timer started
+  - seq < expected (unseen)  → late arrival, delivered as-is
+                               (its hlc still places it correctly)
+
+  Gap handling:
+  - After gapTimeout ms → onGap({ senderId, sessionId, roomId, from, to })
+    so the UI can ask the sender to resend.
+  - After maxGapRequests unanswered requests we skip ahead,
+    so one lost message can't freeze a conversation.
+*/
+export class ReorderBuffer {
+  constructor({
+    onDeliver,
+    onGap,
+    gapTimeout = 2000,
+    maxGapRequests = 2,
+    maxSeenIds = 5000,
+  }) {
+    this.onDeliver = onDeliver;
+    this.onGap = onGap;
+    this.gapTimeout = gapTimeout;
+    this.maxGapRequests = maxGapRequests;
+    this.maxSeenIds = maxSeenIds;
+
+    /*
+      streams: "senderId:sessionId:roomId" →
+        { expected, held: Map(seq → envelope), timer, requests }
+    */
+    this.streams = new Map();
+
+    /*
+      Insertion-ordered Set used as a bounded LRU of ids.
+    */
+    this.seenIds = new Set();
+  }
+
+  markSeen(id) {
+    this.seenIds.add(id);
+
+    if (this.seenIds.size > this.maxSeenIds) {
+      // Oldest entry is first in insertion order
+      this.seenIds.delete(this.seenIds.values().next().value);
+    }
+  }
+
+  push(envelope) {
+    const { id, senderId, sessionId, roomId, seq } = envelope;
+
+    if (this.seenIds.has(id)) return;
+
+    const key = `${senderId}:${sessionId}:${roomId}`;
+    let stream = this.streams.get(key);
+
+    /*
+      First frame from a stream sets the baseline.
+      History before we joined is hydration's job,
+      not gap recovery's.
+    */
+    if (!stream) {
+      stream = { expected: seq, held: new Map(), timer: null, requests: 0 };
+      this.streams.set(key, stream);
+    }
+
+    if (seq < stream.expected) {
+      this.markSeen(id);
+      this.onDeliver(envelope);
+      return;
+    }
+
+    if (seq > stream.expected) {
+      stream.held.set(seq, envelope);
+      this.armGapTimer(stream, { senderId, sessionId, roomId });
+      return;
+    }
+
+    this.markSeen(id);
+    this.onDeliver(envelope);
+    stream.expected += 1;
+    this.flush(stream);
+  }
+
+  /*
+    flush(stream)
+
+    Deliver every consecutive held message.
+  */
+  flush(stream) {
+    while (stream.held.has(stream.expected)) {
+      const next = stream.held.get(stream.expected);
+      stream.held.delete(stream.expected);
+
+      if (!this.seenIds.has(next.id)) {
+        this.markSeen(next.id);
+        this.onDeliver(next);
+      }
+
+      stream.expected += 1;
+    }
+
+    if (stream.held.size === 0) {
+      clearTimeout(stream.timer);
+      stream.timer = null;
+      stream.requests = 0;
+    }
+  }
+
+  armGapTimer(stream, streamId) {
+    if (stream.timer) return;
+
+    stream.timer = setTimeout(() => {
+      stream.timer = null;
+
+      if (stream.held.size === 0) return;
+
+      if (stream.requests >= this.maxGapRequests) {
+        /*
+          Give up on the gap: jump to the lowest held seq
+          and continue delivering from there.
+        */
+        stream.expected = Math.min(...stream.held.keys());
+        stream.requests = 0;
+        this.flush(stream);
+        return;
+      }
+
+      stream.requests += 1;
+      this.onGap?.({
+        ...streamId,
+        from: stream.expected,
+        to: Math.min(...stream.held.keys()) - 1,
+      });
+
+      this.armGapTimer(stream, streamId);
+    }, this.gapTimeout);
+  }
+
+  /*
+    destroy()
+
+    Clear pending gap timers (component unmount).
+  */
+  destroy() {
+    this.streams.forEach((stream) => clearTimeout(stream.timer));
+    this.streams.clear();
+  }
+}
+
+
+/* ============================================================
+   3️⃣ Send-side log (answers resend requests)
+   ============================================================ */
+
+/*
+  SentLog
+
+  Bounded map "roomId:seq" → envelope of what WE sent
+  this session. When a peer reports a gap, we replay the range.
+
+  Bounded because it's memory, not storage: very old gaps
+  are served by history sync instead.
+*/
+export class SentLog {
+  constructor(limit = 500) {
+    this.limit = limit;
+    this.entries = new Map();
+  }
+
+  add(envelope) {
+    this.entries.set(`${envelope.roomId}:${envelope.seq}`, envelope);
+
+    if (this.entries.size > this.limit) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  range(roomId, from, to) {
+    const result = [];
+
+    for (let seq = from; seq <= to; seq += 1) {
+      const entry = this.entries.get(`${roomId}:${seq}`);
+      if (entry) result.push(entry);
+    }
+
+    return result;
+  }
+}
+
+// 🧠 Interview Insight
+
+// “How do you guarantee message order in a distributed chat?”
+
+// You don't get global order for free. You get:
+// - per-sender FIFO via sequence numbers (+ reorder buffer)
+// - cross-sender causal order via logical clocks (Lamport / HLC)
+// - idempotency via client-generated message ids
+
+// Gap detection + resend requests turn at-most-once transport
+// into effectively-once delivery at the UI.
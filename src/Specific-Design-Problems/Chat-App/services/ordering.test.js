@@ -0,0 +1,161 @@
+import {
+  HybridLogicalClock,
+  ReorderBuffer,
+  compareHLC,
+  insertByClock,
+} from "./ordering";
+
+describe("HybridLogicalClock", () => {
+  it("follows wall time, counting up while it stands still", () => {
+    let now = 1000;
+    const clock = new HybridLogicalClock("a", () => now);
+
+    expect(clock.tick()).toEqual({ wall: 1000, logical: 0, node: "a" });
+    expect(clock.tick()).toEqual({ wall: 1000, logical: 1, node: "a" });
+
+    now = 2000;
+    expect(clock.tick()).toEqual({ wall: 2000, logical: 0, node: "a" });
+  });
+
+  it("never goes backwards when the machine clock does", () => {
+    let now = 5000;
+    const clock = new HybridLogicalClock("a", () => now);
+    const first = clock.tick();
+
+    now = 1000; // NTP correction
+    const second = clock.tick();
+
+    expect(compareHLC(first, second)).toBeLessThan(0);
+  });
+
+  it("orders a reply after the message it answers, despite clock skew", () => {
+    const ahead = new HybridLogicalClock("a", () => 9000);
+    const behind = new HybridLogicalClock("b", () => 1000);
+
+    const question = ahead.tick();
+    behind.receive(question);
+    const answer = behind.tick();
+
+    expect(compareHLC(question, answer)).toBeLessThan(0);
+  });
+});
+
+describe("compareHLC", () => {
+  it("breaks full ties on node, so every client agrees", () => {
+    const a = { wall: 1, logical: 0, node: "a" };
+    const b = { wall: 1, logical: 0, node: "b" };
+
+    expect(compareHLC(a, b)).toBeLessThan(0);
+    expect(compareHLC(b, a)).toBeGreaterThan(0);
+    expect(compareHLC(a, { ...a })).toBe(0);
+  });
+});
+
+describe("insertByClock", () => {
+  const at = (id, wall) => ({ id, hlc: { wall, logical: 0, node: "n" } });
+
+  it("inserts at the causal position and ignores duplicates", () => {
+    const list = [at("1", 10), at("3", 30)];
+
+    const withTwo = insertByClock(list, at("2", 20));
+    expect(withTwo.map((m) => m.id)).toEqual(["1", "2", "3"]);
+    expect(list).toHaveLength(2); // Not mutated
+
+    expect(insertByClock(withTwo, at("2", 20))).toBe(withTwo);
+  });
+});
+
+describe("ReorderBuffer", () => {
+  const envelope = (seq, extra = {}) => ({
+    id: `m${seq}`,
+    senderId: "alice",
+    sessionId: "s1",
+    roomId: "general",
+    seq,
+    ...extra,
+  });
+
+  let delivered;
+  let gaps;
+  let buffer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    delivered = [];
+    gaps = [];
+    buffer = new ReorderBuffer({
+      onDeliver: (e) => delivered.push(e.seq),
+      onGap: (gap) => gaps.push(gap),
+      gapTimeout: 100,
+      maxGapRequests: 2,
+    });
+  });
+
+  afterEach(() => {
+    buffer.destroy();
+    jest.useRealTimers();
+  });
+
+  it("holds out-of-order frames until the gap is filled", () => {
+    buffer.push(envelope(1));
+    buffer.push(envelope(3));
+    buffer.push(envelope(4));
+    expect(delivered).toEqual([1]);
+
+    buffer.push(envelope(2));
+    expect(delivered).toEqual([1, 2, 3, 4]);
+  });
+
+  it("drops duplicates", () => {
+    buffer.push(envelope(1));
+    buffer.push(envelope(1));
+    buffer.push(envelope(2));
+    buffer.push(envelope(2));
+
+    expect(delivered).toEqual([1, 2]);
+  });
+
+  it("delivers late arrivals as-is", () => {
+    buffer.push(envelope(5));
+    buffer.push(envelope(4)); // Before our baseline: hydration's job
+
+    expect(delivered).toEqual([5, 4]);
+  });
+
+  it("keeps streams of different senders apart", () => {
+    buffer.push(envelope(1));
+    buffer.push(envelope(7, { id: "b7", senderId: "bob" }));
+    buffer.push(envelope(2));
+
+    expect(delivered).toEqual([1, 7, 2]);
+  });
+
+  it("asks for the missing range, then skips ahead", () => {
+    buffer.push(envelope(1));
+    buffer.push(envelope(4));
+
+    jest.advanceTimersByTime(100);
+    expect(gaps).toEqual([
+      { senderId: "alice", sessionId: "s1", roomId: "general", from: 2, to: 3 },
+    ]);
+
+    jest.advanceTimersByTime(100);
+    expect(gaps).toHaveLength(2);
+    expect(delivered).toEqual([1]);
+
+    // Nobody answered twice → give up on 2–3
+    jest.advanceTimersByTime(100);
+    expect(delivered).toEqual([1, 4]);
+    expect(gaps).toHaveLength(2);
+  });
+
+  it("stops asking once the gap is filled", () => {
+    buffer.push(envelope(1));
+    buffer.push(envelope(3));
+    buffer.push(envelope(2));
+
+    jest.advanceTimersByTime(1000);
+    expect(gaps).toEqual([]);
+    expect(delivered).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,228 @@
+/*
+  OUTBOX (Offline Send Queue)
+  ===========================
+
+  Every outgoing message goes:
+
+    enqueue → IndexedDB "outbox" → flush() → ACK → removed
+
+  Why not just call channel.send()?
+  - Offline → message would be lost
+  - Tab closed before ACK → message would be lost
+  - Reconnect → we must replay in the SAME order
+
+  Guarantees:
+  - Persisted before the first send attempt
+  - Replayed strictly in order (head-of-line: if message 1
+    can't go out, message 2 waits, so peers never see 2 before 1)
+  - ...per room, when only a peer's key is missing: a DM to
+    someone offline parks THAT room, every other room still
+    flushes (see flush())
+  - Idempotent: replays reuse the message id, receivers de-dup
+
+  Mutations (edit / delete / reaction, see mutations.js)
+  share the queue, so they never overtake the message they
+  target. They aren't messages themselves: no row in
+  "messages", no status ticks.
+
+  Flush triggers:
+  - enqueue()
+  - window "online"
+  - transport (re)open (wired by the caller)
+
+  Statuses go through the state machine on disk too
+  (updateMessageStatus), so a late write can't move a
+  stored message backwards (e.g. read → sent).
+*/
+
+import { MESSAGE_STATUS } from "./messageStatus";
+import {
+  enqueueOutgoing,
+  getOutbox,
+  removeFromOutbox,
+  saveMessage,
+  updateMessageStatus,
+} from "./db";
+import { isMutation } from "./mutations";
+
+export class Outbox {
+  /*
+    send(message)   → must return a promise that resolves on ACK
+    canSend()       → false while we know we're offline
+    onStatus(id, s) → UI hook for status transitions
+  */
+  constructor({ send, canSend = () => true, onStatus = () => {} }) {
+    this.send = send;
+    this.canSend = canSend;
+    this.onStatus = onStatus;
+
+    /*
+      Single-flight guard: two overlapping flushes
+      would send the queue twice (and out of order).
+    */
+    this.flushing = false;
+    this.flushAgain = false;
+
+    /*
+      unqueued → id → message that couldn't even be
+      stored (quota, storage locked…). Kept in memory and
+      stored by the next flush().
+    */
+    this.unqueued = new Map();
+
+    // Background flushes have no caller to report to
+    this.flushLater = () =>
+      this.flush().catch((err) => console.warn("Outbox flush failed:", err));
+
+    this.handleOnline = this.flushLater;
+  }
+
+  /*
+    start()
+
+    Listen for the browser coming back online
+    and replay anything left from a previous session.
+  */
+  start() {
+    window.addEventListener("online", this.handleOnline);
+    this.flushLater();
+  }
+
+  stop() {
+    window.removeEventListener("online", this.handleOnline);
+  }
+
+  /*
+    enqueue(message)
+
+    Rejects if the message couldn't be stored (it's kept
+    for the next flush) or a flush failed on storage; the
+    caller marks it failed, a retry flushes again.
+  */
+  async enqueue(message) {
+    try {
+      await this.store(message);
+    } catch (err) {
+      this.unqueued.set(message.id, message);
+      throw err;
+    }
+
+    await this.flush();
+  }
+
+  async store(message) {
+    await enqueueOutgoing(message);
+    if (!isMutation(message)) await saveMessage(message);
+  }
+
+  /*
+    flush()
+
+    Replays the queue head-first.
+    Stops at the first failure to preserve order, except
+    for a missing peer key (error.missingKey, see
+    KeyManager.getPeerKey): only that message's room
+    waits, until the next flush (reconnect, "online",
+    a new peer key).
+
+    Rejects only when storage fails; the message in
+    flight is marked failed first and stays queued.
+  */
+  async flush() {
+    if (this.flushing) {
+      // Something was enqueued mid-flush → run once more after
+      this.flushAgain = true;
+      return;
+    }
+
+    if (!navigator.onLine || !this.canSend()) return;
+
+    this.flushing = true;
+
+    // The tracked message between "sending" and leaving the outbox
+    let inFlight = null;
+
+    try {
+      for (const [id, message] of this.unqueued) {
+        await this.store(message);
+        this.unqueued.delete(id);
+      }
+
+      const pending = await getOutbox();
+
+      // Rooms whose head message is waiting for a peer's key
+      const parked = new Set();
+
+      for (const message of pending) {
+        // Stays queued, behind the parked one (order per room)
+        if (parked.has(message.roomId)) continue;
+
+        const tracked = !isMutation(message);
+
+        if (tracked) {
+          inFlight = message;
+          this.onStatus(message.id, MESSAGE_STATUS.SENDING);
+          // A retry: failed → sending, so "sent" is a legal next step
+          await updateMessageStatus(message.id, MESSAGE_STATUS.SENDING);
+        }
+
+        try {
+          await this.send(message);
+        } catch (err) {
+          /*
+            Leave it in the outbox: the next "online" /
+            reconnect retries it automatically, and the
+            user can tap to retry sooner.
+          */
+          console.warn("Outbox send failed:", err);
+
+          if (tracked) inFlight = null;
+
+          /*
+            Parked, not failed: it goes out by itself once
+            the key arrives, so it stays "sending" (no
+            "tap to retry").
+          */
+          if (err?.missingKey) {
+            parked.add(message.roomId);
+            continue;
+          }
+
+          if (tracked) {
+            this.onStatus(message.id, MESSAGE_STATUS.FAILED);
+            await updateMessageStatus(message.id, MESSAGE_STATUS.FAILED);
+          }
+          return;
+        }
+
+        await removeFromOutbox(message.id);
+
+        if (tracked) {
+          inFlight = null;
+          this.onStatus(message.id, MESSAGE_STATUS.SENT);
+          await updateMessageStatus(message.id, MESSAGE_STATUS.SENT);
+        }
+      }
+    } catch (err) {
+      if (inFlight) this.onStatus(inFlight.id, MESSAGE_STATUS.FAILED);
+      throw err;
+    } finally {
+      this.flushing = false;
+
+      if (this.flushAgain) {
+        this.flushAgain = false;
+        this.flushLater();
+      }
+    }
+  }
+}
+
+// 🧠 Interview Insight
+
+// “What happens to a message typed in a tunnel?”
+
+// It is written to IndexedDB first (status: sending), shown
+// optimistically, and replayed in order on reconnect. The
+// client-generated id makes the replay idempotent, so a
+// message that DID reach the server before the drop is not
+// duplicated.
@@ -0,0 +1,228 @@
+import { Outbox } from "./outbox";
+import { MESSAGE_STATUS } from "./messageStatus";
+import { MUTATION } from "./mutations";
+import * as db from "./db";
+
+/*
+  In-memory stand-in for the IndexedDB layer: an outbox
+  read back in clock order, and a messages store whose
+  status writes go through the state machine like the
+  real updateMessageStatus. failNext(name) makes the next
+  call of that function reject, like a locked storage.
+
+  Plain functions, not jest.fn(): CRA's resetMocks would
+  wipe their implementations before every test.
+*/
+jest.mock("./db", () => {
+  const { transition } = jest.requireActual("./messageStatus");
+
+  const outbox = new Map();
+  const messages = new Map();
+  const failures = new Set();
+
+  const failable = (name, fn) => async (...args) => {
+    if (failures.delete(name)) throw new Error("Storage is locked");
+    return fn(...args);
+  };
+
+  return {
+    outbox,
+    messages,
+    failNext: (name) => failures.add(name),
+    reset: () => [outbox, messages, failures].forEach((map) => map.clear()),
+
+    enqueueOutgoing: failable("enqueueOutgoing", (message) => {
+      outbox.set(message.id, message);
+    }),
+    getOutbox: failable("getOutbox", () =>
+      [...outbox.values()].sort((a, b) => a.hlc.wall - b.hlc.wall)
+    ),
+    removeFromOutbox: failable("removeFromOutbox", (id) => {
+      outbox.delete(id);
+    }),
+    saveMessage: failable("saveMessage", (message) => {
+      messages.set(message.id, message);
+    }),
+    updateMessageStatus: failable("updateMessageStatus", (id, status) => {
+      const message = messages.get(id);
+      if (message) {
+        messages.set(id, { ...message, status: transition(message.status, status) });
+      }
+    }),
+  };
+});
+
+const { SENDING, SENT, READ, FAILED } = MESSAGE_STATUS;
+
+let wall = 0;
+
+const message = (id, roomId = "general") => ({
+  id,
+  roomId,
+  type: "text",
+  content: id,
+  hlc: { wall: (wall += 1), logical: 0, node: "a" },
+  status: SENDING,
+});
+
+/*
+  A transport that records what went out. fail(id, err)
+  makes every send of that id reject with err, until
+  recover(id).
+*/
+function fakeTransport() {
+  const failures = new Map();
+
+  const transport = {
+    sent: [],
+    // Was it stored before it went out?
+    storedFirst: [],
+    fail: (id, err = new Error("offline")) => failures.set(id, err),
+    recover: (id) => failures.delete(id),
+    send: async (entry) => {
+      if (failures.has(entry.id)) throw failures.get(entry.id);
+
+      transport.storedFirst.push(db.outbox.has(entry.id));
+      transport.sent.push(entry.id);
+    },
+  };
+
+  return transport;
+}
+
+const statusOf = (id) => db.messages.get(id)?.status;
+
+describe("Outbox", () => {
+  let transport;
+  let statuses;
+  let outbox;
+
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    transport = fakeTransport();
+    statuses = [];
+    outbox = new Outbox({
+      send: (entry) => transport.send(entry),
+      onStatus: (id, status) => statuses.push([id, status]),
+    });
+  });
+
+  afterEach(() => console.warn.mockRestore());
+
+  it("stores a message before sending it, then marks it sent", async () => {
+    await outbox.enqueue(message("m1"));
+
+    expect(transport.sent).toEqual(["m1"]);
+    expect(transport.storedFirst).toEqual([true]);
+    expect(db.outbox.size).toBe(0);
+    expect(statusOf("m1")).toBe(SENT);
+    expect(statuses).toEqual([
+      ["m1", SENDING],
+      ["m1", SENT],
+    ]);
+  });
+
+  it("stops at the first failure, so later messages can't overtake it", async () => {
+    transport.fail("m1");
+
+    await outbox.enqueue(message("m1"));
+    await outbox.enqueue(message("m2"));
+
+    expect(transport.sent).toEqual([]);
+    expect(statusOf("m1")).toBe(FAILED);
+    expect(statusOf("m2")).toBe(SENDING);
+    expect([...db.outbox.keys()]).toEqual(["m1", "m2"]);
+  });
+
+  it("retries failed messages in order: failed → sending → sent", async () => {
+    transport.fail("m1");
+    await outbox.enqueue(message("m1"));
+    await outbox.enqueue(message("m2"));
+
+    transport.recover("m1");
+    await outbox.flush();
+
+    expect(transport.sent).toEqual(["m1", "m2"]);
+    expect(statusOf("m1")).toBe(SENT);
+    expect(statusOf("m2")).toBe(SENT);
+    expect(db.outbox.size).toBe(0);
+  });
+
+  it("parks only the room whose peer key is missing", async () => {
+    const missingKey = Object.assign(new Error("no key"), { missingKey: true });
+    transport.fail("dm1", missingKey);
+
+    await outbox.enqueue(message("dm1", "dm:a:b"));
+    await outbox.enqueue(message("dm2", "dm:a:b"));
+    await outbox.enqueue(message("g1", "general"));
+
+    expect(transport.sent).toEqual(["g1"]);
+    expect([...db.outbox.keys()]).toEqual(["dm1", "dm2"]);
+
+    // Retried by itself when the key arrives: not "tap to retry"
+    expect(statusOf("dm1")).toBe(SENDING);
+    expect(statuses).not.toContainEqual(["dm1", FAILED]);
+  });
+
+  it("never moves a stored status backwards", async () => {
+    // The READ_RECEIPT beats the ACK
+    transport.send = async ({ id }) => {
+      db.messages.set(id, { ...db.messages.get(id), status: READ });
+    };
+
+    await outbox.enqueue(message("m1"));
+
+    expect(statusOf("m1")).toBe(READ);
+  });
+
+  it("sends nothing while offline, and everything once back", async () => {
+    let online = false;
+    outbox.canSend = () => online;
+
+    await outbox.enqueue(message("m1"));
+    expect(transport.sent).toEqual([]);
+
+    online = true;
+    await outbox.flush();
+    expect(transport.sent).toEqual(["m1"]);
+  });
+
+  it("keeps a message it couldn't store, and stores it on the next flush", async () => {
+    db.failNext("enqueueOutgoing");
+
+    await expect(outbox.enqueue(message("m1"))).rejects.toThrow("locked");
+    expect(transport.sent).toEqual([]);
+
+    await outbox.flush();
+    expect(transport.sent).toEqual(["m1"]);
+    expect(statusOf("m1")).toBe(SENT);
+  });
+
+  it("marks the message in flight failed when storage breaks mid-flush", async () => {
+    db.failNext("removeFromOutbox");
+
+    await expect(outbox.enqueue(message("m1"))).rejects.toThrow("locked");
+
+    expect(statuses).toEqual([
+      ["m1", SENDING],
+      ["m1", FAILED],
+    ]);
+    expect(db.outbox.has("m1")).toBe(true); // Retried later, same id
+  });
+
+  it("queues mutations without status or a message row", async () => {
+    await outbox.enqueue({
+      id: "e1",
+      roomId: "general",
+      type: MUTATION.EDIT,
+      content: { targetId: "m1", text: "fixed" },
+      hlc: { wall: (wall += 1), logical: 0, node: "a" },
+    });
+
+    expect(transport.sent).toEqual(["e1"]);
+    expect(db.messages.has("e1")).toBe(false);
+    expect(statuses).toEqual([]);
+  });
+});
@@ -0,0 +1,407 @@
+/*
+  PRESENCE (lease-based) + TYPING INDICATORS
+  ==========================================
+
+  Before: a Set of online ids fed by USER_ONLINE / USER_OFFLINE,
+  and "offline" relied on beforeunload, which never fires when
+  a tab crashes, the laptop sleeps or the network drops.
+  Those users stayed "online" forever.
+
+  Now presence is a LEASE:
+
+    PRESENCE { userId, status, lease }   every renewInterval
+    receiver: expiresAt = now + lease
+    no renewal before expiresAt → offline, automatically
+
+  The sender doesn't have to say goodbye; it just stops
+  renewing. (Same idea as Redis key TTLs / etcd leases that
+  real presence services use.)
+
+  Status:
+  - online  → tab visible and user active recently
+  - away    → tab hidden (Page Visibility API) or idle
+  - offline → lease expired, or explicit goodbye on pagehide
+
+  Typing:
+  - TYPING { userId, roomId, typing } on the room topic
+  - throttled on send (≤ 1 per typingThrottle while typing)
+  - expires on receive after typingTtl unless renewed, so a
+    closed tab can't leave "alice is typing…" stuck on screen
+
+  Last seen is persisted locally (IndexedDB), so "last seen
+  5 min ago" survives a reload.
+*/
+
+import { CONNECTION_STATE } from "./channel";
+import { getLastSeen, saveLastSeen } from "./db";
+import { roomTopic } from "./rooms";
+
+export const PRESENCE_STATUS = {
+  ONLINE: "online",
+  AWAY: "away",
+  OFFLINE: "offline",
+};
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "mousemove", "scroll"];
+
+export class PresenceTracker {
+  /*
+    renewInterval  → how often we renew our own lease
+    onlineLease    → lease granted while online (≈ 3 renewals)
+    awayLease      → longer: browsers throttle timers in hidden
+                     tabs (Chrome: ~1/min), renewals arrive late
+    idleTimeout    → no input for this long → away
+    typingThrottle → min gap between our TYPING frames per room
+    typingTtl      → a peer's typing flag expires after this
+    onChange(snapshot) → UI hook
+  */
+  constructor({
+    userId,
+    channel,
+    renewInterval = 10000,
+    onlineLease = 30000,
+    awayLease = 150000,
+    idleTimeout = 120000,
+    typingThrottle = 3000,
+    typingTtl = 5000,
+    sweepInterval = 1000,
+    onChange = () => {},
+  }) {
+    this.userId = userId;
+    this.channel = channel;
+    this.renewInterval = renewInterval;
+    this.onlineLease = onlineLease;
+    this.awayLease = awayLease;
+    this.idleTimeout = idleTimeout;
+    this.typingThrottle = typingThrottle;
+    this.typingTtl = typingTtl;
+    this.sweepInterval = sweepInterval;
+    this.onChange = onChange;
+
+    // userId → { status, expiresAt, lastSeen }
+    this.peers = new Map();
+
+    // roomId → Map(userId → expiresAt)
+    this.typing = new Map();
+
+    // roomId → when we last sent TYPING: true
+    this.typingSentAt = new Map();
+
+    this.status = PRESENCE_STATUS.ONLINE;
+    this.lastActivity = Date.now();
+
+    this.unsubscribers = [];
+    this.renewTimer = null;
+    this.sweepTimer = null;
+
+    this.handleActivity = () => {
+      this.lastActivity = Date.now();
+      if (this.status === PRESENCE_STATUS.AWAY) this.updateOwnStatus();
+    };
+
+    this.handleVisibility = () => this.updateOwnStatus();
+
+    /*
+      pagehide fires more reliably than beforeunload
+      (bfcache, mobile). Still best effort: the lease
+      is what actually guarantees we drop out.
+    */
+    this.handlePageHide = () => {
+      this.send("PRESENCE", { userId: this.userId, status: PRESENCE_STATUS.OFFLINE });
+    };
+  }
+
+  start() {
+    getLastSeen()
+      .then((rows) => {
+        rows.forEach(({ userId, at }) => {
+          if (userId === this.userId || this.peers.has(userId)) return;
+          this.peers.set(userId, {
+            status: PRESENCE_STATUS.OFFLINE,
+            expiresAt: 0,
+            lastSeen: at,
+          });
+        });
+        this.emit();
+      })
+      .catch((err) => console.error("Failed to load last seen:", err));
+
+    this.unsubscribers = [
+      this.channel.on("PRESENCE", (payload) => this.handlePresence(payload)),
+      this.channel.on("PRESENCE_REQUEST", () => this.announce()),
+      this.channel.on("TYPING", (payload) => this.handleTyping(payload)),
+
+      /*
+        (Re)connected: announce, and ask everyone else
+        to announce (BroadcastChannel / relays don't
+        replay what we missed).
+      */
+      this.channel.onStateChange((state) => {
+        if (state !== CONNECTION_STATE.OPEN) return;
+        this.announce();
+        this.send("PRESENCE_REQUEST");
+      }),
+    ];
+
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.addEventListener(type, this.handleActivity, { passive: true })
+    );
+    document.addEventListener("visibilitychange", this.handleVisibility);
+    window.addEventListener("pagehide", this.handlePageHide);
+
+    this.renewTimer = setInterval(() => {
+      this.updateOwnStatus();
+      this.announce();
+    }, this.renewInterval);
+
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+
+    this.status = this.computeStatus();
+
+    if (this.isConnected()) {
+      this.announce();
+      this.send("PRESENCE_REQUEST");
+    }
+  }
+
+  stop() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.removeEventListener(type, this.handleActivity)
+    );
+    document.removeEventListener("visibilitychange", this.handleVisibility);
+    window.removeEventListener("pagehide", this.handlePageHide);
+
+    clearInterval(this.renewTimer);
+    clearInterval(this.sweepTimer);
+  }
+
+  isConnected() {
+    return (
+      this.channel.state === CONNECTION_STATE.OPEN ||
+      this.channel.state === CONNECTION_STATE.DEGRADED
+    );
+  }
+
+  send(type, payload, options) {
+    if (this.isConnected()) this.channel.send(type, payload, options);
+  }
+
+  /* =========================================================
+     OWN STATUS
+     ========================================================= */
+
+  computeStatus() {
+    const hidden = document.visibilityState === "hidden";
+    const idle = Date.now() - this.lastActivity > this.idleTimeout;
+
+    return hidden || idle ? PRESENCE_STATUS.AWAY : PRESENCE_STATUS.ONLINE;
+  }
+
+  /*
+    Announce immediately on a change, so peers see
+    "away" without waiting for the next renewal.
+  */
+  updateOwnStatus() {
+    const next = this.computeStatus();
+    if (next === this.status) return;
+
+    this.status = next;
+    this.announce();
+  }
+
+  announce() {
+    this.send("PRESENCE", {
+      userId: this.userId,
+      status: this.status,
+      lease:
+        this.status === PRESENCE_STATUS.AWAY ? this.awayLease : this.onlineLease,
+    });
+  }
+
+  /* =========================================================
+     PEERS
+     ========================================================= */
+
+  handlePresence({ userId, status, lease }) {
+    if (userId === this.userId) return;
+
+    if (status === PRESENCE_STATUS.OFFLINE) {
+      this.markOffline(userId);
+      return;
+    }
+
+    const now = Date.now();
+    const prev = this.peers.get(userId);
+
+    this.peers.set(userId, {
+      status,
+      expiresAt: now + this.leaseFor(lease),
+      lastSeen: now,
+    });
+
+    // Every renewal: after a reload "last seen" is the last one we got
+    saveLastSeen(userId, now).catch(() => {});
+
+    if (prev?.status !== status) this.emit();
+  }
+
+  /*
+    leaseFor(lease)
+
+    The lease is the peer's word: missing / not a number
+    would never expire (NaN <= now is false), a huge one
+    would keep them "online" for days. Clamped to
+    (0, awayLease], onlineLease by default.
+  */
+  leaseFor(lease) {
+    if (!Number.isFinite(lease) || lease <= 0) return this.onlineLease;
+    return Math.min(lease, this.awayLease);
+  }
+
+  /*
+    markOffline(userId)
+
+    lastSeen stays at the last renewal we actually
+    received, which is when they were really last here.
+  */
+  markOffline(userId) {
+    const prev = this.peers.get(userId);
+    if (!prev || prev.status === PRESENCE_STATUS.OFFLINE) return;
+
+    this.peers.set(userId, {
+      status: PRESENCE_STATUS.OFFLINE,
+      expiresAt: 0,
+      lastSeen: prev.lastSeen,
+    });
+
+    saveLastSeen(userId, prev.lastSeen).catch(() => {});
+
+    this.typing.forEach((users) => users.delete(userId));
+    this.emit();
+  }
+
+  /*
+    sweep()
+
+    Expire leases and typing flags that weren't renewed.
+  */
+  sweep() {
+    const now = Date.now();
+    let changed = false;
+
+    this.peers.forEach((peer, userId) => {
+      if (peer.status !== PRESENCE_STATUS.OFFLINE && peer.expiresAt <= now) {
+        this.markOffline(userId);
+      }
+    });
+
+    this.typing.forEach((users) =>
+      users.forEach((expiresAt, userId) => {
+        if (expiresAt <= now) {
+          users.delete(userId);
+          changed = true;
+        }
+      })
+    );
+
+    if (changed) this.emit();
+  }
+
+  /* =========================================================
+     TYPING
+     ========================================================= */
+
+  /*
+    setTyping(roomId, isTyping)
+
+    Call on every keystroke; throttling happens here.
+    isTyping = false (sent / cleared) is sent once, right away.
+  */
+  setTyping(roomId, isTyping) {
+    const topic = roomTopic(roomId, this.userId);
+
+    if (!isTyping) {
+      if (!this.typingSentAt.has(roomId)) return;
+
+      this.typingSentAt.delete(roomId);
+      this.send("TYPING", { userId: this.userId, roomId, typing: false }, { topic, delay: 0 });
+      return;
+    }
+
+    const now = Date.now();
+    if (now - (this.typingSentAt.get(roomId) ?? 0) < this.typingThrottle) return;
+
+    this.typingSentAt.set(roomId, now);
+    this.send("TYPING", { userId: this.userId, roomId, typing: true }, { topic, delay: 0 });
+  }
+
+  handleTyping({ userId, roomId, typing }) {
+    if (userId === this.userId) return;
+
+    if (!this.typing.has(roomId)) this.typing.set(roomId, new Map());
+    const users = this.typing.get(roomId);
+
+    if (typing) {
+      users.set(userId, Date.now() + this.typingTtl);
+    } else {
+      users.delete(userId);
+    }
+
+    this.emit();
+  }
+
+  /* =========================================================
+     UI SNAPSHOT
+     ========================================================= */
+
+  /*
+    → {
+        peers:  { [userId]: { status, lastSeen } },
+        typing: { [roomId]: [userId, …] }
+      }
+  */
+  snapshot() {
+    const peers = {};
+    this.peers.forEach(({ status, lastSeen }, userId) => {
+      peers[userId] = { status, lastSeen };
+    });
+
+    const typing = {};
+    this.typing.forEach((users, roomId) => {
+      if (users.size > 0) typing[roomId] = [...users.keys()];
+    });
+
+    return { peers, typing };
+  }
+
+  emit() {
+    this.onChange(this.snapshot());
+  }
+}
+
+/*
+  formatLastSeen(at) → "just now" | "5 min ago" | "3 h ago" | date
+*/
+export function formatLastSeen(at) {
+  if (!at) return "a while ago";
+
+  const seconds = Math.round((Date.now() - at) / 1000);
+
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+
+  return new Date(at).toLocaleDateString();
+}
+
+// 🧠 Interview Insight
+
+// “How do you know a user went offline if their tab crashed?”
+
+// You don't get told — you infer it. Clients hold a lease they
+// must keep renewing (heartbeat); the presence service expires
+// it. Explicit "I'm leaving" messages are an optimisation for
+// the happy path, never the mechanism.
@@ -0,0 +1,268 @@
+/*
+  SYMMETRIC RATCHET (Forward Secrecy)
+  ===================================
+
+  Before: one AES key per conversation, used forever.
+  Steal it once → read the whole history.
+
+  Now every message gets its own key:
+
+    chainKey₀ ──HKDF──► chainKey₁ ──HKDF──► chainKey₂ …
+        │                   │
+        └─► messageKey₀     └─► messageKey₁
+
+  - Step = HKDF(chainKey, "chain")   → next chain key
+           HKDF(chainKey, "message") → key for THIS message
+  - The old chain key and used message keys are dropped.
+  - HKDF is one-way: chainKey₂ can't be run backwards to
+    messageKey₀, so a leaked CURRENT key can't decrypt
+    EARLIER messages. That's forward secrecy.
+
+  One chain per (conversation, sender → recipient, sender
+  session). chainKey₀ = HKDF(ECDH secret, salt = chain id),
+  so both sides compute it without talking.
+
+  Header: every ciphertext carries { n } (message number) so
+  the receiver can fast-forward its chain. Keys for skipped
+  numbers are parked in a bounded store, which is what lets
+  out-of-order (or resent) messages still decrypt.
+
+  This is the "symmetric-key ratchet" half of Signal's
+  Double Ratchet; the DH half is not implemented.
+*/
+
+import { decryptMessage, encryptMessage } from "./encryption";
+
+const encoder = new TextEncoder();
+
+/*
+  chainIdFor({ roomId, from, to, sessionId })
+
+  "general|alice>bob|<sessionId>"
+  Direction matters: alice → bob and bob → alice are
+  different chains, otherwise both would use messageKey₀.
+*/
+export function chainIdFor({ roomId, from, to, sessionId }) {
+  return `${roomId}|${from}>${to}|${sessionId}`;
+}
+
+async function hkdfBits(keyMaterial, salt, info) {
+  return crypto.subtle.deriveBits(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: encoder.encode(salt),
+      info: encoder.encode(info),
+    },
+    keyMaterial,
+    256
+  );
+}
+
+function importChainKey(bits) {
+  return crypto.subtle.importKey("raw", bits, "HKDF", false, ["deriveBits"]);
+}
+
+/*
+  initChainKey(sharedSecret, chainId) → chainKey₀
+*/
+export async function initChainKey(sharedSecret, chainId) {
+  return importChainKey(await hkdfBits(sharedSecret, chainId, "chain-root"));
+}
+
+/*
+  kdfChain(chainKey) → { chainKey: next, messageKey }
+
+  Both outputs are non-extractable CryptoKeys; the raw
+  bytes only exist for the duration of this call.
+*/
+export async function kdfChain(chainKey) {
+  const [nextBits, messageBits] = await Promise.all([
+    hkdfBits(chainKey, "", "chain"),
+    hkdfBits(chainKey, "", "message"),
+  ]);
+
+  const [next, messageKey] = await Promise.all([
+    importChainKey(nextBits),
+    crypto.subtle.importKey("raw", messageBits, { name: "AES-GCM" }, false, [
+      "encrypt",
+      "decrypt",
+    ]),
+  ]);
+
+  return { chainKey: next, messageKey };
+}
+
+export class SymmetricRatchet {
+  /*
+    maxSkip        → largest jump in n we'll fast-forward
+                     (stops a forged n = 10⁹ from burning CPU)
+    maxSkippedKeys → bound on parked keys across all chains;
+                     oldest are evicted first
+  */
+  constructor({ maxSkip = 1000, maxSkippedKeys = 500 } = {}) {
+    this.maxSkip = maxSkip;
+    this.maxSkippedKeys = maxSkippedKeys;
+
+    // chainId → { chainKey, n, queue }
+    this.sending = new Map();
+    this.receiving = new Map();
+
+    // "chainId#n" → messageKey (insertion order = age)
+    this.skipped = new Map();
+  }
+
+  /*
+    getChain(chains, chainId, getSecret)
+
+    Created lazily. getSecret() resolves the ECDH secret
+    (may wait for the peer's public key).
+  */
+  getChain(chains, chainId, getSecret) {
+    if (!chains.has(chainId)) {
+      const state = { chainKey: null, n: 0, queue: null };
+
+      state.queue = getSecret()
+        .then((secret) => initChainKey(secret, chainId))
+        .then((chainKey) => {
+          state.chainKey = chainKey;
+        });
+
+      // Peer key missing → try again from scratch next time
+      state.queue.catch(() => chains.delete(chainId));
+
+      chains.set(chainId, state);
+    }
+
+    return chains.get(chainId);
+  }
+
+  /*
+    withChain(state, fn)
+
+    Chain steps are async, and two messages in flight must
+    not both read chainKeyₙ. Every operation on a chain is
+    queued behind the previous one.
+  */
+  withChain(state, fn) {
+    const run = state.queue.then(() => fn(state));
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  /*
+    encrypt(chainId, getSecret, text)
+    → { header: { n }, iv, data }
+  */
+  encrypt(chainId, getSecret, text) {
+    const state = this.getChain(this.sending, chainId, getSecret);
+
+    return this.withChain(state, async () => {
+      const { chainKey, messageKey } = await kdfChain(state.chainKey);
+      const header = { n: state.n };
+
+      state.chainKey = chainKey;
+      state.n += 1;
+
+      return {
+        header,
+        ...(await encryptMessage(messageKey, text, associatedData(chainId, header))),
+      };
+    });
+  }
+
+  /*
+    decrypt(chainId, getSecret, { header, iv, data })
+
+    n === next       → step once
+    n  >  next       → step ahead, parking keys for the gap
+    n  <  next       → must be a parked key (late / resent),
+                       otherwise it was already used → reject
+  */
+  decrypt(chainId, getSecret, payload) {
+    const { header } = payload;
+    const state = this.getChain(this.receiving, chainId, getSecret);
+
+    return this.withChain(state, async () => {
+      const ad = associatedData(chainId, header);
+      const skippedId = `${chainId}#${header.n}`;
+
+      if (this.skipped.has(skippedId)) {
+        const text = await decryptMessage(this.skipped.get(skippedId), payload, ad);
+        this.skipped.delete(skippedId); // one use only
+        return text;
+      }
+
+      if (header.n < state.n) {
+        throw new Error(`Message key ${header.n} already used or evicted`);
+      }
+
+      if (header.n - state.n > this.maxSkip) {
+        throw new Error(`Refusing to skip ${header.n - state.n} messages`);
+      }
+
+      /*
+        Work on copies and only commit once the message
+        authenticates, so a forged header can't advance
+        (and desync) the real chain.
+      */
+      let chainKey = state.chainKey;
+      const parked = [];
+
+      for (let n = state.n; n < header.n; n += 1) {
+        const step = await kdfChain(chainKey);
+        parked.push([`${chainId}#${n}`, step.messageKey]);
+        chainKey = step.chainKey;
+      }
+
+      const step = await kdfChain(chainKey);
+      const text = await decryptMessage(step.messageKey, payload, ad);
+
+      parked.forEach(([id, key]) => this.park(id, key));
+      state.chainKey = step.chainKey;
+      state.n = header.n + 1;
+
+      return text;
+    });
+  }
+
+  park(id, messageKey) {
+    this.skipped.set(id, messageKey);
+
+    if (this.skipped.size > this.maxSkippedKeys) {
+      this.skipped.delete(this.skipped.keys().next().value);
+    }
+  }
+
+  /*
+    forget(predicate)
+
+    Drop every chain (and parked key) whose id matches,
+    e.g. after a peer's identity key changed.
+  */
+  forget(predicate) {
+    [this.sending, this.receiving, this.skipped].forEach((map) =>
+      [...map.keys()]
+        .filter((id) => predicate(id.split("#")[0]))
+        .forEach((id) => map.delete(id))
+    );
+  }
+}
+
+/*
+  The header (and which chain it belongs to) is bound to
+  the ciphertext as AES-GCM additional data.
+*/
+function associatedData(chainId, header) {
+  return `${chainId}#${header.n}`;
+}
+
+// 🧠 Interview Insight
+
+// “What does forward secrecy mean for a chat app?”
+
+// Compromising today's key must not expose yesterday's
+// messages. A KDF chain gives that cheaply: keys only move
+// forward, and each message key is deleted after use.
+// The skipped-key store is the deliberate, bounded exception
+// that keeps out-of-order delivery working.
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+import { deriveSharedSecret, generateIdentityKeyPair } from "./encryption";
+import { chainIdFor, SymmetricRatchet } from "./ratchet";
+
+// jest's node environment has no Web Crypto global (jsdom has none at all)
+global.crypto ??= require("crypto").webcrypto;
+
+describe("SymmetricRatchet", () => {
+  let aliceSecret;
+  let bobSecret;
+
+  // alice → bob in #general, for one of alice's sessions
+  const chain = (sessionId) =>
+    chainIdFor({ roomId: "general", from: "alice", to: "bob", sessionId });
+
+  beforeAll(async () => {
+    const [alice, bob] = await Promise.all([
+      generateIdentityKeyPair(),
+      generateIdentityKeyPair(),
+    ]);
+
+    // Both ends of the ECDH agree without talking
+    aliceSecret = () => deriveSharedSecret(alice.privateKey, bob.publicKey);
+    bobSecret = () => deriveSharedSecret(bob.privateKey, alice.publicKey);
+  });
+
+  it("round-trips messages, one key each", async () => {
+    const sender = new SymmetricRatchet();
+    const receiver = new SymmetricRatchet();
+
+    const first = await sender.encrypt(chain("s1"), aliceSecret, "hello");
+    const second = await sender.encrypt(chain("s1"), aliceSecret, "again");
+
+    expect([first.header.n, second.header.n]).toEqual([0, 1]);
+    expect(first.data).not.toEqual(second.data);
+
+    expect(await receiver.decrypt(chain("s1"), bobSecret, first)).toBe("hello");
+    expect(await receiver.decrypt(chain("s1"), bobSecret, second)).toBe("again");
+  });
+
+  it("decrypts out of order, then refuses a replay", async () => {
+    const sender = new SymmetricRatchet();
+    const receiver = new SymmetricRatchet();
+
+    const payloads = [];
+    for (const text of ["one", "two", "three"]) {
+      payloads.push(await sender.encrypt(chain("s1"), aliceSecret, text));
+    }
+
+    const [one, two, three] = payloads;
+    expect(await receiver.decrypt(chain("s1"), bobSecret, three)).toBe("three");
+    expect(await receiver.decrypt(chain("s1"), bobSecret, one)).toBe("one");
+    expect(await receiver.decrypt(chain("s1"), bobSecret, two)).toBe("two");
+
+    // Parked keys are single-use
+    await expect(receiver.decrypt(chain("s1"), bobSecret, one)).rejects.toThrow();
+  });
+
+  it("doesn't let a forged header advance the chain", async () => {
+    const sender = new SymmetricRatchet();
+    const receiver = new SymmetricRatchet();
+
+    const real = await sender.encrypt(chain("s1"), aliceSecret, "real");
+    const forged = { ...real, header: { n: 5 } };
+
+    await expect(receiver.decrypt(chain("s1"), bobSecret, forged)).rejects.toThrow();
+    expect(await receiver.decrypt(chain("s1"), bobSecret, real)).toBe("real");
+  });
+
+  it("replays a message queued before a reload on the new session's chain", async () => {
+    const receiver = new SymmetricRatchet();
+
+    // Session s1 got one message through, then the tab reloaded
+    const before = new SymmetricRatchet();
+    const sent = await before.encrypt(chain("s1"), aliceSecret, "sent");
+    expect(await receiver.decrypt(chain("s1"), bobSecret, sent)).toBe("sent");
+
+    // The new session's ratchet starts every chain again at n = 0
+    const after = new SymmetricRatchet();
+    const replayed = await after.encrypt(chain("s2"), aliceSecret, "queued");
+    expect(replayed.header.n).toBe(0);
+
+    // Stamped with the old session it can't be read: that n was used
+    await expect(
+      receiver.decrypt(chain("s1"), bobSecret, replayed)
+    ).rejects.toThrow();
+
+    // Re-stamped with the session that encrypted it, it can
+    expect(await receiver.decrypt(chain("s2"), bobSecret, replayed)).toBe(
+      "queued"
+    );
+  });
+});
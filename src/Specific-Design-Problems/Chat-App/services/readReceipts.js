@@ -0,0 +1,175 @@
+/*
+  READ RECEIPTS (visibility-driven, watermark-based)
+  =================================================
+
+  Before: every incoming message got a READ_RECEIPT 500ms
+  after it arrived, whether anyone looked at it or not
+  (background tab, other room, scrolled away…).
+
+  Now "read" means SEEN:
+
+    IntersectionObserver: bubble on screen
+            +
+    Page Visibility API: tab actually visible
+            ↓
+    markSeen(message)
+
+  And instead of one receipt per message, each conversation
+  has a WATERMARK: the clock (hlc) of the newest message we
+  have seen. Everything at or before it is read.
+
+    READ_RECEIPT { roomId, readerId, upTo: hlc }
+
+  - one small frame per batch instead of N (scrolling
+    through 200 messages → 1 receipt)
+  - idempotent and monotonic: a late / duplicated receipt
+    with an older watermark changes nothing
+  - persisted locally, so the unread divider survives a reload
+
+  Same model as Slack's "last_read" / WhatsApp's read cursor.
+*/
+
+import { CONNECTION_STATE } from "./channel";
+import { getReadWatermarks, saveReadWatermark } from "./db";
+import { clockOf, compareHLC } from "./ordering";
+import { roomTopic } from "./rooms";
+
+export class ReadReceipts {
+  /*
+    batchDelay → collect everything seen in this window
+                 into one receipt per room
+    onChange({ [roomId]: hlc }) → our own watermarks (UI)
+  */
+  constructor({ userId, channel, batchDelay = 1000, onChange = () => {} }) {
+    this.userId = userId;
+    this.channel = channel;
+    this.batchDelay = batchDelay;
+    this.onChange = onChange;
+
+    // roomId → hlc we've read up to (sent or not)
+    this.watermarks = new Map();
+
+    // roomId → hlc seen but not flushed yet
+    this.pending = new Map();
+
+    // rooms whose watermark couldn't be sent (offline)
+    this.unsent = new Set();
+
+    this.timer = null;
+    this.unsubscribers = [];
+  }
+
+  start() {
+    getReadWatermarks()
+      .then((rows) => {
+        rows.forEach(({ roomId, upTo }) => {
+          if (!this.watermarks.has(roomId)) this.watermarks.set(roomId, upTo);
+        });
+        this.emit();
+      })
+      .catch((err) => console.error("Failed to load read state:", err));
+
+    /*
+      Receipts made while offline go out on reconnect.
+      Only the latest watermark matters, not each one.
+    */
+    this.unsubscribers = [
+      this.channel.onStateChange((state) => {
+        if (state === CONNECTION_STATE.OPEN) this.sendUnsent();
+      }),
+    ];
+  }
+
+  stop() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+
+    clearTimeout(this.timer);
+    this.flush();
+  }
+
+  /*
+    isRead(message) → at or before our watermark
+  */
+  isRead(message) {
+    const upTo = this.watermarks.get(message.roomId);
+    return Boolean(upTo) && compareHLC(clockOf(message), upTo) <= 0;
+  }
+
+  /*
+    markSeen(message)
+
+    Call when a received message is actually on screen.
+    Cheap: only moves the pending watermark forward and
+    arms one timer per batch.
+  */
+  markSeen(message) {
+    if (message.senderId === this.userId || this.isRead(message)) return;
+
+    const clock = clockOf(message);
+    const pending = this.pending.get(message.roomId);
+
+    if (!pending || compareHLC(clock, pending) > 0) {
+      this.pending.set(message.roomId, clock);
+    }
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.batchDelay);
+    }
+  }
+
+  flush() {
+    this.timer = null;
+    if (this.pending.size === 0) return;
+
+    this.pending.forEach((upTo, roomId) => {
+      const current = this.watermarks.get(roomId);
+      if (current && compareHLC(upTo, current) <= 0) return;
+
+      this.watermarks.set(roomId, upTo);
+      this.unsent.add(roomId);
+
+      saveReadWatermark(roomId, upTo).catch((err) =>
+        console.error("Failed to persist read state:", err)
+      );
+    });
+
+    this.pending.clear();
+    this.sendUnsent();
+    this.emit();
+  }
+
+  sendUnsent() {
+    const { state } = this.channel;
+    if (state !== CONNECTION_STATE.OPEN && state !== CONNECTION_STATE.DEGRADED) {
+      return;
+    }
+
+    this.unsent.forEach((roomId) => {
+      this.channel.send(
+        "READ_RECEIPT",
+        { roomId, readerId: this.userId, upTo: this.watermarks.get(roomId) },
+        { topic: roomTopic(roomId, this.userId), delay: 0 }
+      );
+    });
+
+    this.unsent.clear();
+  }
+
+  snapshot() {
+    return Object.fromEntries(this.watermarks);
+  }
+
+  emit() {
+    this.onChange(this.snapshot());
+  }
+}
+
+// 🧠 Interview Insight
+
+// “How would you implement read receipts for a 10k-message group?”
+
+// Not per message. Store one cursor per (reader, conversation)
+// — the newest message they've seen — and derive everything
+// else by comparison. Fewer events, idempotent updates, and
+// "unread count" is just messages after the cursor.
@@ -0,0 +1,89 @@
+/*
+  ROOMS / CONVERSATIONS
+  =====================
+
+  Two kinds of conversation:
+
+  - group → named room everyone can join ("general", "support")
+  - direct → exactly two user ids (DM)
+
+  Room ids are deterministic:
+    group  → "support"
+    direct → "dm:alice:bob"   (ids sorted)
+
+  Sorting means alice → bob and bob → alice resolve to
+  the SAME room without any server round-trip.
+
+  Topics (what ChatChannel subscribes to):
+    group  → "room:<roomId>"
+    direct → "user:<recipientId>" (each user's personal inbox)
+
+  Why an inbox topic for DMs?
+  The recipient doesn't know a DM exists until the first
+  message arrives, so they can't have subscribed to it.
+  Everyone is always subscribed to their own inbox.
+*/
+
+export const ROOM_KIND = {
+  GROUP: "group",
+  DIRECT: "direct",
+};
+
+/*
+  Rooms every user sees out of the box.
+*/
+export const DEFAULT_ROOMS = [
+  { id: "general", name: "General", kind: ROOM_KIND.GROUP },
+  { id: "support", name: "Support", kind: ROOM_KIND.GROUP },
+  { id: "random", name: "Random", kind: ROOM_KIND.GROUP },
+];
+
+export function directRoomId(a, b) {
+  return `dm:${[a, b].sort().join(":")}`;
+}
+
+export function isDirectRoom(roomId) {
+  return roomId.startsWith("dm:");
+}
+
+/*
+  directPeer(roomId, me)
+
+  The OTHER participant of a DM.
+*/
+export function directPeer(roomId, me) {
+  const [, a, b] = roomId.split(":");
+  return a === me ? b : a;
+}
+
+export function directRoom(me, peerId) {
+  return {
+    id: directRoomId(me, peerId),
+    name: peerId,
+    kind: ROOM_KIND.DIRECT,
+  };
+}
+
+export function inboxTopic(userId) {
+  return `user:${userId}`;
+}
+
+/*
+  roomTopic(roomId, me)
+
+  Where to publish a frame for this room.
+  For DMs that's the other participant's inbox.
+*/
+export function roomTopic(roomId, me) {
+  return isDirectRoom(roomId)
+    ? inboxTopic(directPeer(roomId, me))
+    : `room:${roomId}`;
+}
+
+// 🧠 Interview Insight
+
+// “How does a DM reach someone who has never opened it?”
+
+// Fan-out on write to a per-user inbox topic. Group rooms are
+// pub/sub topics; DMs piggyback on the recipient's inbox, which
+// every client subscribes to on connect.
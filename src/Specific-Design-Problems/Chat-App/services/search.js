@@ -0,0 +1,220 @@
+/*
+  LOCAL FULL-TEXT SEARCH (per conversation)
+  =========================================
+
+  With E2E encryption the server can't search for us:
+  it only ever sees ciphertext. So the index lives on the
+  client, built from DECRYPTED content:
+
+    NEW_MESSAGE / own send ──► upsert(message)
+    EDIT_MESSAGE           ──► upsert(edited message)
+    DELETE_MESSAGE         ──► upsert(tombstone) = remove
+
+  - one MiniSearch index per room, loaded lazily on the
+    first change / search in that room
+  - no saved index yet (first run, or messages older than
+    the index) → rebuilt once from the local history
+  - persisted SEALED (the index is the plaintext, tokenized),
+    debounced so a burst of messages is one write
+  - saved with a high-water mark (newest hlc indexed): a
+    save lost to a closed tab or a lock only costs
+    re-indexing the rows newer than it on the next load
+  - lock → in-memory indexes are dropped like the messages
+
+  Text messages are indexed by content, files by name.
+*/
+
+import MiniSearch from "minisearch";
+import { getRoomMessages, getSearchIndex, saveSearchIndex } from "./db";
+import { clockOf, compareHLC } from "./ordering";
+
+const INDEX_OPTIONS = {
+  fields: ["text"],
+  storeFields: ["senderId", "createdAt", "threadId", "text"],
+  searchOptions: { prefix: true, fuzzy: 0.2 },
+};
+
+/*
+  toDocument(message) → what gets indexed, or null if
+  there's nothing to find (deleted, legacy inline image)
+*/
+function toDocument(message) {
+  if (message.deleted) return null;
+
+  const text =
+    message.type === "file"
+      ? message.content?.name
+      : message.type === "text"
+      ? message.content
+      : null;
+
+  if (!text) return null;
+
+  return {
+    id: message.id,
+    text,
+    senderId: message.senderId,
+    createdAt: message.createdAt,
+    threadId: message.threadId,
+  };
+}
+
+export class ChatSearch {
+  /*
+    saveDelay → debounce for persisting an index
+  */
+  constructor({ saveDelay = 2000 } = {}) {
+    this.saveDelay = saveDelay;
+
+    // roomId → Promise<MiniSearch>
+    this.indexes = new Map();
+
+    // roomId → newest hlc in that room's index
+    this.marks = new Map();
+
+    // roomId → save timer
+    this.saveTimers = new Map();
+  }
+
+  /*
+    indexFor(roomId) → Promise<MiniSearch>
+
+    Cached promise, so concurrent callers share one load.
+  */
+  indexFor(roomId) {
+    if (!this.indexes.has(roomId)) {
+      const loading = this.load(roomId).catch((err) => {
+        this.indexes.delete(roomId); // retry next time
+        throw err;
+      });
+
+      this.indexes.set(roomId, loading);
+    }
+
+    return this.indexes.get(roomId);
+  }
+
+  /*
+    load(roomId)
+
+    Saved index → catch up on the rows newer than its
+    mark. None (or one saved before marks existed) →
+    build it from every row.
+  */
+  async load(roomId) {
+    const saved = await getSearchIndex(roomId);
+    const upTo = saved?.index ? saved.upTo : null;
+
+    const index = saved?.index
+      ? MiniSearch.loadJS(saved.index, INDEX_OPTIONS)
+      : new MiniSearch(INDEX_OPTIONS);
+
+    const missed = (await getRoomMessages(roomId)).filter(
+      (message) => !upTo || compareHLC(clockOf(message), upTo) > 0
+    );
+
+    if (upTo) this.marks.set(roomId, upTo);
+    missed.forEach((message) => this.apply(index, message));
+
+    if (!saved?.index || missed.length > 0) this.scheduleSave(roomId);
+    return index;
+  }
+
+  /*
+    upsert(message)
+
+    Add, replace (edit) or remove (delete / no text) one
+    message. Idempotent: the same message twice is a no-op
+    in effect.
+  */
+  async upsert(message) {
+    const index = await this.indexFor(message.roomId);
+
+    this.apply(index, message);
+    this.scheduleSave(message.roomId);
+  }
+
+  apply(index, message) {
+    const doc = toDocument(message);
+
+    if (index.has(message.id)) index.discard(message.id);
+    if (doc) index.add(doc);
+
+    const clock = clockOf(message);
+    const mark = this.marks.get(message.roomId);
+    if (!mark || compareHLC(clock, mark) > 0) this.marks.set(message.roomId, clock);
+  }
+
+  /*
+    search(roomId, query) → [{ id, score, terms, text, senderId, … }]
+    best match first
+  */
+  async search(roomId, query) {
+    if (!query.trim()) return [];
+
+    const index = await this.indexFor(roomId);
+    return index.search(query);
+  }
+
+  scheduleSave(roomId) {
+    clearTimeout(this.saveTimers.get(roomId));
+
+    this.saveTimers.set(
+      roomId,
+      setTimeout(async () => {
+        this.saveTimers.delete(roomId);
+
+        try {
+          const index = await this.indexFor(roomId);
+          await saveSearchIndex(roomId, {
+            index: index.toJSON(),
+            upTo: this.marks.get(roomId) ?? null,
+          });
+        } catch (err) {
+          console.error("Failed to persist search index:", err);
+        }
+      }, this.saveDelay)
+    );
+  }
+
+  /*
+    clear()
+
+    On lock: forget every in-memory index. Pending saves
+    are dropped too (storage is locked, they'd fail); the
+    saved copy is at most saveDelay behind, and the next
+    load re-indexes what it missed (see load()).
+  */
+  clear() {
+    this.saveTimers.forEach((timer) => clearTimeout(timer));
+    this.saveTimers.clear();
+    this.indexes.clear();
+    this.marks.clear();
+  }
+}
+
+/*
+  highlight(text, terms) → [{ text, match }] segments
+  for rendering hits (terms as returned by MiniSearch).
+*/
+export function highlight(text, terms) {
+  if (!terms.length) return [{ text, match: false }];
+
+  const lowered = new Set(terms.map((t) => t.toLowerCase()));
+  const escaped = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+
+  // A capturing split keeps the matched terms in the output
+  return text
+    .split(new RegExp(`(${escaped.join("|")})`, "i"))
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: lowered.has(part.toLowerCase()) }));
+}
+
+// 🧠 Interview Insight
+
+// “How do you search end-to-end encrypted messages?”
+
+// On the device. The client builds an inverted index from the
+// plaintext it already decrypted, updates it as messages arrive,
+// change or disappear, and stores it encrypted at rest like the
+// messages themselves (WhatsApp / Signal do exactly this).
@@ -0,0 +1,101 @@
+import { ChatSearch, highlight } from "./search";
+import * as db from "./db";
+
+// In-memory rows and saved indexes (plain functions: CRA's resetMocks)
+jest.mock("./db", () => {
+  const rows = [];
+  const saved = new Map();
+
+  return {
+    rows,
+    saved,
+    reset: () => {
+      rows.length = 0;
+      saved.clear();
+    },
+    getRoomMessages: async (roomId) => rows.filter((m) => m.roomId === roomId),
+    getSearchIndex: async (roomId) => saved.get(roomId),
+    saveSearchIndex: async (roomId, index) => {
+      saved.set(roomId, JSON.parse(JSON.stringify(index)));
+    },
+  };
+});
+
+const message = (id, wall, content) => ({
+  id,
+  roomId: "general",
+  senderId: "alice",
+  type: "text",
+  content,
+  hlc: { wall, logical: 0, node: "a" },
+});
+
+const ids = (hits) => hits.map((hit) => hit.id).sort();
+
+describe("ChatSearch", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  // Lets the debounced save run and settle
+  const save = async (search) => {
+    jest.runOnlyPendingTimers();
+    await search.indexFor("general");
+    await Promise.resolve();
+  };
+
+  it("builds the index from history on first use", async () => {
+    db.rows.push(message("m1", 1, "lunch at noon"), message("m2", 2, "ok"));
+
+    const search = new ChatSearch();
+
+    expect(ids(await search.search("general", "lunch"))).toEqual(["m1"]);
+  });
+
+  it("saves a high-water mark with the index", async () => {
+    db.rows.push(message("m1", 1, "lunch"));
+    const search = new ChatSearch();
+
+    await search.upsert(message("m2", 5, "dinner"));
+    await save(search);
+
+    expect(db.saved.get("general").upTo).toMatchObject({ wall: 5 });
+  });
+
+  it("re-indexes rows newer than the saved mark on load", async () => {
+    db.rows.push(message("m1", 1, "lunch"));
+    const first = new ChatSearch();
+    await first.search("general", "lunch");
+    await save(first);
+    expect(db.saved.has("general")).toBe(true);
+
+    // Stored after the index was saved (the tab closed before its save)
+    db.rows.push(message("m2", 2, "dinner"));
+
+    const next = new ChatSearch();
+    expect(ids(await next.search("general", "dinner"))).toEqual(["m2"]);
+    expect(ids(await next.search("general", "lunch"))).toEqual(["m1"]);
+  });
+
+  it("drops a deleted message", async () => {
+    const search = new ChatSearch();
+    await search.upsert(message("m1", 1, "secret plan"));
+
+    await search.upsert({ ...message("m1", 1, ""), deleted: true });
+
+    expect(await search.search("general", "secret")).toEqual([]);
+  });
+});
+
+describe("highlight", () => {
+  it("splits text into matched and unmatched parts", () => {
+    expect(highlight("Lunch at noon?", ["noon"])).toEqual([
+      { text: "Lunch at ", match: false },
+      { text: "noon", match: true },
+      { text: "?", match: false },
+    ]);
+  });
+});
@@ -0,0 +1,290 @@
+/*
+  TRANSPORT ADAPTERS
+  ==================
+
+  ChatChannel only knows how to:
+  - connect()
+  - send(frame)
+  - close()
+  - react to onopen / onmessage / onclose
+
+  Everything wire-specific lives here, behind that tiny interface.
+  That is what lets the same RealTimeChat UI run against:
+
+  - BroadcastChannel → browser tabs (demo mode, zero infra)
+  - WebSocket        → our local Node relay / production gateway
+  - SSE              → EventSource downstream + HTTP POST upstream
+
+  A "frame" is always a plain object: { id, type, payload }.
+  Serialization (JSON) is the transport's job, not the channel's.
+*/
+
+
+/* ============================================================
+   1️⃣ BroadcastChannel (tabs of the same origin)
+   ============================================================ */
+
+export class BroadcastChannelTransport {
+  constructor({ name = "advanced-chat" } = {}) {
+    /*
+      Channel name acts like a topic.
+      All tabs subscribed to this name receive messages.
+    */
+    this.name = name;
+    this.channel = null;
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  connect() {
+    /*
+      Created lazily (not in the constructor) so that importing
+      the module never touches browser-only globals.
+      Keeps tests and SSR happy.
+    */
+    this.channel = new BroadcastChannel(this.name);
+
+    /*
+      BroadcastChannel uses structured clone,
+      so no JSON parsing is needed here.
+    */
+    this.channel.onmessage = (event) => this.onmessage?.(event.data);
+
+    /*
+      There is no handshake: the "connection"
+      is open as soon as the channel exists.
+    */
+    this.onopen?.();
+  }
+
+  send(frame) {
+    if (!this.channel) return;
+
+    /*
+      Heartbeats never leave the tab: the in-browser bus
+      can't half-open, so it answers PING itself.
+    */
+    if (frame.type === "PING") {
+      setTimeout(() => {
+        this.onmessage?.({ type: "PONG", payload: frame.payload });
+      }, 0);
+      return;
+    }
+
+    /*
+      Subscriptions are enforced client-side here
+      (every tab hears everything), so JOIN/LEAVE
+      have nobody to inform. Same for the HELLO
+      handshake: there is no server to verify it.
+    */
+    if (["JOIN", "LEAVE", "HELLO"].includes(frame.type)) return;
+
+    this.channel.postMessage(frame);
+
+    /*
+      There is no server between tabs, so the bus itself
+      plays the server role: once postMessage returns,
+      the frame is accepted → acknowledge it locally.
+    */
+    if (frame.ack) {
+      setTimeout(() => {
+        this.onmessage?.({ type: "ACK", payload: { id: frame.id } });
+      }, 0);
+    }
+  }
+
+  close() {
+    this.channel?.close();
+    this.channel = null;
+    this.onclose?.({ wasClean: true });
+  }
+}
+
+
+/* ============================================================
+   2️⃣ WebSocket (full duplex, production default)
+   ============================================================ */
+
+export class WebSocketTransport {
+  constructor({ url = "ws://localhost:8787" } = {}) {
+    this.url = url;
+    this.socket = null;
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  connect() {
+    this.socket = new WebSocket(this.url);
+
+    this.socket.onopen = () => this.onopen?.();
+
+    this.socket.onmessage = (event) => {
+      try {
+        this.onmessage?.(JSON.parse(event.data));
+      } catch (err) {
+        console.error("Dropping malformed frame:", err);
+      }
+    };
+
+    /*
+      wasClean lets ChatChannel tell an intentional close()
+      apart from a network failure.
+    */
+    this.socket.onclose = (event) =>
+      this.onclose?.({ wasClean: event.wasClean });
+
+    this.socket.onerror = (err) => {
+      console.error("WebSocket transport error:", err);
+    };
+  }
+
+  send(frame) {
+    /*
+      Frames sent before OPEN would throw.
+      Drop them here; delivery guarantees belong to the channel.
+    */
+    if (this.socket?.readyState !== WebSocket.OPEN) return;
+
+    this.socket.send(JSON.stringify(frame));
+  }
+
+  close() {
+    if (!this.socket) return;
+
+    /*
+      Detach handlers first: the old socket's close event
+      fires asynchronously and must not be confused with
+      a socket opened by a later reconnect.
+    */
+    this.socket.onopen = null;
+    this.socket.onmessage = null;
+    this.socket.onclose = null;
+    this.socket.close(1000, "client closed");
+    this.socket = null;
+
+    this.onclose?.({ wasClean: true });
+  }
+}
+
+
+/* ============================================================
+   3️⃣ Server-Sent Events (downstream) + HTTP POST (upstream)
+   ============================================================ */
+
+export class SSETransport {
+  constructor({ url = "http://localhost:8787" } = {}) {
+    this.url = url;
+    this.source = null;
+
+    /*
+      SSE is one-way, so the server can't tell which HTTP POST
+      belongs to which EventSource. A random clientId ties them
+      together (and lets the relay skip echoing our own frames).
+    */
+    this.clientId = crypto.randomUUID();
+
+    /*
+      Upstream POSTs go out one at a time, in order.
+      Independent fetches can overtake each other, and the
+      relay rejects anything that arrives before our HELLO
+      (and ordering matters for every frame after it too).
+    */
+    this.upstream = Promise.resolve();
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  connect() {
+    this.source = new EventSource(
+      `${this.url}/events?clientId=${this.clientId}`
+    );
+
+    this.source.onopen = () => this.onopen?.();
+
+    this.source.onmessage = (event) => {
+      try {
+        this.onmessage?.(JSON.parse(event.data));
+      } catch (err) {
+        console.error("Dropping malformed frame:", err);
+      }
+    };
+
+    /*
+      EventSource retries on its own, but we want ChatChannel
+      to own reconnect policy for every transport uniformly.
+      So we close it and report an unclean close.
+    */
+    this.source.onerror = () => {
+      this.source?.close();
+      this.source = null;
+      this.onclose?.({ wasClean: false });
+    };
+  }
+
+  send(frame) {
+    const body = JSON.stringify(frame);
+
+    this.upstream = this.upstream
+      .then(() =>
+        fetch(`${this.url}/send?clientId=${this.clientId}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+        })
+      )
+      .catch((err) => {
+        console.error("SSE upstream POST failed:", err);
+      });
+  }
+
+  close() {
+    this.source?.close();
+    this.source = null;
+    this.onclose?.({ wasClean: true });
+  }
+}
+
+
+/* ============================================================
+   4️⃣ Factory
+   ============================================================ */
+
+/*
+  createTransport(kind, options)
+
+  kind → "broadcast" | "websocket" | "sse"
+
+  Keeps construction in one place so callers
+  (and env config) only deal with a string.
+*/
+export function createTransport(kind = "broadcast", options = {}) {
+  switch (kind) {
+    case "websocket":
+      return new WebSocketTransport(options);
+    case "sse":
+      return new SSETransport(options);
+    case "broadcast":
+      return new BroadcastChannelTransport(options);
+    default:
+      throw new Error(`Unknown chat transport: ${kind}`);
+  }
+}
+
+// 🧠 Interview Insight
+
+// Why an adapter per transport instead of if/else inside ChatChannel?
+
+// Open/closed principle: adding long polling or WebTransport
+// later means adding one class here. ChatChannel, React state
+// and every UI component stay untouched.
+
+// Why does SSE need a POST side-channel?
+
+// EventSource is server → client only.
+// Chat is bidirectional, so upstream goes over plain HTTP.
@@ -0,0 +1,250 @@
+import {
+  BroadcastChannelTransport,
+  SSETransport,
+  WebSocketTransport,
+  createTransport,
+} from "./transports";
+
+/*
+  Fakes for the browser globals each transport wraps.
+  Every instance is recorded so a test can reach "the
+  other end" of the wire.
+*/
+class FakeBroadcastChannel {
+  static instances = [];
+
+  constructor(name) {
+    this.name = name;
+    this.posted = [];
+    FakeBroadcastChannel.instances.push(this);
+  }
+
+  postMessage(data) {
+    this.posted.push(data);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+class FakeWebSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+}
+
+const realGlobals = {
+  BroadcastChannel: global.BroadcastChannel,
+  WebSocket: global.WebSocket,
+  fetch: global.fetch,
+  crypto: global.crypto,
+};
+
+beforeEach(() => {
+  FakeBroadcastChannel.instances = [];
+  FakeWebSocket.instances = [];
+  global.BroadcastChannel = FakeBroadcastChannel;
+  global.WebSocket = FakeWebSocket;
+  global.crypto = { randomUUID: () => "client-1" }; // SSE clientId
+});
+
+afterEach(() => {
+  global.BroadcastChannel = realGlobals.BroadcastChannel;
+  global.WebSocket = realGlobals.WebSocket;
+  global.fetch = realGlobals.fetch;
+  global.crypto = realGlobals.crypto;
+});
+
+// Lets pending setTimeout(0) callbacks and promise chains run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("BroadcastChannelTransport", () => {
+  it("opens on connect and hands incoming frames to onmessage", () => {
+    const transport = new BroadcastChannelTransport({ name: "room" });
+    const onopen = jest.fn();
+    const onmessage = jest.fn();
+    Object.assign(transport, { onopen, onmessage });
+
+    transport.connect();
+    const [channel] = FakeBroadcastChannel.instances;
+    channel.onmessage({ data: { id: "1", type: "NEW_MESSAGE" } });
+
+    expect(channel.name).toBe("room");
+    expect(onopen).toHaveBeenCalledTimes(1);
+    expect(onmessage).toHaveBeenCalledWith({ id: "1", type: "NEW_MESSAGE" });
+  });
+
+  it("answers PING with PONG itself, without posting it", async () => {
+    const transport = new BroadcastChannelTransport();
+    const onmessage = jest.fn();
+    transport.onmessage = onmessage;
+    transport.connect();
+
+    transport.send({ type: "PING", payload: { at: 42 } });
+    await settle();
+
+    expect(FakeBroadcastChannel.instances[0].posted).toEqual([]);
+    expect(onmessage).toHaveBeenCalledWith({ type: "PONG", payload: { at: 42 } });
+  });
+
+  it("posts frames and acknowledges the ones asking for it", async () => {
+    const transport = new BroadcastChannelTransport();
+    const onmessage = jest.fn();
+    transport.onmessage = onmessage;
+    transport.connect();
+
+    transport.send({ id: "m1", type: "NEW_MESSAGE", ack: true });
+    transport.send({ id: "t1", type: "TYPING" });
+    await settle();
+
+    expect(FakeBroadcastChannel.instances[0].posted.map((f) => f.id)).toEqual([
+      "m1",
+      "t1",
+    ]);
+    expect(onmessage).toHaveBeenCalledTimes(1);
+    expect(onmessage).toHaveBeenCalledWith({ type: "ACK", payload: { id: "m1" } });
+  });
+
+  it("keeps JOIN / LEAVE / HELLO to itself (no server to tell)", () => {
+    const transport = new BroadcastChannelTransport();
+    transport.connect();
+
+    ["JOIN", "LEAVE", "HELLO"].forEach((type) => transport.send({ type }));
+
+    expect(FakeBroadcastChannel.instances[0].posted).toEqual([]);
+  });
+
+  it("reports a clean close", () => {
+    const transport = new BroadcastChannelTransport();
+    const onclose = jest.fn();
+    transport.onclose = onclose;
+    transport.connect();
+
+    transport.close();
+
+    expect(FakeBroadcastChannel.instances[0].closed).toBe(true);
+    expect(onclose).toHaveBeenCalledWith({ wasClean: true });
+  });
+});
+
+describe("WebSocketTransport", () => {
+  it("drops frames until the socket is open, then sends JSON", () => {
+    const transport = new WebSocketTransport({ url: "ws://relay" });
+    transport.connect();
+    const [socket] = FakeWebSocket.instances;
+
+    transport.send({ id: "early" });
+    socket.readyState = FakeWebSocket.OPEN;
+    transport.send({ id: "late" });
+
+    expect(socket.url).toBe("ws://relay");
+    expect(socket.sent).toEqual([JSON.stringify({ id: "late" })]);
+  });
+
+  it("parses incoming frames and skips malformed ones", () => {
+    const transport = new WebSocketTransport();
+    const onmessage = jest.fn();
+    transport.onmessage = onmessage;
+    transport.connect();
+    const [socket] = FakeWebSocket.instances;
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    socket.onmessage({ data: "not json" });
+    socket.onmessage({ data: JSON.stringify({ type: "PONG" }) });
+
+    expect(onmessage).toHaveBeenCalledTimes(1);
+    expect(onmessage).toHaveBeenCalledWith({ type: "PONG" });
+    console.error.mockRestore();
+  });
+
+  it("passes wasClean through, and ignores the old socket after close()", () => {
+    const transport = new WebSocketTransport();
+    const onclose = jest.fn();
+    transport.onclose = onclose;
+    transport.connect();
+    const [socket] = FakeWebSocket.instances;
+
+    socket.onclose({ wasClean: false });
+    expect(onclose).toHaveBeenLastCalledWith({ wasClean: false });
+
+    transport.close();
+    expect(socket.onclose).toBeNull();
+    expect(onclose).toHaveBeenLastCalledWith({ wasClean: true });
+  });
+});
+
+describe("SSETransport", () => {
+  it("POSTs frames one at a time, in the order they were sent", async () => {
+    const started = [];
+    const responses = [];
+
+    // Each POST stays pending until the test resolves it
+    global.fetch = jest.fn((url, { body }) => {
+      started.push({ url, frame: JSON.parse(body) });
+      return new Promise((resolve) => responses.push(resolve));
+    });
+
+    const transport = new SSETransport({ url: "http://relay" });
+    transport.send({ type: "HELLO" });
+    transport.send({ type: "JOIN" });
+    await settle();
+
+    // JOIN waits for HELLO's response
+    expect(started.map((s) => s.frame.type)).toEqual(["HELLO"]);
+    expect(started[0].url).toBe("http://relay/send?clientId=client-1");
+
+    responses[0]({ ok: true });
+    await settle();
+
+    expect(started.map((s) => s.frame.type)).toEqual(["HELLO", "JOIN"]);
+  });
+
+  it("keeps going after a failed POST", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    global.fetch = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("offline"))
+      .mockResolvedValue({ ok: true });
+
+    const transport = new SSETransport();
+    transport.send({ type: "A" });
+    transport.send({ type: "B" });
+    await settle();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith(
+      "SSE upstream POST failed:",
+      expect.any(Error)
+    );
+    console.error.mockRestore();
+  });
+});
+
+describe("createTransport", () => {
+  it("builds the transport named by kind", () => {
+    expect(createTransport()).toBeInstanceOf(BroadcastChannelTransport);
+    expect(createTransport("websocket")).toBeInstanceOf(WebSocketTransport);
+    expect(createTransport("sse")).toBeInstanceOf(SSETransport);
+  });
+
+  it("throws on an unknown kind", () => {
+    expect(() => createTransport("carrier-pigeon")).toThrow(
+      "Unknown chat transport: carrier-pigeon"
+    );
+  });
+});
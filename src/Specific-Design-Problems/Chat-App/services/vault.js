@@ -0,0 +1,141 @@
+/*
+  VAULT (Encryption at Rest)
+  ==========================
+
+  E2E protects messages on the wire. Once decrypted they
+  were written to IndexedDB as plaintext, readable by anyone
+  with access to the browser profile (shared laptop, backup,
+  malware, devtools).
+
+  Now every record is sealed with a STORAGE key:
+
+    passphrase ──PBKDF2 (salt, 600k iterations)──► AES-GCM key
+
+  - The key only ever lives in memory (non-extractable).
+  - lock() drops it → disk is unreadable until the user
+    types the passphrase again.
+  - A "verifier" (a known string sealed with the key) lets
+    us tell a wrong passphrase apart from corrupted data.
+
+  This module owns the key and the crypto. Reading and
+  writing the sealed records is db.js's job.
+*/
+
+import { decryptMessage, encryptMessage } from "./encryption";
+
+/*
+  OWASP (2023) recommendation for PBKDF2-HMAC-SHA256.
+  Slow on purpose: every guess costs an attacker the same.
+*/
+const PBKDF2_ITERATIONS = 600000;
+
+const VERIFIER = "chat-vault-v1";
+
+let storageKey = null;
+
+/*
+  deriveStorageKey(passphrase, salt, iterations)
+*/
+export async function deriveStorageKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: new Uint8Array(salt),
+      iterations,
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false, // never leaves memory, never exported
+    ["encrypt", "decrypt"]
+  );
+}
+
+/*
+  createVault(passphrase) → meta record to persist
+
+  First run: random salt, derive, seal the verifier.
+  Leaves the vault unlocked.
+*/
+export async function createVault(passphrase) {
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveStorageKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  storageKey = key;
+
+  return {
+    key: "vault",
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    verifier: await encryptMessage(key, VERIFIER),
+  };
+}
+
+/*
+  openVault(passphrase, meta)
+
+  Throws "Wrong passphrase" if the verifier doesn't
+  decrypt (AES-GCM auth tag check fails).
+*/
+export async function openVault(passphrase, meta) {
+  const key = await deriveStorageKey(passphrase, meta.salt, meta.iterations);
+
+  try {
+    if ((await decryptMessage(key, meta.verifier)) !== VERIFIER) throw new Error();
+  } catch {
+    throw new Error("Wrong passphrase");
+  }
+
+  storageKey = key;
+}
+
+/*
+  lock()
+
+  Forget the key. CryptoKey objects can't be zeroed,
+  but once unreferenced nothing can use it.
+*/
+export function lock() {
+  storageKey = null;
+}
+
+export function isUnlocked() {
+  return storageKey !== null;
+}
+
+function requireKey() {
+  if (!storageKey) throw new Error("Storage is locked");
+  return storageKey;
+}
+
+/*
+  seal(value) → { iv, data }
+  unseal(sealed) → value
+
+  Any JSON-serialisable value.
+*/
+export async function seal(value) {
+  return encryptMessage(requireKey(), JSON.stringify(value));
+}
+
+export async function unseal(sealed) {
+  return JSON.parse(await decryptMessage(requireKey(), sealed));
+}
+
+// 🧠 Interview Insight
+
+// “Your messages are E2E encrypted. Why encrypt the cache too?”
+
+// E2E covers the network and the server. The device is the
+// other half of the threat model: a stolen laptop or a synced
+// browser profile shouldn't hand over chat history. Deriving
+// the key from a passphrase (PBKDF2 / Argon2 in native apps)
+// means there is nothing on disk to steal the key FROM.
@@ -0,0 +1,326 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { colorForUser } from "./versions";
+
+// The column to the right of the page: comment threads and suggestions,
+// each card level with the text it's about (like Google Docs).
+//
+// Also draws the yellow highlight over commented text. That can't be a Quill
+// format: formats are document content and would sync to everyone and
+// land in the version history. So it's an overlay, measured from the DOM.
+
+const CARD_GAP = 8; // px between stacked cards
+
+// Screen rectangles covering text[index, index + length), one per visual
+// line. Built from a DOM Range over Quill's leaf nodes, so wrapped lines
+// highlight exactly the characters, not a bounding box.
+const rangeRects = (quill, index, length) => {
+  const [startLeaf, startOffset] = quill.getLeaf(index);
+  const [endLeaf, endOffset] = quill.getLeaf(index + length);
+  if (!startLeaf || !endLeaf) return [];
+
+  const range = document.createRange();
+  range.setStart(...startLeaf.position(startOffset, true));
+  range.setEnd(...endLeaf.position(endOffset, true));
+  return Array.from(range.getClientRects?.() ?? []);
+};
+
+const formatTime = (time) =>
+  new Date(time).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// One thread: quote, messages, reply box (when active), resolve/reopen
+const CommentCard = ({ thread, active, onReply, onResolve }) => {
+  const [reply, setReply] = useState("");
+
+  const submitReply = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    onReply(thread.id, reply.trim());
+    setReply("");
+  };
+
+  return (
+    <>
+      <div className="comment-card-header">
+        <span
+          className="history-dot"
+          style={{ backgroundColor: thread.color }}
+        />
+        <strong>{thread.author}</strong>
+        <small>{formatTime(thread.createdAt)}</small>
+        <button
+          className="comment-resolve"
+          onClick={(e) => {
+            e.stopPropagation(); // Don't activate the card
+            onResolve(thread.id, !thread.resolved);
+          }}
+          title={thread.resolved ? "Reopen" : "Resolve"}
+        >
+          {thread.resolved ? "↺" : "✓"}
+        </button>
+      </div>
+
+      {thread.detached && (
+        <div className="comment-detached">
+          The text was deleted: “{thread.quote}”
+        </div>
+      )}
+
+      {thread.messages.map((message, i) => (
+        <div key={message.id} className="comment-message">
+          {/* The first message is the comment itself, the rest are replies */}
+          {i > 0 && <strong>{message.author} </strong>}
+          {message.text}
+        </div>
+      ))}
+
+      {active && !thread.resolved && (
+        <form className="comment-form" onSubmit={submitReply}>
+          <input
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            onClick={(e) => e.stopPropagation()}
+            placeholder="Reply…"
+          />
+          <button type="submit" disabled={!reply.trim()}>
+            Reply
+          </button>
+        </form>
+      )}
+    </>
+  );
+};
+
+// A pending suggestion: what it does, and accept / reject for the owner
+const SuggestionCard = ({ suggestion, canAccept, canReject, onReview }) => (
+  <>
+    <div className="comment-card-header">
+      <span
+        className="history-dot"
+        style={{ backgroundColor: colorForUser(suggestion.author) }}
+      />
+      <strong>{suggestion.author}</strong>
+    </div>
+    <div className="comment-message">
+      {suggestion.type === "insert" ? "Add" : "Delete"}:{" "}
+      <span className={`suggestion-text suggestion-${suggestion.type}`}>
+        {suggestion.text.length > 60
+          ? `${suggestion.text.slice(0, 59)}…`
+          : suggestion.text}
+      </span>
+    </div>
+    {(canAccept || canReject) && (
+      <div className="suggestion-actions">
+        {canAccept && (
+          <button onClick={() => onReview(suggestion, true)} title="Accept">
+            ✓ Accept
+          </button>
+        )}
+        {canReject && (
+          <button onClick={() => onReview(suggestion, false)} title="Reject">
+            ✕ Reject
+          </button>
+        )}
+      </div>
+    )}
+  </>
+);
+
+// The "new comment" box, shown where the selection was
+const DraftCard = ({ onSubmit, onCancel }) => {
+  const [text, setText] = useState("");
+
+  return (
+    <form
+      className="comment-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (text.trim()) onSubmit(text.trim());
+      }}
+    >
+      <input
+        autoFocus
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => e.key === "Escape" && onCancel()}
+        placeholder="Add a comment…"
+      />
+      <button type="submit" disabled={!text.trim()}>
+        Comment
+      </button>
+      <button type="button" onClick={onCancel}>
+        Cancel
+      </button>
+    </form>
+  );
+};
+
+const CommentsMargin = ({
+  quill, // The live Quill instance (for positions), or null while loading
+  threads, // listComments()
+  suggestions, // listSuggestions()
+  draft, // { index, length } of a comment being written, or null
+  username,
+  isOwner, // Owners accept/reject; authors can only withdraw (reject) their own
+  onCreateComment, // (text) → add the draft as a thread
+  onCancelDraft,
+  onReply, // (threadId, text)
+  onResolve, // (threadId, resolved)
+  onReviewSuggestion, // (suggestion, accept)
+}) => {
+  const [activeId, setActiveId] = useState(null);
+  const [showResolved, setShowResolved] = useState(false);
+  const [highlights, setHighlights] = useState([]);
+  const [layoutTick, setLayoutTick] = useState(0); // Bumped on window resize
+
+  const layerRef = useRef(null); // Highlight layer, covers the page row
+  const cardsRef = useRef(null); // Positioned container of the cards
+  const cardRefs = useRef(new Map()); // card id → DOM node
+
+  const resolvedCount = threads.filter((t) => t.resolved).length;
+
+  // Everything in the margin, in document order
+  const cards = [
+    ...threads
+      .filter((thread) => showResolved || !thread.resolved)
+      .map((thread) => ({ id: thread.id, index: thread.index, thread })),
+    ...suggestions.map((s) => ({ id: s.id, index: s.index, suggestion: s })),
+    ...(draft ? [{ id: "draft", index: draft.index, draft }] : []),
+  ].sort((a, b) => a.index - b.index);
+
+  useEffect(() => {
+    const onResize = () => setLayoutTick((tick) => tick + 1);
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  // Highlights over commented text. Re-measured when the threads move
+  // (any edit produces a new 'threads' list) or the window resizes.
+  useLayoutEffect(() => {
+    if (!quill || !layerRef.current) return;
+    const origin = layerRef.current.getBoundingClientRect();
+
+    setHighlights(
+      threads
+        .filter((thread) => !thread.resolved && thread.length > 0)
+        .flatMap((thread) =>
+          rangeRects(quill, thread.index, thread.length).map((rect, i) => ({
+            key: `${thread.id}-${i}`,
+            threadId: thread.id,
+            top: rect.top - origin.top,
+            left: rect.left - origin.left,
+            width: rect.width,
+            height: rect.height,
+          }))
+        )
+    );
+  }, [quill, threads, layoutTick]);
+
+  // Stack the cards: each one level with its text, pushed down if the card
+  // above is in the way. Needs real card heights, so it runs after every
+  // render and writes 'top' straight to the DOM (no extra render).
+  useLayoutEffect(() => {
+    if (!quill || !cardsRef.current) return;
+    // Bounds are relative to the page; the cards start lower if the
+    // "Show resolved" toggle is above them
+    const offset = cardsRef.current.offsetTop;
+    const lastIndex = Math.max(0, quill.getLength() - 1);
+    let bottom = 0;
+
+    cards.forEach((card) => {
+      const node = cardRefs.current.get(card.id);
+      if (!node) return;
+
+      const bounds = quill.getBounds(Math.min(card.index, lastIndex));
+      const wanted = (bounds?.top ?? 0) - offset;
+      const top = Math.max(wanted, bottom);
+      node.style.top = `${top}px`;
+      bottom = top + node.offsetHeight + CARD_GAP;
+    });
+  });
+
+  const selectThread = (thread) => {
+    setActiveId(thread.id);
+    // Show the commented text too (selecting it scrolls it into view)
+    if (quill && thread.length > 0) {
+      quill.setSelection(thread.index, thread.length, "api");
+    }
+  };
+
+  return (
+    <>
+      <div className="comment-highlights" ref={layerRef}>
+        {highlights.map((h) => (
+          <div
+            key={h.key}
+            className={`comment-highlight ${
+              h.threadId === activeId ? "active" : ""
+            }`}
+            style={{ top: h.top, left: h.left, width: h.width, height: h.height }}
+          />
+        ))}
+      </div>
+
+      <aside className="comments-margin">
+        {resolvedCount > 0 && (
+          <label className="comments-show-resolved">
+            <input
+              type="checkbox"
+              checked={showResolved}
+              onChange={(e) => setShowResolved(e.target.checked)}
+            />
+            Show resolved ({resolvedCount})
+          </label>
+        )}
+
+        <div className="comment-cards" ref={cardsRef}>
+          {cards.map((card) => (
+            <div
+              key={card.id}
+              ref={(node) =>
+                node
+                  ? cardRefs.current.set(card.id, node)
+                  : cardRefs.current.delete(card.id)
+              }
+              className={[
+                "comment-card",
+                card.suggestion && "suggestion-card",
+                card.thread?.resolved && "resolved",
+                card.id === activeId && "active",
+              ]
+                .filter(Boolean)
+                .join(" ")}
+              onClick={() => card.thread && selectThread(card.thread)}
+            >
+              {card.thread && (
+                <CommentCard
+                  thread={card.thread}
+                  active={card.id === activeId}
+                  onReply={onReply}
+                  onResolve={onResolve}
+                />
+              )}
+              {card.suggestion && (
+                <SuggestionCard
+                  suggestion={card.suggestion}
+                  canAccept={isOwner}
+                  canReject={isOwner || card.suggestion.author === username}
+                  onReview={onReviewSuggestion}
+                />
+              )}
+              {card.draft && (
+                <DraftCard onSubmit={onCreateComment} onCancel={onCancelDraft} />
+              )}
+            </div>
+          ))}
+        </div>
+      </aside>
+    </>
+  );
+};
+
+export default CommentsMargin;
@@ -0,0 +1,44 @@
+import React, { useEffect } from "react";
+import Editor from "./Editor";
+import DocumentBrowser from "./DocumentBrowser";
+import { matchPath, navigate, usePath } from "./router";
+import { markOpened, recordMeta } from "./docStore";
+
+// The whole "Google Docs" app:
+//
+//   /             → DocumentBrowser (list, create, rename, duplicate, delete)
+//   /doc/:docId   → Editor for that document (shareable URL)
+//   anything else → DocumentBrowser
+//
+// serverUrl: the y-websocket server. `npm run docs:sync` starts a local one
+// on ws://localhost:1234 (see server/sync.js).
+const DocsApp = ({
+  username = "Guest",
+  serverUrl = process.env.REACT_APP_DOCS_SYNC_URL || "ws://localhost:1234",
+}) => {
+  const path = usePath();
+  const docId = matchPath("/doc/:docId", path)?.docId;
+
+  // Opening a document (from the list OR a shared link) puts it in "Recent"
+  useEffect(() => {
+    if (docId) markOpened(docId);
+  }, [docId]);
+
+  if (!docId) {
+    return <DocumentBrowser username={username} serverUrl={serverUrl} />;
+  }
+
+  return (
+    // key → a fresh Editor (and Y.Doc) per document, not a reused one
+    <Editor
+      key={docId}
+      docId={docId}
+      username={username}
+      serverUrl={serverUrl}
+      onMetaChange={(meta) => recordMeta(docId, meta)}
+      onHome={() => navigate("/")}
+    />
+  );
+};
+
+export default DocsApp;
@@ -0,0 +1,216 @@
+import React, { useEffect, useState } from "react";
+import "./DocumentBrowser.css";
+import { Link, navigate } from "./router";
+import { listDocuments, recentDocuments, subscribe } from "./docStore";
+import {
+  createDocument,
+  deleteDocument,
+  duplicateDocument,
+  renameDocument,
+} from "./documentActions";
+
+// "Oct 18, 3:45 PM" (null → never)
+const formatTime = (ms) =>
+  ms
+    ? new Date(ms).toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "—";
+
+const docPath = (id) => `/doc/${encodeURIComponent(id)}`;
+
+// The home page ("/"): recently opened documents + every document known to
+// this browser. The list comes from docStore (localStorage), so it renders
+// without opening a single Y.Doc; the actions in documentActions.js keep
+// both in step.
+const DocumentBrowser = ({ username, serverUrl }) => {
+  const [docs, setDocs] = useState(listDocuments);
+  const [recent, setRecent] = useState(recentDocuments);
+  const [renamingId, setRenamingId] = useState(null); // Row in "rename" mode
+  const [renameValue, setRenameValue] = useState("");
+  const [confirmingId, setConfirmingId] = useState(null); // "Delete?" row
+  const [busyId, setBusyId] = useState(null); // Row with an action running
+  const [error, setError] = useState(null);
+
+  // Re-read the list on every change (this tab, another tab, the Editor)
+  useEffect(
+    () =>
+      subscribe(() => {
+        setDocs(listDocuments());
+        setRecent(recentDocuments());
+      }),
+    []
+  );
+
+  // Runs one action at a time; failures end up in the error banner
+  const run = async (id, action) => {
+    setBusyId(id);
+    setError(null);
+
+    try {
+      return await action();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreate = () => navigate(docPath(createDocument()));
+
+  const startRename = (doc) => {
+    setConfirmingId(null);
+    setRenamingId(doc.id);
+    setRenameValue(doc.title);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    const id = renamingId;
+    setRenamingId(null);
+    run(id, () => renameDocument(id, renameValue, { serverUrl, username }));
+  };
+
+  const handleDuplicate = (doc) =>
+    run(doc.id, () => duplicateDocument(doc.id, { serverUrl, username }));
+
+  const handleDelete = (doc) => {
+    setConfirmingId(null);
+    run(doc.id, () => deleteDocument(doc.id));
+  };
+
+  return (
+    <div className="doc-browser">
+      <header className="browser-header">
+        <h1>
+          <span className="doc-icon">📝</span> Docs
+        </h1>
+        <button
+          className="browser-new"
+          onClick={handleCreate}
+          disabled={busyId !== null}
+        >
+          + New document
+        </button>
+      </header>
+
+      <main className="browser-main">
+        {error && (
+          <div className="browser-error" role="alert">
+            {error}
+            <button onClick={() => setError(null)} title="Dismiss">
+              ✕
+            </button>
+          </div>
+        )}
+
+        {recent.length > 0 && (
+          <section>
+            <h2>Recent</h2>
+            <div className="recent-grid">
+              {recent.map((doc) => (
+                <Link key={doc.id} to={docPath(doc.id)} className="recent-card">
+                  <strong>{doc.title}</strong>
+                  <small>Opened {formatTime(doc.lastOpenedAt)}</small>
+                </Link>
+              ))}
+            </div>
+          </section>
+        )}
+
+        <section>
+          <h2>All documents</h2>
+
+          {docs.length === 0 ? (
+            <p className="browser-empty">
+              No documents yet. Create one to get started.
+            </p>
+          ) : (
+            <ul className="doc-list">
+              {docs.map((doc) => (
+                <li
+                  key={doc.id}
+                  className={`doc-row ${busyId === doc.id ? "busy" : ""}`}
+                >
+                  {renamingId === doc.id ? (
+                    <form className="doc-rename" onSubmit={handleRename}>
+                      <input
+                        value={renameValue}
+                        onChange={(e) => setRenameValue(e.target.value)}
+                        aria-label="New title"
+                        autoFocus
+                      />
+                      <button type="submit">Save</button>
+                      <button type="button" onClick={() => setRenamingId(null)}>
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <Link to={docPath(doc.id)} className="doc-row-title">
+                      {doc.title}
+                    </Link>
+                  )}
+
+                  <span className="doc-row-tags">
+                    {doc.tags.map((tag) => (
+                      <span key={tag} className="doc-tag">
+                        {tag}
+                      </span>
+                    ))}
+                  </span>
+
+                  <small className="doc-row-edited">
+                    {doc.lastEditedBy && `${doc.lastEditedBy} · `}
+                    {formatTime(doc.updatedAt ?? doc.createdAt)}
+                  </small>
+
+                  {/* Inline confirmation instead of window.confirm */}
+                  {confirmingId === doc.id ? (
+                    <span className="doc-row-actions">
+                      Delete from this browser?
+                      <button
+                        className="danger"
+                        onClick={() => handleDelete(doc)}
+                      >
+                        Delete
+                      </button>
+                      <button onClick={() => setConfirmingId(null)}>
+                        Keep
+                      </button>
+                    </span>
+                  ) : (
+                    <span className="doc-row-actions">
+                      <button
+                        onClick={() => startRename(doc)}
+                        disabled={busyId !== null}
+                      >
+                        Rename
+                      </button>
+                      <button
+                        onClick={() => handleDuplicate(doc)}
+                        disabled={busyId !== null}
+                      >
+                        Duplicate
+                      </button>
+                      <button
+                        onClick={() => setConfirmingId(doc.id)}
+                        disabled={busyId !== null}
+                      >
+                        Delete
+                      </button>
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default DocumentBrowser;
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import Quill from "quill";
 import "quill/dist/quill.snow.css"; // Import Quill's default styling
 import "./Editor.css"; // Our custom "Google Docs" styling
@@ -6,27 +6,127 @@ import "./Editor.css"; // Our custom "Google Docs" styling
 // Yjs Imports
 import * as Y from "yjs"; // The CRDT library (shared data logic)
 import { WebsocketProvider } from "y-websocket"; // Networking via WebSockets
+import { IndexeddbPersistence } from "y-indexeddb"; // Offline copy in the browser
 import { QuillBinding } from "y-quill"; // Connects Yjs to Quill
 import QuillCursors from "quill-cursors"; // Handles showing other users' cursors
 
+// Version history (snapshots, diff, restore)
+import VersionHistory from "./VersionHistory";
+import VersionDiff from "./VersionDiff";
+import {
+  AUTO_VERSION_INTERVAL,
+  captureVersion,
+  diffVersion,
+  listVersions,
+  needsAutoVersion,
+  observeVersions,
+  restoreVersion,
+} from "./versions";
+
+// Review tools (comments in the margin, suggesting mode)
+import CommentsMargin from "./CommentsMargin";
+import {
+  addComment,
+  listComments,
+  observeComments,
+  replyToComment,
+  setCommentResolved,
+} from "./comments";
+import {
+  listSuggestions,
+  registerSuggestionFormats,
+  resolveSuggestion,
+  trackChanges,
+} from "./suggestions";
+
+// Shared title & metadata (see meta.js)
+import {
+  DEFAULT_TITLE,
+  addTag,
+  claimOwnership,
+  describeLastEdit,
+  observeMeta,
+  readMeta,
+  removeTag,
+  setTitle,
+  touchMeta,
+} from "./meta";
+import { LOCAL_LOAD_TIMEOUT } from "./documentActions";
+
 // 1. Register the Cursors module.
 // Quill is modular. By default, it doesn't know how to draw other people's cursors.
 // We have to tell it to use the 'quill-cursors' library.
 Quill.register("modules/cursors", QuillCursors);
 
+// 2. Register the suggestion formats (suggest-insert / suggest-delete).
+// Same idea: Quill only keeps formats it knows about.
+registerSuggestionFormats();
+
 // Helper to assign a random color to each user for their cursor/avatar
 const getRandomColor = () => {
   const colors = ["#d75949", "#9f6bb0", "#e3b052", "#4b9c75", "#5c81cc"];
   return colors[Math.floor(Math.random() * colors.length)];
 };
 
-const Editor = ({ docId = "my-document", username = "Guest" }) => {
+// Where our latest edits live, shown in the header.
+// "Saved locally"     = safe on this device (survives a refresh), not on the server yet.
+// "Not saved locally" = no IndexedDB: edits live in this tab until the server has them.
+// "Synced"            = the server has everything we have.
+const SAVE_STATUS = {
+  loading: { label: "Loading…", hint: "Opening the copy stored on this device" },
+  local: {
+    label: "Saved locally",
+    hint: "Changes are kept on this device and will sync when you're back online",
+  },
+  unsaved: {
+    label: "Not saved locally",
+    hint: "This browser can't store the document; changes are lost if you close the tab before it syncs",
+  },
+  synced: { label: "Synced", hint: "All changes are saved to the server" },
+};
+
+// onMetaChange(meta) → called with readMeta() whenever the title, tags…
+// change (here or in another tab), so a host can keep a document list fresh.
+// serverUrl → the y-websocket server (see server/sync.js for a local one).
+// onHome → if given, the document icon becomes a "back to all documents" button.
+const Editor = ({
+  docId = "my-document",
+  username = "Guest",
+  serverUrl = "ws://localhost:1234",
+  onMetaChange,
+  onHome,
+}) => {
   // useRef allows us to access the actual DOM element <div> where Quill will attach
   const editorRef = useRef(null);
   
   // State management for UI updates
-  const [status, setStatus] = useState("Connecting..."); // Connection status
+  const [saveStatus, setSaveStatus] = useState("loading"); // Key of SAVE_STATUS
   const [users, setUsers] = useState([]); // List of active users (Presence)
+  const [versions, setVersions] = useState([]); // Saved versions, newest first
+  const [historyOpen, setHistoryOpen] = useState(false); // Sidebar visible?
+  const [selectedVersionId, setSelectedVersionId] = useState(null); // Shown in the diff view
+  const [quill, setQuill] = useState(null); // The Quill instance, once created
+  const [threads, setThreads] = useState([]); // Comment threads (see comments.js)
+  const [suggestions, setSuggestions] = useState([]); // Pending suggestions
+  const [draft, setDraft] = useState(null); // { index, length } of a new comment
+  const [suggesting, setSuggesting] = useState(false); // "Suggesting" vs "Editing" mode
+  const [meta, setMeta] = useState(null); // Title, owner, tags… (see meta.js)
+  const [tagInput, setTagInput] = useState(""); // The "+ tag" box
+  const [titleDraft, setTitleDraft] = useState(null); // Title being typed (null → not editing)
+
+  // The Y.Doc lives inside the effect below; the history handlers
+  // (save / diff / restore) reach it through this ref.
+  const docRef = useRef(null);
+
+  // Read by Quill event handlers, which are set up once per document
+  const suggestingRef = useRef(false);
+  suggestingRef.current = suggesting;
+  const lastRangeRef = useRef(null); // Last selection (clicking a button clears it)
+
+  // Latest callback without re-running the effect (a new function every
+  // render of the host would otherwise reconnect the whole document)
+  const onMetaChangeRef = useRef(onMetaChange);
+  onMetaChangeRef.current = onMetaChange;
 
   // useEffect runs once when the component mounts (or when docId/username changes).
   // This is where we set up the collaboration engine.
@@ -35,26 +135,78 @@ const Editor = ({ docId = "my-document", username = "Guest" }) => {
     // STEP 1: Initialize the Shared Document (The "Brain")
     // ------------------------------------------------------------------
     // A Y.Doc is the core data structure. It holds all the shared content.
-    const ydoc = new Y.Doc();
+    //
+    // gc: false → deleted text is kept (as tombstones) instead of being
+    // garbage-collected. Version history needs it: a snapshot only says
+    // WHICH edits existed, so the deleted ones must still be around to
+    // rebuild an old version or show what was removed.
+    const ydoc = new Y.Doc({ gc: false });
+
+    // ------------------------------------------------------------------
+    // STEP 2: Persist Locally (The "Hard Drive")
+    // ------------------------------------------------------------------
+    // Every Yjs update is also written to IndexedDB (one database per docId).
+    // On the next mount the stored updates are replayed into 'ydoc', so a
+    // refresh while offline shows the document instead of an empty page.
+    const persistence = new IndexeddbPersistence(docId, ydoc);
 
     // ------------------------------------------------------------------
-    // STEP 2: Connect to the WebSocket Server (The "Network")
+    // STEP 3: Connect to the WebSocket Server (The "Network")
     // ------------------------------------------------------------------
-    // This connects our local 'ydoc' to the server at 'ws://localhost:1234'.
+    // This connects our local 'ydoc' to the server at 'serverUrl'
+    // (ws://localhost:1234 by default: `npm run docs:sync`).
     // 'docId' acts as the room name. Everyone with the same docId sees the same data.
+    //
+    // connect: false → we open the socket ourselves, AFTER the local copy is
+    // loaded. The sync handshake then sends the server our full state vector,
+    // so only the missing updates travel (both ways), instead of the whole doc.
     const wsProvider = new WebsocketProvider(
-      "ws://localhost:1234",
+      serverUrl,
       docId,
-      ydoc
+      ydoc,
+      { connect: false }
     );
 
-    // Listen for connection events to update the UI (Online/Offline)
-    wsProvider.on("status", (event) => {
-      setStatus(event.status === "connected" ? "Saved" : "Offline");
+    let localLoaded = false; // Done waiting for IndexedDB (loaded or gave up)
+    let localStored = false; // IndexedDB actually works
+    let unmounted = false;
+
+    // "Synced" needs a live socket AND a finished sync handshake.
+    // Anything else (offline, reconnecting, mid-sync) → our edits only
+    // exist in IndexedDB for now, or nowhere else if it isn't available.
+    const updateSaveStatus = () => {
+      if (!localLoaded) setSaveStatus("loading");
+      else if (wsProvider.wsconnected && wsProvider.synced) setSaveStatus("synced");
+      else setSaveStatus(localStored ? "local" : "unsaved");
+    };
+
+    // Resolves once the local copy is loaded, or after LOCAL_LOAD_TIMEOUT
+    // without it: the server still has the document, so don't stay on
+    // "Loading…" forever. A late load still merges in (and fixes the status).
+    const localReady = new Promise((resolve) => {
+      const timer = setTimeout(resolve, LOCAL_LOAD_TIMEOUT);
+
+      persistence.whenSynced.then(() => {
+        clearTimeout(timer);
+        localStored = true;
+        if (localLoaded && !unmounted) updateSaveStatus(); // Came in late
+        resolve();
+      });
+    });
+
+    localReady.then(() => {
+      if (unmounted) return; // Left the page while IndexedDB was loading
+      localLoaded = true;
+      updateSaveStatus();
+      wsProvider.connect();
     });
 
+    // Listen for connection / sync events to update the UI
+    wsProvider.on("status", updateSaveStatus);
+    wsProvider.on("sync", updateSaveStatus);
+
     // ------------------------------------------------------------------
-    // STEP 3: Handle "Awareness" (Presence)
+    // STEP 4: Handle "Awareness" (Presence)
     // ------------------------------------------------------------------
     // Awareness is ephemeral data (data that doesn't need to be saved permanently).
     // Examples: Cursor position, user name, user color.
@@ -78,7 +230,37 @@ const Editor = ({ docId = "my-document", username = "Guest" }) => {
     });
 
     // ------------------------------------------------------------------
-    // STEP 4: Initialize Quill (The "Editor")
+    // STEP 5: Version History (The "Time Machine")
+    // ------------------------------------------------------------------
+    // PermanentUserData remembers which client ids (and which deletions)
+    // belong to which user name, inside the doc itself. Awareness is gone
+    // when people leave; this is how a diff can still say "deleted by Ana".
+    const permanentUserData = new Y.PermanentUserData(ydoc);
+    permanentUserData.setUserMapping(ydoc, ydoc.clientID, username);
+
+    docRef.current = { ydoc, permanentUserData, author: username, color };
+
+    // Re-render the sidebar whenever anyone saves a version
+    const refreshVersions = () => setVersions(listVersions(ydoc));
+    const stopObservingVersions = observeVersions(ydoc, refreshVersions);
+    refreshVersions();
+
+    // Automatic versions: every few minutes, if the text changed.
+    // Only ONE client takes them (the lowest client id online), otherwise
+    // five open tabs would save five copies of the same version.
+    const autoVersionTimer = setInterval(() => {
+      // Don't snapshot an empty doc mid-load (or, without IndexedDB, pre-sync)
+      if (!localLoaded || !(localStored || wsProvider.synced)) return;
+      const lowestClientId = Math.min(...awareness.getStates().keys());
+      if (lowestClientId !== ydoc.clientID) return;
+
+      if (needsAutoVersion(ydoc)) {
+        captureVersion(ydoc, { author: username, color });
+      }
+    }, AUTO_VERSION_INTERVAL);
+
+    // ------------------------------------------------------------------
+    // STEP 6: Initialize Quill (The "Editor")
     // ------------------------------------------------------------------
     // We get the shared text type from Yjs. Think of this as a collaborative String.
     const ytext = ydoc.getText("quill");
@@ -95,25 +277,204 @@ const Editor = ({ docId = "my-document", username = "Guest" }) => {
       },
       placeholder: "Type something amazing...",
     });
+    setQuill(quill);
 
     // ------------------------------------------------------------------
-    // STEP 5: Bind them together (The "Glue")
+    // STEP 7: Bind them together (The "Glue")
     // ------------------------------------------------------------------
     // This is the magic line. It syncs the 'ytext' (data) with 'quill' (UI).
     // It also passes 'awareness' so Quill knows where to draw the cursors.
     const binding = new QuillBinding(ytext, quill, awareness);
 
     // ------------------------------------------------------------------
-    // STEP 6: Cleanup (Very Important in React)
+    // STEP 8: Comments & Suggestions (The "Review Layer")
+    // ------------------------------------------------------------------
+    // Comment threads live in their own Y.Map (see comments.js), anchored to
+    // the text with relative positions. Their screen positions change with
+    // every edit, so we re-read them on every text change too.
+    const refreshAnnotations = () => {
+      setThreads(listComments(ydoc));
+      setSuggestions(listSuggestions(quill));
+    };
+    const stopObservingComments = observeComments(ydoc, refreshAnnotations);
+    quill.on("text-change", refreshAnnotations); // Local AND remote edits
+    refreshAnnotations();
+
+    // Suggesting mode: let Quill apply MY edit, then immediately turn it
+    // into a suggestion (mark inserted text, put deleted text back, marked).
+    // Only "user" changes: remote edits and our own corrections come in
+    // as "api" and must be left alone.
+    const trackSuggestion = (delta, oldContents, source) => {
+      if (source !== "user" || !suggestingRef.current) return;
+
+      const correction = trackChanges(delta, oldContents, username);
+      if (correction.ops.length > 0) quill.updateContents(correction, "api");
+    };
+    quill.on("text-change", trackSuggestion);
+
+    // Remember the selection: "Add comment" is a button, and clicking it
+    // takes the focus (and the live selection) away from the editor.
+    const rememberSelection = (range) => {
+      if (range) lastRangeRef.current = range;
+    };
+    quill.on("selection-change", rememberSelection);
+
+    // ------------------------------------------------------------------
+    // STEP 9: Title & Metadata (The "Cover Page")
+    // ------------------------------------------------------------------
+    // Title, owner, created / last-edited and tags live in the "meta" Y.Map
+    // (see meta.js): a rename in one tab shows up live in every other one.
+    //
+    // The host hears about changes through onMetaChange, but only once the
+    // stored copy is loaded (or, without IndexedDB, the server's). Before
+    // that every document looks like an empty "Untitled Document", and a
+    // document list would save that.
+    const reportMeta = () => {
+      const current = readMeta(ydoc);
+      setMeta(current);
+      if (localLoaded && (localStored || wsProvider.synced)) {
+        onMetaChangeRef.current?.(current);
+      }
+    };
+    const stopObservingMeta = observeMeta(ydoc, reportMeta);
+    reportMeta();
+
+    // Runs after the STEP 3 handler (same promise), so localLoaded is true
+    localReady.then(() => {
+      if (!unmounted) reportMeta();
+    });
+
+    // MY edits to the text → "Last edit by <me>". transaction.local skips
+    // remote updates and the IndexedDB load (nobody edited anything).
+    const recordEdit = (event, transaction) => {
+      if (transaction.local) touchMeta(ydoc, username);
+    };
+    ytext.observe(recordEdit);
+
+    // The owner reviews suggestions. Claimed by the first person to open the
+    // document, but only once synced with the server: a fresh offline copy
+    // mustn't claim a document that already has an owner elsewhere.
+    wsProvider.on("sync", (isSynced) => {
+      if (!isSynced) return;
+      claimOwnership(ydoc, username);
+      reportMeta(); // Without IndexedDB, the first moment it's trustworthy
+    });
+
+    // ------------------------------------------------------------------
+    // STEP 10: Cleanup (Very Important in React)
     // ------------------------------------------------------------------
     // When the component unmounts (user leaves page), we must close connections.
     // If we don't do this, we get memory leaks and "ghost" users.
     return () => {
+      unmounted = true;
+      clearInterval(autoVersionTimer); // No more automatic versions
+      stopObservingVersions();
+      stopObservingComments();
+      stopObservingMeta();
+      ytext.unobserve(recordEdit);
+      quill.off("text-change", refreshAnnotations);
+      quill.off("text-change", trackSuggestion);
+      quill.off("selection-change", rememberSelection);
+      setQuill(null);
+      docRef.current = null;
       binding.destroy();   // Stop syncing
       wsProvider.destroy(); // Close WebSocket connection
+      persistence.destroy(); // Close IndexedDB (the stored copy stays)
       ydoc.destroy();       // Clear data from memory
     };
-  }, [docId, username]);
+  }, [docId, username, serverUrl]);
+
+  // ---- Version history handlers (the sidebar calls these) ----
+
+  // The version being viewed + its changes since the version before it.
+  // null → no version selected, the live editor is shown.
+  const diff = useMemo(() => {
+    const index = versions.findIndex((v) => v.id === selectedVersionId);
+    if (index === -1 || !docRef.current) return null;
+
+    const { ydoc, permanentUserData } = docRef.current;
+    const version = versions[index];
+    const previous = versions[index + 1]; // Newest first → older is next
+
+    return {
+      version,
+      ops: diffVersion(ydoc, version, previous, permanentUserData),
+    };
+  }, [versions, selectedVersionId]);
+
+  const handleSaveVersion = (name) => {
+    const { ydoc, author, color } = docRef.current;
+    captureVersion(ydoc, { name, author, color });
+  };
+
+  const handleRestore = (version) => {
+    const { ydoc, author, color } = docRef.current;
+    restoreVersion(ydoc, version, { author, color });
+    setSelectedVersionId(null); // Back to the (now restored) live document
+  };
+
+  const closeHistory = () => {
+    setHistoryOpen(false);
+    setSelectedVersionId(null);
+  };
+
+  // ---- Comment & suggestion handlers (the margin calls these) ----
+
+  // Open the "new comment" box next to the selected text
+  const handleCommentClick = () => {
+    const range = lastRangeRef.current;
+    if (!range || range.length === 0) return; // Nothing selected to comment on
+    setDraft({ index: range.index, length: range.length });
+  };
+
+  const handleCreateComment = (text) => {
+    const { ydoc, author, color } = docRef.current;
+    addComment(ydoc, { ...draft, text, author, color });
+    setDraft(null);
+  };
+
+  const handleReply = (threadId, text) => {
+    const { ydoc, author } = docRef.current;
+    replyToComment(ydoc, threadId, { author, text });
+  };
+
+  const handleResolve = (threadId, resolved) => {
+    setCommentResolved(docRef.current.ydoc, threadId, resolved);
+  };
+
+  const handleReviewSuggestion = (suggestion, accept) => {
+    resolveSuggestion(quill, suggestion, accept);
+  };
+
+  // ---- Title & tag handlers ----
+
+  // The title being typed stays local (titleDraft) and goes to the shared
+  // map once, on blur or Enter: a Yjs update per keystroke would be sent
+  // to every collaborator and kept forever (gc: false). An emptied title
+  // falls back to the default.
+  const handleTitleBlur = () => {
+    if (titleDraft === null) return;
+    setTitleDraft(null);
+
+    const title = titleDraft.trim() || DEFAULT_TITLE;
+    if (title !== meta?.title) setTitle(docRef.current.ydoc, title, username);
+  };
+
+  const handleTitleKeyDown = (e) => {
+    if (e.key === "Enter") e.target.blur(); // → handleTitleBlur
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key !== "Enter" || !tagInput.trim()) return;
+    addTag(docRef.current.ydoc, tagInput, username);
+    setTagInput("");
+  };
+
+  const handleRemoveTag = (tag) => {
+    removeTag(docRef.current.ydoc, tag, username);
+  };
+
+  const lastEdit = describeLastEdit(meta);
 
   return (
     <div className="layout">
@@ -122,32 +483,101 @@ const Editor = ({ docId = "my-document", username = "Guest" }) => {
       {/* ----------------------------------------------------------- */}
       <header className="header">
         <div className="doc-info">
-          <span className="doc-icon">📝</span>
+          {onHome ? (
+            <button
+              className="doc-icon doc-icon-button"
+              onClick={onHome}
+              title="All documents"
+            >
+              📝
+            </button>
+          ) : (
+            <span className="doc-icon">📝</span>
+          )}
           <div>
-            <input 
-              className="doc-title-input" 
-              defaultValue="Untitled Document" 
+            {/* Shared title: the "meta" Y.Map, or our draft while typing */}
+            <input
+              className="doc-title-input"
+              value={titleDraft ?? meta?.title ?? ""}
+              placeholder={DEFAULT_TITLE}
+              onChange={(e) => setTitleDraft(e.target.value)}
+              onBlur={handleTitleBlur}
+              onKeyDown={handleTitleKeyDown}
+              aria-label="Document title"
             />
-            {/* Shows "Saved" or "Offline" based on WebSocket status */}
-            <div className="doc-status">{status}</div>
+            <div className="doc-meta-row">
+              {/* "Saved locally" (on this device) vs "Synced" (on the server) */}
+              <div
+                className={`doc-status doc-status-${saveStatus}`}
+                title={SAVE_STATUS[saveStatus].hint}
+              >
+                {SAVE_STATUS[saveStatus].label}
+              </div>
+
+              {lastEdit && (
+                <div
+                  className="doc-last-edit"
+                  title={
+                    meta.createdAt
+                      ? `Created ${new Date(meta.createdAt).toLocaleString()}`
+                      : undefined
+                  }
+                >
+                  {lastEdit}
+                </div>
+              )}
+
+              {/* Tags: one key per tag in the meta map (see meta.js) */}
+              <div className="doc-tags">
+                {meta?.tags.map((tag) => (
+                  <span key={tag} className="doc-tag">
+                    {tag}
+                    <button
+                      onClick={() => handleRemoveTag(tag)}
+                      title={`Remove tag "${tag}"`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <input
+                  className="doc-tag-input"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onKeyDown={handleTagKeyDown}
+                  placeholder="+ tag"
+                  aria-label="Add tag"
+                />
+              </div>
+            </div>
           </div>
         </div>
 
-        {/* Avatar Cluster: Maps through 'users' state to show circles */}
-        <div className="avatars">
-          {users.map((u, i) => (
-            <div
-              key={i}
-              className="avatar"
-              style={{ backgroundColor: u.user.color }}
-              title={u.user.name} // Tooltip on hover
-            >
-              {u.user.name.charAt(0).toUpperCase()}
+        <div className="header-actions">
+          <button
+            className="history-toggle"
+            onClick={() => (historyOpen ? closeHistory() : setHistoryOpen(true))}
+            title="See and restore earlier versions"
+          >
+            🕘 Version history
+          </button>
+
+          {/* Avatar Cluster: Maps through 'users' state to show circles */}
+          <div className="avatars">
+            {users.map((u, i) => (
+              <div
+                key={i}
+                className="avatar"
+                style={{ backgroundColor: u.user.color }}
+                title={u.user.name} // Tooltip on hover
+              >
+                {u.user.name.charAt(0).toUpperCase()}
+              </div>
+            ))}
+            {/* A fake "+X" bubble just for aesthetics */}
+            <div className="avatar" style={{background: "#ccc", fontSize: '10px', color: '#000'}}>
+               +{users.length}
             </div>
-          ))}
-          {/* A fake "+X" bubble just for aesthetics */}
-          <div className="avatar" style={{background: "#ccc", fontSize: '10px', color: '#000'}}>
-             +{users.length}
           </div>
         </div>
       </header>
@@ -157,7 +587,7 @@ const Editor = ({ docId = "my-document", username = "Guest" }) => {
       {/* ----------------------------------------------------------- */}
       {/* 
           Notice the ID "toolbar-container". 
-          Quill looks for this ID because of the config in Step 4.
+          Quill looks for this ID because of the config in Step 6.
           The classes (ql-bold, ql-italic) are standard Quill classes.
       */}
       <div id="toolbar-container">
@@ -184,14 +614,67 @@ const Editor = ({ docId = "my-document", username = "Guest" }) => {
           <select className="ql-color"></select>
           <select className="ql-background"></select>
         </span>
+        {/* Not Quill buttons (no "ql-" class): Quill leaves them to React.
+            onMouseDown preventDefault keeps the text selected while clicking. */}
+        <span className="ql-formats">
+          <button
+            className="review-button"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={handleCommentClick}
+            title="Add comment (select some text first)"
+          >
+            💬
+          </button>
+          <button
+            className={`review-button mode-button ${suggesting ? "active" : ""}`}
+            onClick={() => setSuggesting((on) => !on)}
+            title="Suggesting: your edits become suggestions the owner can accept or reject"
+          >
+            {suggesting ? "💡 Suggesting" : "✏️ Editing"}
+          </button>
+        </span>
       </div>
 
       {/* ----------------------------------------------------------- */}
       {/* EDITOR SECTION: The scrollable area with the "Paper"        */}
       {/* ----------------------------------------------------------- */}
-      <div className="editor-scroller">
-        {/* Quill attaches specifically to this div via editorRef */}
-        <div ref={editorRef} className="document-page" />
+      <div className="editor-body">
+        <div className="editor-scroller">
+          {/* The page and, next to it, the comments margin */}
+          <div className="page-row">
+            {/* Quill attaches specifically to this div via editorRef.
+                While a version is viewed it's only hidden, not unmounted:
+                Quill and the binding keep running underneath. */}
+            <div ref={editorRef} className="document-page" hidden={!!diff} />
+            {!diff && (
+              <CommentsMargin
+                quill={quill}
+                threads={threads}
+                suggestions={suggestions}
+                draft={draft}
+                username={username}
+                isOwner={meta?.owner === username}
+                onCreateComment={handleCreateComment}
+                onCancelDraft={() => setDraft(null)}
+                onReply={handleReply}
+                onResolve={handleResolve}
+                onReviewSuggestion={handleReviewSuggestion}
+              />
+            )}
+          </div>
+          {diff && <VersionDiff ops={diff.ops} version={diff.version} />}
+        </div>
+
+        {historyOpen && (
+          <VersionHistory
+            versions={versions}
+            selectedId={selectedVersionId}
+            onSelect={setSelectedVersionId}
+            onSave={handleSaveVersion}
+            onRestore={handleRestore}
+            onClose={closeHistory}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,87 @@
+import React from "react";
+import { colorForUser } from "./versions";
+
+// Read-only view of one version, with its changes highlighted by user.
+// 'ops' come from diffVersion(): plain Quill delta ops, where changed runs
+// carry attributes.ychange = { type: "added" | "removed", user }.
+//
+// Rendered as React text (no Quill instance): nobody can type into it,
+// and nothing from the document is ever injected as HTML.
+
+// The few inline formats worth showing in a diff
+const styleFor = (attributes = {}) => ({
+  fontWeight: attributes.bold ? "bold" : undefined,
+  fontStyle: attributes.italic ? "italic" : undefined,
+  textDecoration: attributes.underline ? "underline" : undefined,
+  color: attributes.color,
+});
+
+const VersionDiff = ({ ops, version }) => {
+  // Who appears in this diff → legend at the top
+  const authors = new Set();
+  ops.forEach((op) => {
+    const change = op.attributes?.ychange;
+    if (change) authors.add(change.user ?? "Unknown");
+  });
+
+  return (
+    <div className="document-page version-diff">
+      <div className="diff-legend">
+        <span>
+          Viewing <strong>{version.name ?? "an automatic version"}</strong>{" "}
+          (read-only)
+        </span>
+        {[...authors].map((author) => (
+          <span key={author} className="diff-author">
+            <span
+              className="history-dot"
+              style={{ backgroundColor: colorForUser(author) }}
+            />
+            {author}
+          </span>
+        ))}
+      </div>
+
+      <div className="diff-body">
+        {ops.map((op, i) => {
+          // Embeds (images, formulas…) aren't text: show a placeholder
+          const text = typeof op.insert === "string" ? op.insert : "[embed]";
+          const change = op.attributes?.ychange;
+
+          if (!change) {
+            return (
+              <span key={i} style={styleFor(op.attributes)}>
+                {text}
+              </span>
+            );
+          }
+
+          const user = change.user ?? "Unknown";
+          const color = colorForUser(change.user);
+
+          return (
+            <span
+              key={i}
+              className={`diff-${change.type}`} // diff-added / diff-removed
+              title={`${change.type === "added" ? "Added" : "Deleted"} by ${user}`}
+              style={{
+                ...styleFor(op.attributes),
+                // Added: tinted with the author's color. Removed: struck out in it.
+                backgroundColor: change.type === "added" ? `${color}33` : undefined,
+                textDecoration:
+                  change.type === "removed"
+                    ? "line-through"
+                    : styleFor(op.attributes).textDecoration,
+                textDecorationColor: color,
+              }}
+            >
+              {text}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VersionDiff;
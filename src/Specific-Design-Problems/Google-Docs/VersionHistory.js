@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { formatVersionTime } from "./versions";
+
+// The "Version history" sidebar (right side of the page).
+// It only lists and reports clicks; the Editor owns the Y.Doc and does
+// the actual saving / diffing / restoring.
+const VersionHistory = ({
+  versions, // Newest first (see listVersions)
+  selectedId, // The version shown in the diff view, or null (live editor)
+  onSelect,
+  onSave, // (name) → a named version of the current text
+  onRestore,
+  onClose,
+}) => {
+  const [name, setName] = useState("");
+  const [namedOnly, setNamedOnly] = useState(false);
+
+  const shown = namedOnly ? versions.filter((v) => !v.auto) : versions;
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName("");
+  };
+
+  return (
+    <aside className="history-sidebar">
+      <div className="history-header">
+        <h2>Version history</h2>
+        <button className="history-close" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      {/* On-demand version: "Name current version" */}
+      <form className="history-save" onSubmit={handleSave}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name the current version"
+          maxLength={80}
+        />
+        <button type="submit" disabled={!name.trim()}>
+          Save
+        </button>
+      </form>
+
+      <label className="history-filter">
+        <input
+          type="checkbox"
+          checked={namedOnly}
+          onChange={(e) => setNamedOnly(e.target.checked)}
+        />
+        Only show named versions
+      </label>
+
+      <ul className="history-list">
+        {/* Back to editing: clicking "Current version" closes the diff */}
+        <li
+          className={`history-item ${selectedId ? "" : "selected"}`}
+          onClick={() => onSelect(null)}
+        >
+          <strong>Current version</strong>
+        </li>
+
+        {shown.map((version) => (
+          <li
+            key={version.id}
+            className={`history-item ${
+              version.id === selectedId ? "selected" : ""
+            }`}
+            onClick={() => onSelect(version.id)}
+          >
+            {/* Automatic versions are named by their time, like Google Docs */}
+            <strong>{version.name ?? formatVersionTime(version)}</strong>
+            {version.name && <small>{formatVersionTime(version)}</small>}
+            <span className="history-author">
+              <span
+                className="history-dot"
+                style={{ backgroundColor: version.color }}
+              />
+              {version.author}
+              {version.auto && <em> · automatic</em>}
+            </span>
+
+            {version.id === selectedId && (
+              <button
+                className="history-restore"
+                onClick={(e) => {
+                  e.stopPropagation(); // Don't re-select the row
+                  onRestore(version);
+                }}
+              >
+                Restore this version
+              </button>
+            )}
+          </li>
+        ))}
+
+        {shown.length === 0 && (
+          <li className="history-empty">
+            No versions yet. One is saved automatically every few minutes
+            while the document changes.
+          </li>
+        )}
+      </ul>
+    </aside>
+  );
+};
+
+export default VersionHistory;
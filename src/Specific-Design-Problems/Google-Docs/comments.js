@@ -0,0 +1,109 @@
+import * as Y from "yjs";
+import { TEXT_KEY } from "./versions";
+
+// Comment threads, stored in the Y.Doc next to the text.
+//
+//   ydoc.getMap("comments")
+//     <threadId> → Y.Map {
+//       start, end  → Yjs RELATIVE positions (JSON) of the commented range
+//       quote       → the text as it was when the comment was made
+//       author, color, createdAt
+//       resolved    → true / false
+//       messages    → Y.Array of { id, author, text, createdAt }
+//     }
+//
+// Why relative positions and not numbers? "Characters 120–135" is wrong the
+// moment someone types above it. A relative position points at a CHARACTER
+// (its Yjs item id), so the anchor moves with the text, whoever edits and
+// in whatever order the edits arrive.
+//
+// Each thread is its own Y.Map (and messages a Y.Array), so a reply and a
+// "resolve" made at the same time by two people both survive.
+
+const COMMENTS_KEY = "comments";
+
+const toRelative = (ytext, index, assoc) =>
+  Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, index, assoc));
+
+// null → the anchor's text is gone from this doc (shouldn't happen with
+// gc: false, but an older doc might have collected it)
+const toIndex = (ydoc, json) =>
+  Y.createAbsolutePositionFromRelativePosition(
+    Y.createRelativePositionFromJSON(json),
+    ydoc
+  )?.index ?? null;
+
+const newMessage = (author, text) => ({
+  id: crypto.randomUUID(),
+  author,
+  text,
+  createdAt: Date.now(),
+});
+
+// Start a thread on text[index, index + length)
+export const addComment = (ydoc, { index, length, text, author, color }) => {
+  const ytext = ydoc.getText(TEXT_KEY);
+  const thread = new Y.Map();
+  const messages = new Y.Array();
+  const id = crypto.randomUUID();
+
+  messages.push([newMessage(author, text)]);
+
+  // start sticks to the first commented character, end to the last one
+  // (assoc -1), so text typed right before or after isn't pulled in.
+  thread.set("start", toRelative(ytext, index, 0));
+  thread.set("end", toRelative(ytext, index + length, -1));
+  thread.set("quote", ytext.toString().slice(index, index + length));
+  thread.set("author", author);
+  thread.set("color", color);
+  thread.set("createdAt", Date.now());
+  thread.set("resolved", false);
+  thread.set("messages", messages);
+
+  ydoc.getMap(COMMENTS_KEY).set(id, thread);
+  return id;
+};
+
+export const replyToComment = (ydoc, threadId, { author, text }) => {
+  const thread = ydoc.getMap(COMMENTS_KEY).get(threadId);
+  thread?.get("messages").push([newMessage(author, text)]);
+};
+
+// Resolve hides the thread from the margin; reopen brings it back
+export const setCommentResolved = (ydoc, threadId, resolved) => {
+  ydoc.getMap(COMMENTS_KEY).get(threadId)?.set("resolved", resolved);
+};
+
+// Calls 'callback' on any change: new thread, reply, resolve…
+export const observeComments = (ydoc, callback) => {
+  const comments = ydoc.getMap(COMMENTS_KEY);
+  comments.observeDeep(callback);
+  return () => comments.unobserveDeep(callback);
+};
+
+// Every thread as plain data, with its anchor resolved to where the text
+// is NOW, in document order.
+//   detached → the commented text was deleted (the thread stays, Google
+//              Docs style, showing the original quote)
+export const listComments = (ydoc) =>
+  Array.from(ydoc.getMap(COMMENTS_KEY).entries())
+    .map(([id, thread]) => {
+      const start = toIndex(ydoc, thread.get("start"));
+      const end = toIndex(ydoc, thread.get("end"));
+      const index = start ?? 0;
+      const length = Math.max(0, (end ?? index) - index);
+
+      return {
+        id,
+        index,
+        length,
+        detached: length === 0,
+        quote: thread.get("quote"),
+        author: thread.get("author"),
+        color: thread.get("color"),
+        createdAt: thread.get("createdAt"),
+        resolved: thread.get("resolved"),
+        messages: thread.get("messages").toArray(),
+      };
+    })
+    .sort((a, b) => a.index - b.index || a.createdAt - b.createdAt);
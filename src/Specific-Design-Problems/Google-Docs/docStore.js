@@ -0,0 +1,87 @@
+// The document list of THIS browser: which documents exist here, their
+// titles and when they were last opened. Kept in localStorage.
+//
+//   localStorage["docs-index"] = {
+//     <docId>: { id, title, tags, createdAt, updatedAt, lastEditedBy,
+//                lastOpenedAt }
+//   }
+//
+// It's an index, not the source of truth: the real title / tags live in
+// each document's Y.Doc (see meta.js) and are copied here by the Editor's
+// onMetaChange. The list can then render without opening every document.
+
+const STORAGE_KEY = "docs-index";
+
+const listeners = new Set();
+
+const read = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {}; // Corrupted / unavailable storage → empty list, not a crash
+  }
+};
+
+const write = (docs) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(docs));
+  listeners.forEach((listener) => listener());
+};
+
+// Opened from a shared link but never loaded → no dates yet
+const lastChange = (doc) => doc.updatedAt ?? doc.createdAt ?? doc.lastOpenedAt ?? 0;
+
+// All documents, most recently edited first
+export const listDocuments = () =>
+  Object.values(read()).sort((a, b) => lastChange(b) - lastChange(a));
+
+// "Recently opened", most recent first
+export const recentDocuments = (limit = 4) =>
+  Object.values(read())
+    .filter((doc) => doc.lastOpenedAt)
+    .sort((a, b) => b.lastOpenedAt - a.lastOpenedAt)
+    .slice(0, limit);
+
+export const getDocument = (id) => read()[id] ?? null;
+
+// Create or update (fields are merged into the existing entry)
+export const saveDocument = (id, fields) => {
+  const docs = read();
+  docs[id] = { id, tags: [], ...docs[id], ...fields };
+  write(docs);
+  return docs[id];
+};
+
+export const removeDocument = (id) => {
+  const docs = read();
+  delete docs[id];
+  write(docs);
+};
+
+// Opening a shared link adds the document to the list too
+export const markOpened = (id) => saveDocument(id, { lastOpenedAt: Date.now() });
+
+// Editor's onMetaChange → index entry. Only real edits move updatedAt.
+export const recordMeta = (id, meta) =>
+  saveDocument(id, {
+    title: meta.title,
+    tags: meta.tags,
+    lastEditedBy: meta.lastEditedBy,
+    ...(meta.createdAt && { createdAt: meta.createdAt }),
+    ...(meta.lastEditedAt && { updatedAt: meta.lastEditedAt }),
+  });
+
+// Calls 'listener' after every change, in this tab or another one
+// (the "storage" event only fires in the OTHER tabs).
+export const subscribe = (listener) => {
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) listener();
+  };
+
+  listeners.add(listener);
+  window.addEventListener("storage", onStorage);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", onStorage);
+  };
+};
@@ -0,0 +1,173 @@
+import * as Y from "yjs";
+import { WebsocketProvider } from "y-websocket";
+import { IndexeddbPersistence } from "y-indexeddb";
+import { deleteDB } from "lib0/indexeddb";
+import { TEXT_KEY } from "./versions";
+import { DEFAULT_TITLE, addTag, readMeta, setTitle } from "./meta";
+import { getDocument, removeDocument, saveDocument } from "./docStore";
+
+// What the document browser can do to a document WITHOUT opening the Editor:
+// create, rename, duplicate, delete.
+//
+// The title lives in the Y.Doc (meta.js), so renaming only the list entry
+// would be undone the next time the document opens. Instead these load the
+// Y.Doc "headless" (no Quill), make the change as a normal Yjs edit, and
+// let it sync like any other: IndexedDB now, server if it's reachable.
+
+// How long to wait for the server before working from the local copy only
+const SERVER_TIMEOUT = 2000;
+
+// How long to wait for the IndexedDB copy before going on without it.
+// y-indexeddb never reports a failure (private mode, storage disabled,
+// a blocked upgrade…): whenSynced just never resolves.
+export const LOCAL_LOAD_TIMEOUT = 3000;
+
+// Resolves true once promise does, false after LOCAL_LOAD_TIMEOUT
+const settlesInTime = (promise) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(false), LOCAL_LOAD_TIMEOUT);
+    promise.then(() => {
+      clearTimeout(timer);
+      resolve(true);
+    }, reject);
+  });
+
+// Resolves true once the local copy is loaded, false after LOCAL_LOAD_TIMEOUT
+const localLoaded = (persistence) => settlesInTime(persistence.whenSynced);
+
+// Resolves once the socket has handed our last update to the network
+// (closing with data still buffered may drop it), or after SERVER_TIMEOUT.
+const drained = (provider) =>
+  new Promise((resolve) => {
+    const started = Date.now();
+
+    const check = () => {
+      const ws = provider.ws;
+      if (
+        !ws ||
+        ws.bufferedAmount === 0 ||
+        Date.now() - started > SERVER_TIMEOUT
+      ) {
+        resolve();
+      } else {
+        setTimeout(check, 20);
+      }
+    };
+    check();
+  });
+
+// withDocument(docId, { serverUrl }, change) → whatever change(ydoc) returns
+//
+// 1. load the local copy (IndexedDB, if it answers within LOCAL_LOAD_TIMEOUT)
+// 2. catch up with the server (if it answers within SERVER_TIMEOUT)
+// 3. change(ydoc) → the edit goes to IndexedDB and the server
+// 4. disconnect, once the edit has left
+const withDocument = async (docId, { serverUrl }, change) => {
+  const ydoc = new Y.Doc({ gc: false }); // Same as the Editor (version history)
+  const persistence = new IndexeddbPersistence(docId, ydoc);
+  let provider = null;
+  let loaded = false;
+
+  try {
+    loaded = await localLoaded(persistence);
+
+    provider = serverUrl ? new WebsocketProvider(serverUrl, docId, ydoc) : null;
+
+    if (provider) {
+      provider.awareness.setLocalState(null); // Not a visible collaborator
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, SERVER_TIMEOUT); // Offline → go on
+        provider.on("sync", (isSynced) => {
+          if (!isSynced) return;
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+
+    const result = change(ydoc);
+    if (provider) await drained(provider);
+    return result;
+  } finally {
+    provider?.destroy();
+    // Never loaded → its database may never open, and destroy() waits for it
+    if (loaded) await persistence.destroy();
+    else persistence.destroy().catch(() => {});
+    ydoc.destroy();
+  }
+};
+
+// A new, empty document. Nothing to write yet: the Y.Doc is created by
+// whoever opens it first; the list entry makes it show up right away.
+export const createDocument = () => {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+
+  saveDocument(id, { title: DEFAULT_TITLE, createdAt: now, updatedAt: now });
+  return id;
+};
+
+export const renameDocument = async (id, title, { serverUrl, username }) => {
+  const clean = title.trim() || DEFAULT_TITLE;
+
+  saveDocument(id, { title: clean }); // The list updates immediately
+  await withDocument(id, { serverUrl }, (ydoc) =>
+    setTitle(ydoc, clean, username)
+  );
+};
+
+// Copies the text (with formatting) and tags into a brand-new document,
+// "Copy of <title>". Comments, versions and the owner stay with the
+// original, like "Make a copy" in Google Docs.
+export const duplicateDocument = async (id, { serverUrl, username }) => {
+  const source = await withDocument(id, { serverUrl }, (ydoc) => ({
+    content: ydoc.getText(TEXT_KEY).toDelta(),
+    meta: readMeta(ydoc),
+  }));
+
+  const copyId = crypto.randomUUID();
+  const title = `Copy of ${source.meta.title}`;
+
+  await withDocument(copyId, { serverUrl }, (ydoc) => {
+    ydoc.getText(TEXT_KEY).applyDelta(source.content);
+    setTitle(ydoc, title, username);
+    source.meta.tags.forEach((tag) => addTag(ydoc, tag, username));
+  });
+
+  const now = Date.now();
+  saveDocument(copyId, {
+    title,
+    tags: source.meta.tags,
+    lastEditedBy: username,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return copyId;
+};
+
+// Removes the document from this browser: list entry + IndexedDB copy.
+// The server copy stays: collaborators may still have it open, and the
+// local stand-in server has no notion of who may delete what.
+//
+// Resolves within 2 × LOCAL_LOAD_TIMEOUT whatever IndexedDB does: it may
+// never open (see withDocument), or never finish deleting while the
+// document is open in another tab. The list entry is gone either way.
+export const deleteDocument = async (id) => {
+  if (!getDocument(id)) return;
+  removeDocument(id);
+
+  const ydoc = new Y.Doc();
+  const persistence = new IndexeddbPersistence(id, ydoc);
+
+  try {
+    if (await localLoaded(persistence)) {
+      await persistence.destroy(); // Closes our connection, or deleting waits on it
+      await settlesInTime(deleteDB(id));
+    } else {
+      persistence.destroy().catch(() => {});
+    }
+  } finally {
+    ydoc.destroy();
+  }
+};
@@ -0,0 +1,141 @@
+// lib0 (under Yjs) expects the Web Crypto global; jsdom doesn't
+// provide it. Must be set before the requires. (docStore needs
+// localStorage, so this runs in jsdom, against a real sync server.)
+global.crypto ??= require("crypto").webcrypto;
+
+const Y = require("yjs");
+const { WebsocketProvider } = require("y-websocket");
+const { createSyncServer } = require("./server/sync");
+const { TEXT_KEY } = require("./versions");
+const { addTag, readMeta, setTitle } = require("./meta");
+const { getDocument, saveDocument } = require("./docStore");
+const {
+  LOCAL_LOAD_TIMEOUT,
+  deleteDocument,
+  duplicateDocument,
+  renameDocument,
+} = require("./documentActions");
+
+/*
+  jsdom has no IndexedDB: a stand-in whose local copy is always
+  empty and loads at once, so every change has to reach the server.
+  mockNeverOpens → like a browser where IndexedDB never answers:
+  neither whenSynced nor destroy() ever resolve.
+*/
+let mockNeverOpens = false;
+
+jest.mock("y-indexeddb", () => ({
+  IndexeddbPersistence: class {
+    hang = mockNeverOpens;
+    whenSynced = this.hang ? new Promise(() => {}) : Promise.resolve(this);
+    destroy = () => (this.hang ? new Promise(() => {}) : Promise.resolve());
+  },
+}));
+
+jest.mock("lib0/indexeddb", () => ({ deleteDB: async () => {} }));
+
+// Polls until check() is true (the sync is asynchronous on both ends)
+const waitFor = (check, timeout = 2000) =>
+  new Promise((resolve, reject) => {
+    const started = Date.now();
+
+    const poll = () => {
+      if (check()) resolve();
+      else if (Date.now() - started > timeout) reject(new Error("Timed out"));
+      else setTimeout(poll, 10);
+    };
+    poll();
+  });
+
+describe("document actions", () => {
+  let server;
+  let serverUrl;
+  let clients;
+
+  // Another browser with the document open in the Editor
+  const open = async (docId) => {
+    const ydoc = new Y.Doc({ gc: false });
+    const provider = new WebsocketProvider(serverUrl, docId, ydoc, {
+      disableBc: true,
+    });
+    clients.push({ ydoc, provider });
+
+    await waitFor(() => provider.synced);
+    return ydoc;
+  };
+
+  beforeEach(async () => {
+    localStorage.clear();
+    server = await createSyncServer({ port: 0 });
+    serverUrl = `ws://localhost:${server.port}`;
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(({ ydoc, provider }) => {
+      provider.destroy();
+      ydoc.destroy();
+    });
+    await server.close();
+  });
+
+  it("renames the list entry and the title inside the Y.Doc", async () => {
+    saveDocument("doc-1", { title: "Untitled Document" });
+
+    await renameDocument("doc-1", "  Roadmap ", { serverUrl, username: "alice" });
+
+    expect(getDocument("doc-1").title).toBe("Roadmap");
+
+    const ydoc = await open("doc-1");
+    await waitFor(() => readMeta(ydoc).title === "Roadmap");
+  });
+
+  it("duplicates the text and tags into a new document", async () => {
+    const original = await open("doc-1");
+    original.getText(TEXT_KEY).insert(0, "Hello", { bold: true });
+    setTitle(original, "Plan", "alice");
+    addTag(original, "q3", "alice");
+
+    const copyId = await duplicateDocument("doc-1", { serverUrl, username: "bob" });
+
+    expect(copyId).not.toBe("doc-1");
+    expect(getDocument(copyId)).toMatchObject({
+      title: "Copy of Plan",
+      tags: ["q3"],
+      lastEditedBy: "bob",
+    });
+
+    const copy = await open(copyId);
+    await waitFor(() => copy.getText(TEXT_KEY).length === 5);
+
+    expect(copy.getText(TEXT_KEY).toDelta()).toEqual([
+      { insert: "Hello", attributes: { bold: true } },
+    ]);
+    expect(readMeta(copy)).toMatchObject({ title: "Copy of Plan", tags: ["q3"] });
+  });
+
+  it("removes the list entry on delete", async () => {
+    saveDocument("doc-1", { title: "Old notes" });
+
+    await deleteDocument("doc-1");
+
+    expect(getDocument("doc-1")).toBeNull();
+  });
+
+  it("finishes deleting when IndexedDB never opens", async () => {
+    saveDocument("doc-1", { title: "Old notes" });
+    mockNeverOpens = true;
+    jest.useFakeTimers();
+
+    try {
+      const deleting = deleteDocument("doc-1");
+      jest.advanceTimersByTime(LOCAL_LOAD_TIMEOUT);
+
+      await deleting;
+      expect(getDocument("doc-1")).toBeNull();
+    } finally {
+      jest.useRealTimers();
+      mockNeverOpens = false;
+    }
+  });
+});
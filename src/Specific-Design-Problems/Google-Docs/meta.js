@@ -0,0 +1,128 @@
+// Document metadata, stored in the Y.Doc next to the text:
+//
+//   ydoc.getMap("meta")
+//     title         → "Untitled Document" until someone renames it
+//     owner         → who reviews suggestions (see claimOwnership)
+//     createdAt     → ms timestamp
+//     lastEditedBy  → user name
+//     lastEditedAt  → ms timestamp
+//     tag:<name>    → true, one key per tag
+//
+// Being in the Y.Doc means it syncs, persists offline and merges exactly
+// like the text: a rename shows up live in every open tab.
+//
+// Why "tag:<name>" keys instead of a tags array? A Y.Map key is last-writer-
+// wins: two people adding a tag at the same time to an array VALUE would
+// lose one of them. One key per tag makes add/remove a set operation.
+
+export const META_KEY = "meta";
+export const DEFAULT_TITLE = "Untitled Document";
+
+const TAG_PREFIX = "tag:";
+const MAX_TAG_LENGTH = 24;
+
+// lastEditedBy/At are rewritten at most this often by the same person,
+// not on every keystroke (each write is a Yjs update sent to everyone)
+const TOUCH_INTERVAL = 30 * 1000;
+
+// ydoc → { author → when they last wrote lastEditedBy/At }. Kept locally
+// rather than read from the map: with two people typing, lastEditedBy
+// flips between them and a map-based throttle would let every keystroke
+// through.
+const lastTouches = new WeakMap();
+
+const metaOf = (ydoc) => ydoc.getMap(META_KEY);
+
+// Plain snapshot of the metadata, for React state and onMetaChange
+export const readMeta = (ydoc) => {
+  const meta = metaOf(ydoc);
+
+  return {
+    title: meta.get("title") ?? DEFAULT_TITLE,
+    owner: meta.get("owner") ?? null,
+    createdAt: meta.get("createdAt") ?? null,
+    lastEditedBy: meta.get("lastEditedBy") ?? null,
+    lastEditedAt: meta.get("lastEditedAt") ?? null,
+    tags: Array.from(meta.keys())
+      .filter((key) => key.startsWith(TAG_PREFIX))
+      .map((key) => key.slice(TAG_PREFIX.length))
+      .sort(),
+  };
+};
+
+// Calls 'callback' on any metadata change, local or remote
+export const observeMeta = (ydoc, callback) => {
+  const meta = metaOf(ydoc);
+  meta.observe(callback);
+  return () => meta.unobserve(callback);
+};
+
+// Record "edited by <author>, now". Throttled per author (TOUCH_INTERVAL),
+// whoever edited last: "Last edit by" may lag behind by up to that long.
+export const touchMeta = (ydoc, author) => {
+  const meta = metaOf(ydoc);
+  const now = Date.now();
+
+  if (!lastTouches.has(ydoc)) lastTouches.set(ydoc, new Map());
+  const touches = lastTouches.get(ydoc);
+
+  if (now - (touches.get(author) ?? 0) < TOUCH_INTERVAL) return;
+  touches.set(author, now);
+
+  ydoc.transact(() => {
+    if (!meta.has("createdAt")) meta.set("createdAt", now); // First edit ever
+    meta.set("lastEditedBy", author);
+    meta.set("lastEditedAt", now);
+  });
+};
+
+// The first person to open the document (once synced with the server)
+// becomes its owner. Also stamps createdAt if nobody has edited yet.
+export const claimOwnership = (ydoc, username) => {
+  const meta = metaOf(ydoc);
+  if (meta.has("owner")) return;
+
+  ydoc.transact(() => {
+    meta.set("owner", username);
+    if (!meta.has("createdAt")) meta.set("createdAt", Date.now());
+  });
+};
+
+// Renames are last-writer-wins (like Google Docs): two people renaming at
+// the same moment end up with one of the two titles, everywhere.
+export const setTitle = (ydoc, title, author) => {
+  metaOf(ydoc).set("title", title);
+  touchMeta(ydoc, author);
+};
+
+// "  Q3 Planning " → "q3 planning". null → not a usable tag.
+const normalizeTag = (tag) => {
+  const clean = tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH);
+  return clean || null;
+};
+
+export const addTag = (ydoc, tag, author) => {
+  const clean = normalizeTag(tag);
+  if (!clean) return;
+
+  metaOf(ydoc).set(TAG_PREFIX + clean, true);
+  touchMeta(ydoc, author);
+};
+
+export const removeTag = (ydoc, tag, author) => {
+  metaOf(ydoc).delete(TAG_PREFIX + tag);
+  touchMeta(ydoc, author);
+};
+
+// "Last edit by Ana · Oct 18, 3:45 PM" (null → nobody has edited yet)
+export const describeLastEdit = (meta) => {
+  if (!meta?.lastEditedBy) return null;
+
+  const when = new Date(meta.lastEditedAt).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+  return `Last edit by ${meta.lastEditedBy} · ${when}`;
+};
@@ -0,0 +1,82 @@
+import React, { useSyncExternalStore } from "react";
+
+// A minimal client-side router on the History API. The docs app has two
+// pages ("/" and "/doc/:docId"), which doesn't justify a routing library.
+//
+//   usePath()            → current pathname, re-renders on navigation
+//   navigate("/doc/42")  → pushState + re-render (no page load)
+//   matchPath(pattern, path) → { docId: "42" } or null
+//   <Link to="/">        → a real <a href> (copy link, open in new tab)
+//                          that navigates in place on a plain click
+//
+// Back/forward fire "popstate". pushState does NOT, so navigate()
+// dispatches one itself: usePath() only has one event to listen to.
+
+const subscribe = (onChange) => {
+  window.addEventListener("popstate", onChange);
+  return () => window.removeEventListener("popstate", onChange);
+};
+
+const getPath = () => window.location.pathname;
+
+export const usePath = () => useSyncExternalStore(subscribe, getPath);
+
+export const navigate = (to, { replace = false } = {}) => {
+  if (replace) window.history.replaceState(null, "", to);
+  else window.history.pushState(null, "", to);
+
+  window.dispatchEvent(new PopStateEvent("popstate"));
+};
+
+// "/doc/:docId" vs "/doc/abc" → { docId: "abc" }. Exact matches only.
+// A malformed escape ("/doc/%E0") is no match, not a crash.
+export const matchPath = (pattern, path) => {
+  const patternParts = pattern.split("/").filter(Boolean);
+  const pathParts = path.split("/").filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i];
+
+    if (part.startsWith(":")) {
+      try {
+        params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch {
+        return null; // URIError
+      }
+    } else if (part !== pathParts[i]) {
+      return null;
+    }
+  }
+
+  return params;
+};
+
+export const Link = ({ to, onClick, children, ...props }) => {
+  const handleClick = (e) => {
+    onClick?.(e);
+
+    // Let the browser handle new-tab / new-window / download clicks
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey ||
+      e.ctrlKey ||
+      e.shiftKey ||
+      e.altKey
+    ) {
+      return;
+    }
+
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
@@ -0,0 +1,19 @@
+import { matchPath } from "./router";
+
+describe("matchPath", () => {
+  it("extracts decoded params from an exact match", () => {
+    expect(matchPath("/doc/:docId", "/doc/abc")).toEqual({ docId: "abc" });
+    expect(matchPath("/doc/:docId", "/doc/a%20b/")).toEqual({ docId: "a b" });
+  });
+
+  it("returns null for other paths", () => {
+    expect(matchPath("/doc/:docId", "/")).toBeNull();
+    expect(matchPath("/doc/:docId", "/doc/abc/extra")).toBeNull();
+    expect(matchPath("/doc/:docId", "/file/abc")).toBeNull();
+  });
+
+  it("treats a malformed escape as no match instead of throwing", () => {
+    expect(matchPath("/doc/:docId", "/doc/%E0")).toBeNull();
+    expect(matchPath("/doc/:docId", "/doc/%")).toBeNull();
+  });
+});
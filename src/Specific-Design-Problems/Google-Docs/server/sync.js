@@ -0,0 +1,294 @@
+/*
+  LOCAL DOCUMENT SYNC SERVER (Node)
+  =================================
+
+  Stand-in for the y-websocket server the Editor connects
+  to (ws://localhost:1234), so documents sync offline:
+  local demos, two tabs, integration tests.
+
+  Speaks the y-websocket wire protocol (y-protocols):
+
+    ws://localhost:1234/<docId>      one room per document
+
+    [0 = sync,      ...]  SyncStep1 / SyncStep2 / Update
+    [1 = awareness, ...]  cursors, names, colors
+    [3 = query awareness] "send me everyone's state"
+
+  Per room the server keeps ONE Y.Doc:
+  - a new client gets SyncStep1 (our state vector) and
+    answers with what we're missing; it asks the same of us
+  - every update is applied to the room doc and fanned out
+    to every client in the room (Yjs ignores duplicates)
+  - awareness is relayed; a client's cursors are removed
+    when its socket closes
+
+  gc: false, like the Editor: version history needs deleted
+  text to still exist, and a late-joining client gets its
+  copy of the history from here.
+
+  Documents live in memory only (restart = empty server).
+  Clients keep their own copy in IndexedDB and re-sync it.
+
+  Run:
+    npm run docs:sync
+    PORT=9100 npm run docs:sync
+
+  In production this is:
+    y-websocket / Hocuspocus workers + a database
+    (LevelDB, Postgres…) + Redis to fan out across workers
+*/
+
+const http = require("http");
+const WebSocket = require("ws");
+const Y = require("yjs");
+const syncProtocol = require("y-protocols/sync");
+const awarenessProtocol = require("y-protocols/awareness");
+const encoding = require("lib0/encoding");
+const decoding = require("lib0/decoding");
+
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const MESSAGE_QUERY_AWARENESS = 3;
+
+// Dead connections are dropped after one missed pong
+const PING_INTERVAL = 30 * 1000;
+
+/*
+  createRoom(name) → { doc, awareness, conns }
+
+  conns: WebSocket → Set(awareness client ids it controls)
+*/
+function createRoom(name) {
+  const doc = new Y.Doc({ gc: false });
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null); // The server itself has no cursor
+
+  const room = { name, doc, awareness, conns: new Map() };
+
+  const broadcast = (message) => {
+    room.conns.forEach((_, conn) => send(conn, message));
+  };
+
+  // Any update (from any client) → everyone in the room
+  doc.on("update", (update) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    broadcast(encoding.toUint8Array(encoder));
+  });
+
+  awareness.on("update", ({ added, updated, removed }, conn) => {
+    // Remember which awareness ids arrived on which socket,
+    // so they can be removed when that socket goes away
+    const controlled = room.conns.get(conn);
+
+    if (controlled) {
+      added.forEach((id) => controlled.add(id));
+      removed.forEach((id) => controlled.delete(id));
+    }
+
+    const changed = [...added, ...updated, ...removed];
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(
+      encoder,
+      awarenessProtocol.encodeAwarenessUpdate(awareness, changed)
+    );
+    broadcast(encoding.toUint8Array(encoder));
+  });
+
+  return room;
+}
+
+function send(conn, message) {
+  if (conn.readyState !== WebSocket.OPEN) return;
+
+  conn.send(message, (error) => {
+    if (error) conn.terminate();
+  });
+}
+
+function createSyncServer({ port = 1234 } = {}) {
+  /*
+    rooms: docId → room (created on first connection)
+  */
+  const rooms = new Map();
+
+  const roomFor = (name) => {
+    if (!rooms.has(name)) rooms.set(name, createRoom(name));
+    return rooms.get(name);
+  };
+
+  const handleMessage = (room, conn, data) => {
+    const decoder = decoding.createDecoder(new Uint8Array(data));
+    const encoder = encoding.createEncoder();
+    const type = decoding.readVarUint(decoder);
+
+    switch (type) {
+      case MESSAGE_SYNC: {
+        encoding.writeVarUint(encoder, MESSAGE_SYNC);
+        // Step1 → we answer with Step2; Step2 / Update → applied to room.doc
+        syncProtocol.readSyncMessage(decoder, encoder, room.doc, conn);
+
+        // Only Step1 produces an answer (more than the type byte)
+        if (encoding.length(encoder) > 1) {
+          send(conn, encoding.toUint8Array(encoder));
+        }
+        break;
+      }
+
+      case MESSAGE_AWARENESS:
+        awarenessProtocol.applyAwarenessUpdate(
+          room.awareness,
+          decoding.readVarUint8Array(decoder),
+          conn
+        );
+        break;
+
+      case MESSAGE_QUERY_AWARENESS: {
+        const states = Array.from(room.awareness.getStates().keys());
+        encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+        encoding.writeVarUint8Array(
+          encoder,
+          awarenessProtocol.encodeAwarenessUpdate(room.awareness, states)
+        );
+        send(conn, encoding.toUint8Array(encoder));
+        break;
+      }
+
+      default:
+        // Unknown message (e.g. auth): ignore, like y-websocket's server
+        break;
+    }
+  };
+
+  const handleClose = (room, conn) => {
+    const controlled = room.conns.get(conn);
+    room.conns.delete(conn);
+
+    // The client's cursors / presence disappear for everyone else
+    if (controlled?.size) {
+      awarenessProtocol.removeAwarenessStates(
+        room.awareness,
+        Array.from(controlled),
+        null
+      );
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("Document sync server (y-websocket protocol)\n");
+  });
+
+  const wss = new WebSocket.Server({ server });
+
+  // e.g. the port is taken; without a listener it would throw
+  wss.on("error", (error) => console.error("[sync] server:", error.message));
+
+  wss.on("connection", (conn, req) => {
+    // A protocol-invalid frame (unmasked, bad opcode…) errors THIS
+    // socket; unhandled, it would take every room down with it
+    conn.on("error", () => conn.terminate());
+
+    // ws://host/<docId>?… → room "<docId>" (y-websocket's convention)
+    let name;
+
+    try {
+      name = decodeURIComponent(
+        new URL(req.url, "http://localhost").pathname.slice(1)
+      );
+    } catch {
+      // Malformed escape ("/%E0"): turn this socket away, not the server
+      conn.close(1008, "Bad document name");
+      return;
+    }
+
+    const room = roomFor(name);
+
+    conn.binaryType = "arraybuffer";
+    room.conns.set(conn, new Set());
+
+    conn.on("message", (data) => {
+      try {
+        handleMessage(room, conn, data);
+      } catch (error) {
+        // A malformed message must not take the room down
+        console.error(`[sync] ${name}:`, error.message);
+      }
+    });
+
+    conn.on("close", () => handleClose(room, conn));
+
+    conn.isAlive = true;
+    conn.on("pong", () => {
+      conn.isAlive = true;
+    });
+
+    // Greeting: our state vector (SyncStep1) + who's already here
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeSyncStep1(encoder, room.doc);
+    send(conn, encoding.toUint8Array(encoder));
+
+    const states = Array.from(room.awareness.getStates().keys());
+
+    if (states.length > 0) {
+      const awarenessEncoder = encoding.createEncoder();
+      encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+      encoding.writeVarUint8Array(
+        awarenessEncoder,
+        awarenessProtocol.encodeAwarenessUpdate(room.awareness, states)
+      );
+      send(conn, encoding.toUint8Array(awarenessEncoder));
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((conn) => {
+      if (!conn.isAlive) {
+        conn.terminate();
+        return;
+      }
+
+      conn.isAlive = false;
+      conn.ping();
+    });
+  }, PING_INTERVAL);
+
+  /*
+    Usage:
+
+      const sync = await createSyncServer({ port: 0 });
+      // ws://localhost:${sync.port}/<docId>
+      await sync.close();
+  */
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      resolve({
+        port: server.address().port,
+        close: () =>
+          new Promise((done) => {
+            clearInterval(heartbeat);
+            wss.clients.forEach((conn) => conn.terminate());
+            rooms.forEach((room) => {
+              room.awareness.destroy();
+              room.doc.destroy();
+            });
+            rooms.clear();
+            wss.close(() => server.close(done));
+          }),
+      });
+    });
+  });
+}
+
+module.exports = { createSyncServer };
+
+if (require.main === module) {
+  createSyncServer({ port: Number(process.env.PORT) || 1234 }).then(
+    ({ port }) => {
+      console.log(`Document sync server listening on ws://localhost:${port}`);
+    }
+  );
+}
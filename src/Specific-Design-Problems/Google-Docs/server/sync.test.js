@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+
+// lib0 (under Yjs) expects the Web Crypto global; jest's node
+// environment doesn't provide it. Must be set before the requires.
+global.crypto ??= require("crypto").webcrypto;
+
+const WebSocket = require("ws");
+const Y = require("yjs");
+const { WebsocketProvider } = require("y-websocket");
+const { createSyncServer } = require("./sync");
+
+// Polls until check() is true (the sync is asynchronous on both ends)
+const waitFor = (check, timeout = 2000) =>
+  new Promise((resolve, reject) => {
+    const started = Date.now();
+
+    const poll = () => {
+      if (check()) resolve();
+      else if (Date.now() - started > timeout) reject(new Error("Timed out"));
+      else setTimeout(poll, 10);
+    };
+    poll();
+  });
+
+describe("sync server", () => {
+  let server;
+  let clients;
+
+  // A browser tab: its own Y.Doc, connected to room 'docId'
+  const open = (docId) => {
+    const doc = new Y.Doc();
+    const provider = new WebsocketProvider(
+      `ws://localhost:${server.port}`,
+      docId,
+      doc,
+      { WebSocketPolyfill: WebSocket, disableBc: true }
+    );
+
+    const client = { doc, provider, text: doc.getText("quill") };
+    clients.push(client);
+    return client;
+  };
+
+  const synced = (client) => waitFor(() => client.provider.synced);
+
+  beforeEach(async () => {
+    server = await createSyncServer({ port: 0 });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(({ provider, doc }) => {
+      provider.destroy();
+      doc.destroy();
+    });
+    await server.close();
+  });
+
+  it("syncs edits between two clients of the same document", async () => {
+    const alice = open("doc-1");
+    const bob = open("doc-1");
+    await Promise.all([synced(alice), synced(bob)]);
+
+    alice.text.insert(0, "Hello");
+    await waitFor(() => bob.text.toString() === "Hello");
+
+    bob.text.insert(5, " world");
+    await waitFor(() => alice.text.toString() === "Hello world");
+  });
+
+  it("gives a late joiner everything written before it arrived", async () => {
+    const alice = open("doc-1");
+    await synced(alice);
+    alice.text.insert(0, "First draft");
+
+    const bob = open("doc-1");
+    await synced(bob);
+    await waitFor(() => bob.text.toString() === "First draft");
+  });
+
+  it("keeps documents apart", async () => {
+    const alice = open("doc-1");
+    const bob = open("doc-2");
+    await Promise.all([synced(alice), synced(bob)]);
+
+    alice.text.insert(0, "secret");
+    const probe = open("doc-1"); // Same room as alice: proves it was sent
+    await waitFor(() => probe.text.toString() === "secret");
+
+    expect(bob.text.toString()).toBe("");
+  });
+
+  it("turns away a malformed document name without going down", async () => {
+    const bad = new WebSocket(`ws://localhost:${server.port}/%E0`);
+    const code = await new Promise((resolve) => bad.on("close", resolve));
+    expect(code).toBe(1008);
+
+    const alice = open("doc-1");
+    await synced(alice); // Still serving everyone else
+  });
+
+  it("drops a client that breaks the WebSocket protocol, and only that one", async () => {
+    const bad = new WebSocket(`ws://localhost:${server.port}/doc-1`);
+    await new Promise((resolve) => bad.on("open", resolve));
+
+    // Client frames must be masked: an unmasked 1-byte binary frame
+    bad._socket.write(Buffer.from([0x82, 0x01, 0x00]));
+    await new Promise((resolve) => bad.on("close", resolve));
+
+    const alice = open("doc-1");
+    await synced(alice); // Still serving everyone else
+  });
+
+  it("removes a client's cursor when its connection drops", async () => {
+    const alice = open("doc-1");
+    const bob = open("doc-1");
+    await Promise.all([synced(alice), synced(bob)]);
+
+    alice.provider.awareness.setLocalStateField("user", { name: "Alice" });
+    const aliceId = alice.doc.clientID;
+    await waitFor(() => bob.provider.awareness.getStates().has(aliceId));
+
+    // Gone without saying goodbye (closed laptop): only the server can tell
+    alice.provider.shouldConnect = false;
+    alice.provider.ws.terminate();
+
+    await waitFor(() => !bob.provider.awareness.getStates().has(aliceId));
+  });
+});
@@ -0,0 +1,137 @@
+import Quill, { Delta, Parchment } from "quill";
+
+// "Suggesting" mode: edits become proposals instead of changes.
+//
+//   typed text   → kept, but marked  suggest-insert = "<author>"  (green)
+//   deleted text → NOT removed, marked suggest-delete = "<author>" (struck out)
+//
+// The marks are ordinary Quill formats, so y-quill stores them in the Y.Text
+// like bold or italic: every collaborator sees the same suggestions, offline
+// edits included. Accepting / rejecting is just another edit.
+
+export const SUGGEST_INSERT = "suggest-insert";
+export const SUGGEST_DELETE = "suggest-delete";
+
+// Register the two formats with Quill (rendered as data-* attributes,
+// styled in Editor.css). Plain attributors: the value is the author's name.
+export const registerSuggestionFormats = () => {
+  const options = { scope: Parchment.Scope.INLINE };
+  Quill.register(
+    {
+      [`formats/${SUGGEST_INSERT}`]: new Parchment.Attributor(
+        SUGGEST_INSERT,
+        "data-suggest-insert",
+        options
+      ),
+      [`formats/${SUGGEST_DELETE}`]: new Parchment.Attributor(
+        SUGGEST_DELETE,
+        "data-suggest-delete",
+        options
+      ),
+    },
+    true
+  );
+};
+
+// The user's edit has ALREADY happened in Quill (we get it from
+// "text-change"). trackChanges() returns the edit that turns it into
+// a suggestion:
+//   - inserted text → retain it with the suggest-insert mark
+//   - deleted text  → put it back, with the suggest-delete mark
+//
+// Exceptions:
+//   - deleting your own pending insertion really deletes it (typo fixes);
+//     someone else's keeps its suggest-insert mark next to the new
+//     suggest-delete, so rejecting the deletion doesn't accept the insertion
+//   - text someone already suggested deleting keeps their suggest-delete
+//   - formatting (bold, lists…) is applied directly, not suggested
+//   - line breaks can't carry inline marks, so deleting one is just undone
+export const trackChanges = (delta, oldContents, author) => {
+  const correction = new Delta();
+  let oldIndex = 0; // Where we are in the document BEFORE the edit
+
+  delta.ops.forEach((op) => {
+    if (op.retain !== undefined) {
+      const length = typeof op.retain === "number" ? op.retain : 1; // Embeds
+      correction.retain(length);
+      oldIndex += length;
+    } else if (op.insert !== undefined) {
+      const length = typeof op.insert === "string" ? op.insert.length : 1;
+      // Typing inside struck-out text would inherit its mark: clear it
+      correction.retain(length, { [SUGGEST_INSERT]: author, [SUGGEST_DELETE]: null });
+    } else if (op.delete !== undefined) {
+      const removed = oldContents.slice(oldIndex, oldIndex + op.delete);
+
+      removed.ops.forEach((part) => {
+        if (part.attributes?.[SUGGEST_INSERT] === author) return;
+        // Already struck out: stays whoever's suggestion it was
+        if (part.attributes?.[SUGGEST_DELETE]) {
+          correction.insert(part.insert, part.attributes);
+          return;
+        }
+        correction.insert(part.insert, {
+          ...part.attributes,
+          [SUGGEST_DELETE]: author,
+        });
+      });
+      oldIndex += op.delete;
+    }
+  });
+
+  return correction.chop(); // Drop the trailing "retain the rest"
+};
+
+// All pending suggestions, in document order. Neighbouring characters with
+// the same mark and author form one suggestion ("Ana: Add 'hello world'").
+//
+// One stretch can carry BOTH marks: Bo deleting Ana's pending insertion
+// keeps Ana's mark (see trackChanges). That's two suggestions: Ana's
+// "Add" and Bo's "Delete", each accepted or rejected on its own.
+export const listSuggestions = (quill) => {
+  const suggestions = [];
+  const last = { insert: null, delete: null }; // Latest of each type
+  let index = 0;
+
+  quill.getContents().ops.forEach((op) => {
+    const length = typeof op.insert === "string" ? op.insert.length : 1;
+    const attributes = op.attributes ?? {};
+    const text = typeof op.insert === "string" ? op.insert : "[embed]";
+    const marks = [
+      ["insert", attributes[SUGGEST_INSERT]],
+      ["delete", attributes[SUGGEST_DELETE]],
+    ];
+
+    marks.forEach(([type, author]) => {
+      if (!author) return;
+      const previous = last[type];
+
+      if (previous && previous.author === author &&
+          previous.index + previous.length === index) {
+        previous.length += length;
+        previous.text += text;
+      } else {
+        last[type] = { id: `${type}-${index}`, type, author, index, length, text };
+        suggestions.push(last[type]);
+      }
+    });
+
+    index += length;
+  });
+
+  return suggestions;
+};
+
+// Accept: insertion stays (unmarked) / deletion happens.
+// Reject: insertion goes away / deleted text stays (unmarked).
+// Source "api": these are reviews, not new suggestions to track.
+export const resolveSuggestion = (quill, suggestion, accept) => {
+  const { type, index, length } = suggestion;
+  const keep = (type === "insert") === accept;
+
+  if (keep) {
+    const mark = type === "insert" ? SUGGEST_INSERT : SUGGEST_DELETE;
+    quill.formatText(index, length, { [mark]: null }, "api");
+  } else {
+    quill.deleteText(index, length, "api");
+  }
+};
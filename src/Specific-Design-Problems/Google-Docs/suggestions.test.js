@@ -0,0 +1,139 @@
+import { Delta } from "quill";
+import {
+  SUGGEST_DELETE,
+  SUGGEST_INSERT,
+  listSuggestions,
+  trackChanges,
+} from "./suggestions";
+
+/*
+  edit(before, change, author) → the document after 'change'
+  and trackChanges()'s correction, like the Editor applies them
+*/
+const edit = (before, change, author) =>
+  before.compose(change).compose(trackChanges(change, before, author));
+
+// listSuggestions() only needs getContents()
+const suggestionsIn = (contents) =>
+  listSuggestions({ getContents: () => contents });
+
+const suggestion = (type, author, index, text) => ({
+  id: `${type}-${index}`,
+  type,
+  author,
+  index,
+  length: text.length,
+  text,
+});
+
+describe("trackChanges", () => {
+  it("marks typed text as a suggested insertion", () => {
+    const before = new Delta().insert("Hello\n");
+    const after = edit(before, new Delta().retain(5).insert(" world"), "Ana");
+
+    expect(after.ops).toEqual([
+      { insert: "Hello" },
+      { insert: " world", attributes: { [SUGGEST_INSERT]: "Ana" } },
+      { insert: "\n" },
+    ]);
+  });
+
+  it("puts deleted text back, struck out, with its formatting", () => {
+    const before = new Delta().insert("Hello", { bold: true }).insert("!\n");
+    const after = edit(before, new Delta().delete(5), "Ana");
+
+    expect(after.ops).toEqual([
+      { insert: "Hello", attributes: { bold: true, [SUGGEST_DELETE]: "Ana" } },
+      { insert: "!\n" },
+    ]);
+  });
+
+  it("really deletes your own pending insertion", () => {
+    const before = new Delta()
+      .insert("Hi")
+      .insert(" tpyo", { [SUGGEST_INSERT]: "Ana" })
+      .insert("\n");
+    const after = edit(before, new Delta().retain(2).delete(5), "Ana");
+
+    expect(after.ops).toEqual([{ insert: "Hi\n" }]);
+  });
+
+  it("keeps another author's insert mark next to the delete mark", () => {
+    const before = new Delta()
+      .insert("Hi")
+      .insert(" there", { [SUGGEST_INSERT]: "Ana" })
+      .insert("\n");
+    const after = edit(before, new Delta().retain(2).delete(6), "Bo");
+
+    expect(after.ops[1]).toEqual({
+      insert: " there",
+      attributes: { [SUGGEST_INSERT]: "Ana", [SUGGEST_DELETE]: "Bo" },
+    });
+  });
+
+  it("leaves another author's deletion theirs when it's deleted again", () => {
+    const before = new Delta()
+      .insert("Hi")
+      .insert(" old", { [SUGGEST_DELETE]: "Ana" })
+      .insert(" text\n");
+    const after = edit(before, new Delta().retain(2).delete(9), "Bo");
+
+    expect(after.ops).toEqual([
+      { insert: "Hi" },
+      { insert: " old", attributes: { [SUGGEST_DELETE]: "Ana" } },
+      { insert: " text", attributes: { [SUGGEST_DELETE]: "Bo" } },
+      { insert: "\n" },
+    ]);
+  });
+
+  it("clears the delete mark from text typed inside a deletion", () => {
+    const before = new Delta().insert("abcd\n");
+    const change = new Delta()
+      .retain(2)
+      .insert("x", { [SUGGEST_DELETE]: "Bo" });
+
+    expect(trackChanges(change, before, "Ana").ops).toEqual([
+      { retain: 2 },
+      {
+        retain: 1,
+        attributes: { [SUGGEST_INSERT]: "Ana", [SUGGEST_DELETE]: null },
+      },
+    ]);
+  });
+
+  it("leaves formatting changes alone", () => {
+    const before = new Delta().insert("Hello\n");
+    const change = new Delta().retain(5, { bold: true });
+
+    expect(trackChanges(change, before, "Ana").ops).toEqual([]);
+  });
+});
+
+describe("listSuggestions", () => {
+  it("groups neighbouring characters by mark and author", () => {
+    const contents = new Delta()
+      .insert("a")
+      .insert("new ", { [SUGGEST_INSERT]: "Ana" })
+      .insert("text", { [SUGGEST_INSERT]: "Ana", bold: true })
+      .insert(" old", { [SUGGEST_DELETE]: "Bo" })
+      .insert("\n");
+
+    expect(suggestionsIn(contents)).toEqual([
+      suggestion("insert", "Ana", 1, "new text"),
+      suggestion("delete", "Bo", 9, " old"),
+    ]);
+  });
+
+  it("lists both suggestions on a deleted suggested insertion", () => {
+    const before = new Delta()
+      .insert("ab")
+      .insert("cd", { [SUGGEST_INSERT]: "Ana" })
+      .insert("\n");
+    const after = edit(before, new Delta().retain(2).delete(2), "Bo");
+
+    expect(suggestionsIn(after)).toEqual([
+      suggestion("insert", "Ana", 2, "cd"),
+      suggestion("delete", "Bo", 2, "cd"),
+    ]);
+  });
+});
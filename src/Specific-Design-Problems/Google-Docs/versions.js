@@ -0,0 +1,144 @@
+import * as Y from "yjs";
+import { Delta } from "quill"; // Quill's own document format (same one y-quill speaks)
+
+// Version history on top of Yjs snapshots.
+//
+// A snapshot is tiny: "which edits existed at this moment" (a state vector +
+// a delete set), NOT a copy of the text. Because the Y.Doc keeps every edit
+// ever made (gc: false, see Editor STEP 1), any snapshot can be turned back
+// into the text it describes.
+//
+// Versions live INSIDE the document, in a shared Y.Array, so every
+// collaborator sees the same history and it's saved/synced like the text.
+
+export const TEXT_KEY = "quill"; // ydoc.getText(TEXT_KEY) is the document body
+const VERSIONS_KEY = "versions";
+
+// How often the automatic version is taken (only if something changed)
+export const AUTO_VERSION_INTERVAL = 5 * 60 * 1000;
+
+// Same palette as the cursors/avatars
+const USER_COLORS = ["#d75949", "#9f6bb0", "#e3b052", "#4b9c75", "#5c81cc"];
+
+// The diff only knows user NAMES (from Y.PermanentUserData), so the color
+// comes from the name: the same person is the same color in every diff.
+export const colorForUser = (name) => {
+  if (!name) return "#5f6368"; // Edits made before anyone was mapped
+  let hash = 0;
+  for (const char of name) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+};
+
+export const formatVersionTime = (version) =>
+  new Date(version.createdAt).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// All versions, newest first. 'snapshot' stays encoded (Uint8Array).
+export const listVersions = (ydoc) =>
+  ydoc
+    .getArray(VERSIONS_KEY)
+    .toArray()
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+// The document as it looked in 'version'. The rebuilt doc is a throwaway
+// copy of the whole history, so it's destroyed as soon as it's been read.
+const contentAt = (ydoc, version) => {
+  const snapshot = Y.decodeSnapshot(version.snapshot);
+  const oldDoc = Y.createDocFromSnapshot(ydoc, snapshot);
+
+  try {
+    return new Delta(oldDoc.getText(TEXT_KEY).toDelta());
+  } finally {
+    oldDoc.destroy();
+  }
+};
+
+// The document right now
+const currentContent = (ydoc) => new Delta(ydoc.getText(TEXT_KEY).toDelta());
+
+// Calls 'callback' whenever anyone adds a version. Returns "unsubscribe".
+export const observeVersions = (ydoc, callback) => {
+  const versions = ydoc.getArray(VERSIONS_KEY);
+  versions.observe(callback);
+  return () => versions.unobserve(callback);
+};
+
+// Is an automatic version due? Only if the text (content or formatting)
+// changed since the newest version. We compare content, not snapshots:
+// saving a version is itself a change to the Y.Doc, so the snapshots
+// would never be equal again.
+export const needsAutoVersion = (ydoc) => {
+  const [latest] = listVersions(ydoc);
+
+  // No versions yet: take the first one as soon as there's any text
+  if (!latest) return ydoc.getText(TEXT_KEY).toString().trim() !== "";
+
+  // diff(), not JSON: the same text can be split into differently sized ops
+  return contentAt(ydoc, latest).diff(currentContent(ydoc)).ops.length > 0;
+};
+
+// Take a snapshot NOW and add it to the shared history.
+// name → null for automatic versions (the sidebar shows the time instead)
+export const captureVersion = (ydoc, { name = null, author, color }) => {
+  const version = {
+    id: crypto.randomUUID(),
+    name,
+    auto: !name,
+    author,
+    color,
+    createdAt: Date.now(),
+    // Taken before the push below, so the history entry isn't part of it
+    snapshot: Y.encodeSnapshot(Y.snapshot(ydoc)),
+  };
+
+  ydoc.getArray(VERSIONS_KEY).push([version]);
+  return version;
+};
+
+// Read-only diff: what changed between the previous version and 'version'.
+// Returns delta ops; changed runs carry
+//   attributes.ychange = { type: "added" | "removed", user }
+// Deleted text is still in the doc (gc: false), so it can be shown struck out.
+export const diffVersion = (ydoc, version, previous, permanentUserData) => {
+  const snapshot = Y.decodeSnapshot(version.snapshot);
+  const prevSnapshot = previous
+    ? Y.decodeSnapshot(previous.snapshot)
+    : Y.emptySnapshot; // The first version: everything in it was "added"
+
+  // Who made each change: insertions by client id, deletions by delete set
+  const computeYChange = (type, id) => ({
+    type,
+    user:
+      type === "added"
+        ? permanentUserData.getUserByClientId(id.client)
+        : permanentUserData.getUserByDeletedId(id),
+  });
+
+  return ydoc.getText(TEXT_KEY).toDelta(snapshot, prevSnapshot, computeYChange);
+};
+
+// Restore = a NEW edit that makes today's text equal to the old one.
+// History isn't rewritten: the restore shows up in the next diff, is synced
+// like any other edit, and can itself be undone by restoring again.
+export const restoreVersion = (ydoc, version, { author, color }) => {
+  const ytext = ydoc.getText(TEXT_KEY);
+
+  // Nothing to do (e.g. clicked restore on the newest version)
+  const change = currentContent(ydoc).diff(contentAt(ydoc, version));
+  if (change.ops.length === 0) return;
+
+  // Safety net: keep what we're about to replace
+  captureVersion(ydoc, {
+    name: `Before restoring "${version.name ?? formatVersionTime(version)}"`,
+    author,
+    color,
+  });
+
+  // Minimal change (only the parts that differ), in one transaction, so
+  // collaborators' cursors and concurrent typing elsewhere survive.
+  ydoc.transact(() => ytext.applyDelta(change.ops), "restore");
+};
@@ -0,0 +1,128 @@
+// lib0 (under Yjs) expects the Web Crypto global; jsdom doesn't
+// provide it. Must be set before the requires. (Quill needs the DOM,
+// so this can't run in the node environment like the server tests.)
+global.crypto ??= require("crypto").webcrypto;
+
+const Y = require("yjs");
+const {
+  TEXT_KEY,
+  captureVersion,
+  diffVersion,
+  listVersions,
+  needsAutoVersion,
+  restoreVersion,
+} = require("./versions");
+
+/*
+  A collaborator: a Y.Doc set up like the Editor's (gc: false,
+  its client id mapped to a name in PermanentUserData)
+*/
+const collaborator = (name) => {
+  const ydoc = new Y.Doc({ gc: false });
+  const permanentUserData = new Y.PermanentUserData(ydoc);
+  permanentUserData.setUserMapping(ydoc, ydoc.clientID, name);
+  return { ydoc, permanentUserData, author: name, color: "#000" };
+};
+
+// Both docs end up with every update (what the sync server does)
+const sync = (a, b) => {
+  Y.applyUpdate(b.ydoc, Y.encodeStateAsUpdate(a.ydoc, Y.encodeStateVector(b.ydoc)));
+  Y.applyUpdate(a.ydoc, Y.encodeStateAsUpdate(b.ydoc, Y.encodeStateVector(a.ydoc)));
+};
+
+// PermanentUserData records who deleted what in a setTimeout after the edit
+const deletionsRecorded = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const textOf = (user) => user.ydoc.getText(TEXT_KEY).toString();
+
+describe("versions", () => {
+  let ana;
+
+  beforeEach(() => {
+    ana = collaborator("Ana");
+  });
+
+  afterEach(() => ana.ydoc.destroy());
+
+  it("needs an automatic version only when the text changed", () => {
+    const ytext = ana.ydoc.getText(TEXT_KEY);
+    expect(needsAutoVersion(ana.ydoc)).toBe(false); // Empty doc
+
+    ytext.insert(0, "Draft\n");
+    expect(needsAutoVersion(ana.ydoc)).toBe(true);
+
+    captureVersion(ana.ydoc, ana);
+    expect(needsAutoVersion(ana.ydoc)).toBe(false);
+
+    ytext.format(0, 5, { bold: true });
+    expect(needsAutoVersion(ana.ydoc)).toBe(true);
+  });
+
+  it("restores the text of an older version as a new edit", () => {
+    const ytext = ana.ydoc.getText(TEXT_KEY);
+    ytext.insert(0, "First draft\n");
+    const draft = captureVersion(ana.ydoc, { ...ana, name: "Draft" });
+
+    ytext.delete(0, 6);
+    ytext.insert(ytext.length - 1, ", rewritten");
+    expect(textOf(ana)).toBe("draft, rewritten\n");
+
+    restoreVersion(ana.ydoc, draft, ana);
+
+    expect(textOf(ana)).toBe("First draft\n");
+    // The text it replaced is kept as a version of its own
+    const [before] = listVersions(ana.ydoc);
+    expect(before.name).toBe('Before restoring "Draft"');
+    expect(before.id).not.toBe(draft.id);
+  });
+
+  it("does nothing when the version is already the current text", () => {
+    ana.ydoc.getText(TEXT_KEY).insert(0, "Unchanged\n");
+    const version = captureVersion(ana.ydoc, ana);
+
+    restoreVersion(ana.ydoc, version, ana);
+
+    expect(listVersions(ana.ydoc)).toHaveLength(1);
+  });
+
+  it("attributes additions and deletions to whoever made them", async () => {
+    const ben = collaborator("Ben");
+
+    ana.ydoc.getText(TEXT_KEY).insert(0, "Hello there\n");
+    const first = captureVersion(ana.ydoc, ana);
+    sync(ana, ben);
+
+    // Ben replaces "there" with "world"
+    const bensText = ben.ydoc.getText(TEXT_KEY);
+    bensText.delete(6, 5);
+    bensText.insert(6, "world");
+    await deletionsRecorded();
+    sync(ana, ben);
+
+    const second = captureVersion(ana.ydoc, ana);
+    const ops = diffVersion(ana.ydoc, second, first, ana.permanentUserData);
+
+    const changes = ops
+      .filter((op) => op.attributes?.ychange)
+      .map(({ insert, attributes }) => [insert, attributes.ychange]);
+
+    expect(changes).toEqual([
+      ["there", { type: "removed", user: "Ben" }],
+      ["world", { type: "added", user: "Ben" }],
+    ]);
+    expect(textOf(ana)).toBe("Hello world\n");
+
+    ben.ydoc.destroy();
+  });
+
+  it("shows everything in the first version as added", () => {
+    ana.ydoc.getText(TEXT_KEY).insert(0, "Hi\n");
+    const first = captureVersion(ana.ydoc, ana);
+
+    const ops = diffVersion(ana.ydoc, first, undefined, ana.permanentUserData);
+
+    expect(ops).toEqual([
+      { insert: "Hi\n", attributes: { ychange: { type: "added", user: "Ana" } } },
+    ]);
+  });
+});